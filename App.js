@@ -1,16 +1,47 @@
 import { useEffect, useRef, useState } from 'react';
 import { StatusBar } from 'expo-status-bar';
 import { StyleSheet, View, AppState, NativeModules, FlatList, ScrollView, Alert } from 'react-native';
-import { Appbar, IconButton, PaperProvider, Text, TextInput, Button, Dialog, Portal, Switch, Card, Paragraph, useTheme } from 'react-native-paper';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Appbar, IconButton, PaperProvider, Text, TextInput, Button, Dialog, Portal, Switch, Card, Chip, Paragraph, SegmentedButtons, useTheme } from 'react-native-paper';
 import notifee, { AndroidImportance, EventType } from '@notifee/react-native';
-import desktopRPC from './DesktopRPC';
+import desktopRPC, { DELIVERY_MODES } from './DesktopRPC';
+import settingsStore, { READ_ONLY_MESSAGE } from './SettingsStore';
+import AssetPicker from './AssetPicker';
+import { IMPORT_MODES, createBackup, validateBackup, applyBackup, shareBackupFile, pickBackupFile } from './SettingsBackup';
+import { TEMPLATE_VARIABLES, DEFAULT_DETAILS_TEMPLATE, buildTemplateValues, renderPresenceText, usesVariable, formatElapsed } from './PresenceTemplate';
+import { MASK_LABELS, DAY_NAMES, evaluateRules, validateRule, describeRule, parseKeywords } from './PresenceRules';
+import { recordForeground, loadSessions, summarizeUsage, shareUsageFile, startOfDay } from './UsageHistory';
+import { CATEGORIES, NO_CATEGORY, getCategoryLabel, getPackageCategory, isEnabledWithCategory } from './AppCategories';
+import { DETECTION_ERRORS, isForegroundDetectionAvailable, getForegroundApp, getWatchedForegroundApp, onForegroundAppChanged, getDeviceState, onDeviceStateChanged } from './ForegroundWatcher';
+import { AWAY_STATES, AWAY_ACTIONS, AWAY_ACTION_LABELS, MIN_IDLE_MINUTES, MAX_IDLE_MINUTES, validateAwaySettings, getAwayState, getAwayAction, getAwayLabel } from './AwayStates';
 
 const { ForegroundAppModule } = NativeModules;
 
 // Notification ID for persistent foreground notification
 const FOREGROUND_NOTIFICATION_ID = 'foreground-service-notification';
 
+// App switches are handled as they happen; this refresh resends the current
+// presence (or away state) so the desktop app doesn't time it out, and applies
+// sharing hours, template values and idle time that change over time
+const PRESENCE_REFRESH_INTERVAL = 15 * 1000;
+
+// Notification text for when the foreground app can't be detected
+const DETECTION_ERROR_TEXT = {
+  [DETECTION_ERRORS.PERMISSION_MISSING]: { title: 'Usage Access needed', body: 'Allow Usage Access for this app in Android settings' },
+};
+
+// Detection errors that mean the phone is away -> away state
+const AWAY_DETECTION_ERRORS = {
+  [DETECTION_ERRORS.SCREEN_OFF]: 'screen-off',
+  [DETECTION_ERRORS.LOCKED]: 'locked',
+};
+
+// Notification body while away, by the action that was taken
+const AWAY_NOTIFICATION_TEXT = {
+  [AWAY_ACTIONS.CLEAR]: 'Presence cleared',
+  [AWAY_ACTIONS.IDLE]: 'Shown as Idle on Discord',
+  [AWAY_ACTIONS.KEEP]: 'Last app kept on Discord, timer paused',
+};
+
 // Store the latest notification data for restoration if dismissed
 let lastNotificationData = { title: 'Hello World', body: 'Hello World', details: '' };
 
@@ -24,92 +55,405 @@ let lastUpdatedPackage = null;
 // Track the last notification title to detect changes
 let lastNotificationTitle = null;
 
-// Storage keys
-const PACKAGES_STORAGE_KEY = '@packages_seen';
-const CUSTOM_NAMES_STORAGE_KEY = '@custom_names';
-const CLIENT_IDS_STORAGE_KEY = '@client_ids';
-const ENABLED_APPS_STORAGE_KEY = '@enabled_apps';
-const DESKTOP_IP_KEY = '@desktop_ip';
-const DESKTOP_ENABLED_KEY = '@desktop_enabled';
+// When each app's current session started, for the {elapsed} template variable
+// Mirrors the desktop app: a session starts over when another app comes to the
+// foreground, or once its app hasn't been seen for 5 minutes
+const APP_SESSION_RESET_GAP = 5 * 60 * 1000;
+const appSessions = {}; // packageName -> { start, lastSeen }
+let currentSessionPackage = null;
+
+// The app kept on Discord with its timer paused by the 'keep' away action
+let keptAwayApp = null; // { packageName, since }
+
+// Sent to the desktop app in place of a masked app's package name, followed by the mask label
+const MASKED_PACKAGE_PREFIX = 'masked:';
+
+// Discord Application IDs are snowflakes
+const CLIENT_ID_PATTERN = /^\d{17,20}$/;
 
 // Function to get custom name for package, or return package name
-const getDisplayName = async (packageName) => {
-  try {
-    const customNamesJson = await AsyncStorage.getItem(CUSTOM_NAMES_STORAGE_KEY);
-    const customNames = customNamesJson ? JSON.parse(customNamesJson) : {};
-    return customNames[packageName] || packageName;
-  } catch (error) {
-    return packageName;
-  }
+const getDisplayName = (packageName) => {
+  return settingsStore.get('customNames')[packageName] || packageName;
+};
+
+// Function to get the settings of the category a package belongs to
+const getCategorySettingsForPackage = (packageName) => {
+  const category = getPackageCategory(packageName, settingsStore.get('appCategories'), settingsStore.get('detectedCategories'));
+  return category ? settingsStore.get('categorySettings')[category] || {} : {};
 };
 
 // Function to check if an app is enabled
 // Apps are disabled by default and can only be enabled if they have a CLIENT_ID
-const isAppEnabled = async (packageName) => {
+// (their own, their category's, the phone's default, or a desktop app's default)
+const isAppEnabled = (packageName) => {
+  // Check if app has a CLIENT_ID
+  const clientId = getClientIdForPackage(packageName);
+  
+  // Can only be enabled if CLIENT_ID is set AND enabled on the app or its category
+  if (clientId || desktopRPC.hasDefaultClientId) {
+    return isEnabledWithCategory(settingsStore.get('enabledApps')[packageName], getCategorySettingsForPackage(packageName));
+  }
+  // No CLIENT_ID - always disabled
+  return false;
+};
+
+// Function to remember the category Android reports for a package
+const detectPackageCategory = async (packageName) => {
+  const detectedCategories = settingsStore.get('detectedCategories');
+  if (packageName in detectedCategories || !ForegroundAppModule || !ForegroundAppModule.getAppCategory) {
+    return;
+  }
+  let androidCategory = null;
   try {
-    const enabledAppsJson = await AsyncStorage.getItem(ENABLED_APPS_STORAGE_KEY);
-    const enabledApps = enabledAppsJson ? JSON.parse(enabledAppsJson) : {};
-    
-    // Check if app has a CLIENT_ID
-    const clientId = await getClientIdForPackage(packageName);
-    
-    // Can only be enabled if CLIENT_ID is set AND explicitly enabled
-    if (clientId) {
-      return enabledApps[packageName] === true;
-    } else {
-      // No CLIENT_ID - always disabled
-      return false;
-    }
+    androidCategory = await ForegroundAppModule.getAppCategory(packageName);
   } catch (error) {
-    return false; // Default to disabled on error
+    // Category not available
   }
+  await settingsStore.set('detectedCategories', { ...settingsStore.get('detectedCategories'), [packageName]: androidCategory });
 };
 
 // Function to store a package name
 const storePackage = async (packageName) => {
   try {
-    if (!packageName || packageName === 'null' || packageName === 'unknown') return;
-    
-    const packagesJson = await AsyncStorage.getItem(PACKAGES_STORAGE_KEY);
-    const packages = packagesJson ? JSON.parse(packagesJson) : [];
+    if (!packageName) return;
     
+    const packages = settingsStore.get('packages');
     if (!packages.includes(packageName)) {
-      packages.push(packageName);
-      await AsyncStorage.setItem(PACKAGES_STORAGE_KEY, JSON.stringify(packages));
+      await settingsStore.set('packages', [...packages, packageName]);
+
+      await desktopRPC.refreshCatalog();
+      const catalogEntry = desktopRPC.getCatalogEntry(packageName);
+      if (catalogEntry) {
+        await applyCatalogEntry(packageName, catalogEntry);
+      }
     }
+    await detectPackageCategory(packageName);
   } catch (error) {
     // Error storing package
   }
 };
 
+// Function to pre-fill a newly seen app from the desktop app's shared catalog
+// Only fills settings the app doesn't have yet, so local edits always win;
+// the app stays disabled until the user turns it on
+const applyCatalogEntry = async (packageName, entry) => {
+  const customNames = { ...settingsStore.get('customNames') };
+  const clientIds = { ...settingsStore.get('clientIds') };
+  const presenceTemplates = { ...settingsStore.get('presenceTemplates') };
+
+  if (entry.name && !customNames[packageName]) {
+    customNames[packageName] = entry.name;
+  }
+  if (entry.clientId && CLIENT_ID_PATTERN.test(entry.clientId) && !clientIds[packageName]) {
+    clientIds[packageName] = entry.clientId;
+  }
+  if ((entry.details || entry.state) && !presenceTemplates[packageName]) {
+    presenceTemplates[packageName] = {
+      ...(entry.details ? { details: entry.details } : {}),
+      ...(entry.state ? { state: entry.state } : {}),
+    };
+  }
+
+  await settingsStore.setMany({ customNames, clientIds, presenceTemplates });
+};
+
 // Function to get CLIENT_ID for a package
-const getClientIdForPackage = async (packageName) => {
+// The package's own CLIENT_ID overrides its category's, which overrides the phone's default
+const getClientIdForPackage = (packageName) => {
+  return settingsStore.get('clientIds')[packageName]
+    || getCategorySettingsForPackage(packageName).clientId
+    || settingsStore.get('defaultClientId')
+    || null;
+};
+
+// Function to get the per-package activity defaults (state, images, buttons, party)
+const getActivityDefaultsForPackage = (packageName) => {
+  return settingsStore.get('activityDefaults')[packageName] || {};
+};
+
+// Text for the error codes from the desktop app's /validate-client-id
+const CLIENT_ID_ERROR_TEXT = {
+  invalid_format: 'Not a CLIENT_ID - copy the 17-20 digit Application ID from the Developer Portal',
+  unknown_application: 'Discord has no application with this CLIENT_ID',
+  discord_unavailable: 'Discord is not running on the desktop, so the CLIENT_ID could not be checked',
+  timeout: 'Discord did not answer in time, try again',
+};
+
+const describeClientIdError = (error) => CLIENT_ID_ERROR_TEXT[error?.code] || error?.message || 'CLIENT_ID test failed';
+
+const describeAssetCount = (assets) => {
+  if (!assets) {
+    return 'assets unknown';
+  }
+  return assets.length === 1 ? '1 image asset' : `${assets.length} image assets`;
+};
+
+// One line above the image pickers saying where the asset list came from
+const describeAssetList = ({ assets, loading, stale, fetchedAt, error }) => {
+  if (loading) {
+    return 'Loading image assets...';
+  }
+  if (error) {
+    return `Image assets unavailable: ${error}`;
+  }
+  if (!assets) {
+    return 'Connect a desktop app to pick from your Discord app\'s image assets';
+  }
+  if (stale) {
+    return `Discord unreachable - assets saved ${new Date(fetchedAt).toLocaleDateString()}`;
+  }
+  return `${describeAssetCount(assets)} in your Discord app`;
+};
+
+// Function to get the per-package details/state templates, or its category's
+const getPresenceTemplateForPackage = (packageName) => {
+  return settingsStore.get('presenceTemplates')[packageName] || getCategorySettingsForPackage(packageName).template || {};
+};
+
+// Record that an app is still in use and return when its session started
+const touchAppSession = (packageName) => {
+  const now = Date.now();
+  const session = appSessions[packageName];
+  if (!session || packageName !== currentSessionPackage || now - session.lastSeen > APP_SESSION_RESET_GAP) {
+    appSessions[packageName] = { start: now, lastSeen: now };
+  } else {
+    session.lastSeen = now;
+  }
+  currentSessionPackage = packageName;
+  return appSessions[packageName].start;
+};
+
+// Restart the timer of the app kept while away, shifting its session start by
+// the time away so {elapsed} carries on where it paused, like the desktop app
+const resumeKeptApp = () => {
+  if (!keptAwayApp) {
+    return;
+  }
+  const now = Date.now();
+  const session = appSessions[keptAwayApp.packageName];
+  if (session) {
+    session.start += now - keptAwayApp.since;
+    session.lastSeen = now;
+  }
+  keptAwayApp = null;
+};
+
+// Battery level 0-100, or null if the native module can't read it (needs app rebuild)
+const getBatteryLevel = async () => {
   try {
-    const clientIdsJson = await AsyncStorage.getItem(CLIENT_IDS_STORAGE_KEY);
-    const clientIds = clientIdsJson ? JSON.parse(clientIdsJson) : {};
-    return clientIds[packageName] || null;
+    if (ForegroundAppModule && ForegroundAppModule.getBatteryLevel) {
+      return await ForegroundAppModule.getBatteryLevel();
+    }
+  } catch (error) {
+    // Battery level not available
+  }
+  return null;
+};
+
+// Launcher icons shown as the large image when an app has none picked
+const APP_ICON_SIZE = 256;
+const APP_ICON_CACHE_TIME = 10 * 60 * 1000; // Re-read now and then to catch app updates
+const appIcons = {}; // packageName -> { icon, loadedAt }
+
+// { hash, version, png } for an app's icon, or null if the native module can't provide it
+const getAppIcon = async (packageName) => {
+  const cached = appIcons[packageName];
+  if (cached && Date.now() - cached.loadedAt < APP_ICON_CACHE_TIME) {
+    return cached.icon;
+  }
+
+  let icon = null;
+  try {
+    if (ForegroundAppModule && ForegroundAppModule.getAppIcon) {
+      icon = await ForegroundAppModule.getAppIcon(packageName, APP_ICON_SIZE);
+    }
   } catch (error) {
-    return null;
+    // Icon not available
+  }
+  appIcons[packageName] = { icon, loadedAt: Date.now() };
+  return icon;
+};
+
+// Render an app's templates with the current device state
+const renderPresenceForPackage = async (template, displayName, packageName, sessionStart) => {
+  const needsBattery = usesVariable(template.details, 'battery') || usesVariable(template.state, 'battery');
+  const batteryLevel = needsBattery ? await getBatteryLevel() : null;
+  return renderPresenceText(template, buildTemplateValues({ displayName, packageName, sessionStart, batteryLevel }));
+};
+
+// Empty form state for the details/state templates in the Edit App Settings dialog
+const EMPTY_TEMPLATE_FORM = {
+  details: '',
+  state: '',
+};
+
+// Empty form state for the activity fields in the Edit App Settings dialog
+const EMPTY_ACTIVITY_FORM = {
+  largeImageKey: '',
+  largeImageText: '',
+  smallImageKey: '',
+  button1Label: '',
+  button1Url: '',
+  button2Label: '',
+  button2Url: '',
+  partySize: '',
+  partyMax: '',
+};
+
+// Asset list behind the image pickers; assets stays null until the desktop app sends one
+const EMPTY_ASSET_LIST = { assets: null, loading: false, stale: false, fetchedAt: null, error: null };
+
+// Convert stored activity defaults into dialog form values
+const activityToForm = (activity = {}) => {
+  const buttons = activity.buttons || [];
+  return {
+    ...EMPTY_ACTIVITY_FORM,
+    largeImageKey: activity.largeImageKey || '',
+    largeImageText: activity.largeImageText || '',
+    smallImageKey: activity.smallImageKey || '',
+    button1Label: buttons[0]?.label || '',
+    button1Url: buttons[0]?.url || '',
+    button2Label: buttons[1]?.label || '',
+    button2Url: buttons[1]?.url || '',
+    partySize: activity.partySize ? String(activity.partySize) : '',
+    partyMax: activity.partyMax ? String(activity.partyMax) : '',
+  };
+};
+
+// Convert dialog form values into activity defaults, dropping empty fields
+// Length limits are validated by the desktop app, which knows Discord's rules
+// (state now lives in the presence templates)
+const formToActivity = (form) => {
+  const activity = {};
+  ['largeImageKey', 'largeImageText', 'smallImageKey'].forEach((field) => {
+    if (form[field].trim()) {
+      activity[field] = form[field].trim();
+    }
+  });
+
+  const buttons = [
+    { label: form.button1Label.trim(), url: form.button1Url.trim() },
+    { label: form.button2Label.trim(), url: form.button2Url.trim() },
+  ].filter((button) => button.label || button.url);
+  if (buttons.length > 0) {
+    activity.buttons = buttons;
+  }
+
+  const partySize = parseInt(form.partySize, 10);
+  const partyMax = parseInt(form.partyMax, 10);
+  if (partySize > 0 && partyMax > 0) {
+    activity.partySize = partySize;
+    activity.partyMax = partyMax;
+  }
+
+  return activity;
+};
+
+// Empty form state for the sharing rules in the Edit App Settings dialog
+const EMPTY_RULE_FORM = {
+  scheduleEnabled: false,
+  days: [1, 2, 3, 4, 5],
+  start: '09:00',
+  end: '17:00',
+  mask: '',
+};
+
+// Time ranges offered in the Statistics dialog
+const STATS_RANGES = {
+  today: () => ({ from: startOfDay(), to: Date.now() }),
+  week: () => ({ from: startOfDay() - 6 * 24 * 60 * 60 * 1000, to: Date.now() }),
+};
+
+// Empty form state for the Edit Category dialog
+const EMPTY_CATEGORY_FORM = {
+  clientId: '',
+  details: '',
+  state: '',
+};
+
+// Convert a stored rule into dialog form values
+const ruleToForm = (rule = {}) => ({
+  ...EMPTY_RULE_FORM,
+  ...(rule.schedule ? { scheduleEnabled: true, ...rule.schedule } : {}),
+  mask: rule.mask || '',
+});
+
+// Convert dialog form values into a rule, dropping the parts that aren't used
+const formToRule = (form) => {
+  const rule = {};
+  if (form.scheduleEnabled) {
+    rule.schedule = { days: [...form.days].sort((a, b) => a - b), start: form.start.trim(), end: form.end.trim() };
+  }
+  if (form.mask.trim()) {
+    rule.mask = form.mask.trim();
+  }
+  return rule;
+};
+
+// Short status line for one desktop companion in the settings dialog
+const describeEndpoint = (endpoint) => {
+  if (!endpoint.enabled) {
+    return endpoint.paired ? 'Disabled' : 'Not paired - add it again with its pairing code';
+  }
+  if (!endpoint.paired) {
+    return 'Not paired';
+  }
+  if (endpoint.reachable === null) {
+    return 'Connecting...';
+  }
+  if (!endpoint.reachable) {
+    return 'Unreachable';
+  }
+  if (!endpoint.authenticated) {
+    return 'Pairing no longer valid - add it again with a new code';
   }
+  return endpoint.discordConnected ? 'Connected · Discord connected' : 'Connected · Discord offline';
 };
 
 // Function to update Discord Rich Presence via desktop app
-const updateDiscordRPC = async (displayName, packageName, setDesktopConnectedCallback = null) => {
+// A mask label from the app's rule replaces everything that identifies the app
+// foregroundApp is the detected app from ForegroundWatcher, sent along as detection details
+const updateDiscordRPC = async (displayName, packageName, setDesktopConnectedCallback = null, mask = null, foregroundApp = null) => {
   try {
     if (!desktopRPC.isConnected) {
       return;
     }
 
-    // Get CLIENT_ID for this package - required
-    const clientId = await getClientIdForPackage(packageName);
+    if (mask) {
+      await updateMaskedPresence(mask);
+      return;
+    }
+
+    // Get CLIENT_ID for this package (or the phone's default)
+    const clientId = getClientIdForPackage(packageName);
     
-    // Skip if no CLIENT_ID is set
-    if (!clientId) {
+    // Skip if no CLIENT_ID is set and no desktop app has a default to fall back on
+    if (!clientId && !desktopRPC.hasDefaultClientId) {
       return;
     }
 
+    // Per-package images, buttons and party info
+    const activityDefaults = getActivityDefaultsForPackage(packageName);
+
+    // Details and state lines from the app's templates
+    const template = getPresenceTemplateForPackage(packageName);
+    const sessionStart = touchAppSession(packageName);
+    const { details, state } = await renderPresenceForPackage(template, displayName, packageName, sessionStart);
+
+    // Without a picked large image, show the app's own icon (only desktop apps
+    // with an iconBaseUrl can, and uploading it never holds up the update)
+    const appIcon = activityDefaults.largeImageKey || !desktopRPC.servesIcons ? null : await getAppIcon(packageName);
+    const iconKey = appIcon ? desktopRPC.prepareAppIcon(packageName, appIcon) : null;
+    const iconImage = iconKey ? { largeImageKey: iconKey } : {};
+
     // Update Discord Rich Presence via desktop app
-    await desktopRPC.setActivity(displayName, packageName, clientId);
+    // A state template replaces the plain state saved by older versions
+    await desktopRPC.setActivity(displayName, packageName, clientId, {
+      ...activityDefaults,
+      ...iconImage,
+      details,
+      ...(state ? { state } : {}),
+    }, foregroundApp);
     
     // Check connection status after successful update (throttled to avoid too many checks)
     if (setDesktopConnectedCallback) {
@@ -118,7 +462,7 @@ const updateDiscordRPC = async (displayName, packageName, setDesktopConnectedCal
         updateDiscordRPC.lastStatusCheck = now;
         try {
           const health = await desktopRPC.testConnection();
-          setDesktopConnectedCallback(health.connected);
+          setDesktopConnectedCallback(health.connected && health.authenticated);
         } catch (error) {
           setDesktopConnectedCallback(false);
         }
@@ -132,23 +476,86 @@ const updateDiscordRPC = async (displayName, packageName, setDesktopConnectedCal
   }
 };
 
+// Show only the mask label for an app
+// The app's own Discord application and package name would give it away, so
+// the phone's or a desktop app's default application is used with a neutral key;
+// masked apps aren't shared when neither has one
+const updateMaskedPresence = async (mask) => {
+  const clientId = settingsStore.get('defaultClientId') || null;
+  if (!clientId && !desktopRPC.hasDefaultClientId) {
+    return;
+  }
+  await desktopRPC.setActivity(mask, `${MASKED_PACKAGE_PREFIX}${mask}`, clientId, { details: mask });
+};
+
+// Apply the action picked for an away state (screen off, locked or idle)
+// Discord is only touched when an app was being shown; 'idle' and 'keep' keep
+// lastUpdatedPackage so the next refresh resends the away state
+const updateAwayPresence = async (awayState, updateDiscord) => {
+  const action = getAwayAction(awayState, settingsStore.get('awayStates'));
+  const showing = !!lastUpdatedPackage && desktopRPC.isConnected && updateDiscord;
+
+  await recordForeground(null);
+  await updateForegroundNotification(getAwayLabel(awayState), showing ? AWAY_NOTIFICATION_TEXT[action] : '');
+  if (!showing) {
+    return;
+  }
+  if (action === AWAY_ACTIONS.KEEP) {
+    keptAwayApp = keptAwayApp || { packageName: lastUpdatedPackage, since: Date.now() };
+  } else {
+    resumeKeptApp();
+  }
+  if (action === AWAY_ACTIONS.CLEAR) {
+    await desktopRPC.clearActivity();
+    lastUpdatedPackage = null;
+  } else {
+    await desktopRPC.setAway(awayState, action);
+  }
+};
+
 // Function to get foreground app name and update notification
-const updateNotificationWithForegroundApp = async (updateDiscord = true, setDesktopConnectedCallback = null) => {
+// foregroundApp comes from a foreground change event; without one the app is detected here
+const applyForegroundApp = async (updateDiscord = true, setDesktopConnectedCallback = null, foregroundApp = undefined) => {
   try {
-    if (ForegroundAppModule) {
-      const result = await ForegroundAppModule.getForegroundAppName();
-      // Parse debug info: appName|packageName|method|debugInfo
-      const parts = result.split('|');
-      const appName = parts[0] || 'null';
-      const packageName = parts[1] || 'unknown';
-      const method = parts[2] || 'unknown';
-      const debugInfo = parts[3] || '';
-      
-      // Check if app name or package name is null/empty (e.g., when this app is in foreground)
-      const isNullApp = !appName || appName === 'null' || !packageName || packageName === 'null' || packageName === 'unknown';
+    if (isForegroundDetectionAvailable()) {
+      // Settings are read from memory once loaded
+      await settingsStore.load();
+      let detected = foregroundApp;
+      if (detected === undefined) {
+        try {
+          detected = await getForegroundApp();
+        } catch (error) {
+          if (AWAY_DETECTION_ERRORS[error.code]) {
+            await updateAwayPresence(AWAY_DETECTION_ERRORS[error.code], updateDiscord);
+            return;
+          }
+          const errorText = DETECTION_ERROR_TEXT[error.code];
+          if (!errorText) {
+            throw error;
+          }
+          // Nothing can be detected without Usage Access
+          await recordForeground(null);
+          await updateForegroundNotification(errorText.title, errorText.body);
+          if (lastUpdatedPackage && desktopRPC.isConnected && updateDiscord) {
+            await desktopRPC.clearActivity();
+            lastUpdatedPackage = null;
+          }
+          return;
+        }
+      }
+
+      // Screen off or locked by now, or on but not touched for a while
+      const awayState = getAwayState(await getDeviceState(), settingsStore.get('awayStates'));
+      if (awayState) {
+        await updateAwayPresence(awayState, updateDiscord);
+        return;
+      }
+      resumeKeptApp();
       
-      if (isNullApp) {
+      // null when no app is detected (e.g., when this app is in foreground)
+      if (!detected) {
         // Show "No app detected" when app is null or this app is in foreground
+        await recordForeground(null);
         await updateForegroundNotification('No app detected', '');
         // Clear Discord status if we were updating an app
         if (lastUpdatedPackage && desktopRPC.isConnected && updateDiscord) {
@@ -158,6 +565,8 @@ const updateNotificationWithForegroundApp = async (updateDiscord = true, setDesk
         return;
       }
       
+      const { packageName } = detected;
+
       // Track app changes - if package changed, we need to update notification immediately
       const packageChanged = lastLoggedApp !== packageName;
       const shouldLog = !lastLoggedApp || packageChanged || (Date.now() - lastLogTime) > 10000;
@@ -167,23 +576,43 @@ const updateNotificationWithForegroundApp = async (updateDiscord = true, setDesk
       }
       
       // Store the package (always store, even if not enabled)
-      if (packageName !== 'unknown' && packageName !== 'null') {
-        await storePackage(packageName);
-      }
+      await storePackage(packageName);
       
       // Check if app is enabled (must have client_id set AND be toggled ON)
-      const appEnabled = await isAppEnabled(packageName);
+      const appEnabled = isAppEnabled(packageName);
       
       // Show "No App Detected" UNLESS the app has its client_id set AND its been toggled ON
       if (appEnabled) {
         // Get custom display name
-        const displayName = await getDisplayName(packageName);
+        const displayName = getDisplayName(packageName);
+
+        // Sharing hours, keyword filters and privacy mode can still hold it back
+        let decision = evaluateRules({
+          packageName,
+          displayName,
+          rule: settingsStore.get('appRules')[packageName],
+          privacy: settingsStore.get('privacy'),
+        });
+        // The app's own Discord application would give away what a mask hides
+        if (decision.mask && !settingsStore.get('defaultClientId') && !desktopRPC.hasDefaultClientId) {
+          decision = { share: false, reason: 'Masking needs a default CLIENT_ID', mask: null };
+        }
+        if (!decision.share) {
+          await recordForeground(packageName, false);
+          await updateForegroundNotification(displayName, `Not shared - ${decision.reason}`);
+          if (lastUpdatedPackage && desktopRPC.isConnected && updateDiscord) {
+            await desktopRPC.clearActivity();
+            lastUpdatedPackage = null;
+          }
+          return;
+        }
         
         // Show in notification
         const title = displayName;
-        const body = packageName;
+        const body = decision.mask ? `${packageName} - shown as "${decision.mask}"` : packageName;
         
         await updateForegroundNotification(title, body);
+        await recordForeground(packageName, updateDiscord && desktopRPC.isConnected);
         
         // Only send updates for the app currently in the notification
         // If we were updating a different app, clear Discord status first
@@ -198,7 +627,7 @@ const updateNotificationWithForegroundApp = async (updateDiscord = true, setDesk
         if (updateDiscord) {
           if (desktopRPC.isConnected) {
             // Try to send update - connection check happens in DesktopRPC if needed
-            await updateDiscordRPC(displayName, packageName, setDesktopConnectedCallback);
+            await updateDiscordRPC(displayName, packageName, setDesktopConnectedCallback, decision.mask, detected);
             // Track that we're now updating this package
             lastUpdatedPackage = packageName;
           }
@@ -206,6 +635,7 @@ const updateNotificationWithForegroundApp = async (updateDiscord = true, setDesk
       } else {
         // App doesn't have client_id set OR is not toggled ON - show "No app detected"
         // Always update notification immediately to reflect current state
+        await recordForeground(packageName, false);
         await updateForegroundNotification('No app detected', '');
         
         // If we were updating an app (any app), clear Discord status when switching to untoggled app
@@ -215,19 +645,30 @@ const updateNotificationWithForegroundApp = async (updateDiscord = true, setDesk
         }
       }
     } else {
-      await updateForegroundNotification('null', 'Module not available');
+      await updateForegroundNotification('', 'Module not available');
     }
   } catch (error) {
-    await updateForegroundNotification('null', `Error: ${error.message}`);
+    await updateForegroundNotification('', `Error: ${error.message}`);
   }
 };
 
+// Foreground changes, device state changes, the refresh timer and AppState changes
+// all update the presence; they run one at a time, in the order they came in, so a
+// slow refresh that detected an older app can't finish after a newer change and undo it
+let foregroundUpdateChain = Promise.resolve();
+
+const updateNotificationWithForegroundApp = (updateDiscord, setDesktopConnectedCallback, foregroundApp) => {
+  const update = foregroundUpdateChain.then(() => applyForegroundApp(updateDiscord, setDesktopConnectedCallback, foregroundApp));
+  foregroundUpdateChain = update.catch(() => {});
+  return update;
+};
+
 // Function to update notification with dynamic strings
 // Export this so you can call it from anywhere in your app to update the notification
 export const updateForegroundNotification = async (title = 'Hello World', body = 'Hello World', details = '') => {
-  // Handle null values - show "No app detected" if title or body is null/empty
-  const displayTitle = (!title || title === 'null' || title.trim() === '') ? 'No app detected' : title;
-  const displayBody = (!body || body === 'null' || body.trim() === '') ? '' : body;
+  // Show "No app detected" if title is empty
+  const displayTitle = (!title || title.trim() === '') ? 'No app detected' : title;
+  const displayBody = (!body || body.trim() === '') ? '' : body;
   
   // Always update notification, even if title appears the same (to ensure it reflects current state)
   // Store the latest notification data for restoration if dismissed
@@ -264,22 +705,58 @@ export const updateForegroundNotification = async (title = 'Hello World', body =
 
 export default function App() {
   const notificationIntervalRef = useRef(null);
-  const packagesReloadIntervalRef = useRef(null);
   const connectionCheckIntervalRef = useRef(null);
+  const assetsRequestRef = useRef(0);
   const [packages, setPackages] = useState([]);
   const [editingPackage, setEditingPackage] = useState(null);
   const [editText, setEditText] = useState('');
   const [editClientId, setEditClientId] = useState('');
   const [testingClientId, setTestingClientId] = useState(false);
   const [clientIdTestResult, setClientIdTestResult] = useState(null);
+  const [editAssets, setEditAssets] = useState(EMPTY_ASSET_LIST);
+  const [showBackup, setShowBackup] = useState(false);
+  const [backupBusy, setBackupBusy] = useState(false);
   const [customNames, setCustomNames] = useState({});
   const [clientIds, setClientIds] = useState({});
   const [enabledApps, setEnabledApps] = useState({});
+  const [activityDefaults, setActivityDefaults] = useState({});
+  const [editActivity, setEditActivity] = useState(EMPTY_ACTIVITY_FORM);
+  const [presenceTemplates, setPresenceTemplates] = useState({});
+  const [editTemplate, setEditTemplate] = useState(EMPTY_TEMPLATE_FORM);
+  const [appRules, setAppRules] = useState({});
+  const [editRule, setEditRule] = useState(EMPTY_RULE_FORM);
+  const [privacy, setPrivacy] = useState({ enabled: false, keywords: [] });
+  const [showPrivacy, setShowPrivacy] = useState(false);
+  const [editKeywords, setEditKeywords] = useState('');
+  const [showAway, setShowAway] = useState(false);
+  const [editAway, setEditAway] = useState(null); // Away settings with idleMinutes as text
+  const [accessibilityEnabled, setAccessibilityEnabled] = useState(false);
+  const [appCategories, setAppCategories] = useState({});
+  const [detectedCategories, setDetectedCategories] = useState({});
+  const [categorySettings, setCategorySettings] = useState({});
+  const [editCategory, setEditCategory] = useState(''); // '' follows the detected category
+  const [showCategories, setShowCategories] = useState(false);
+  const [editingCategory, setEditingCategory] = useState(null);
+  const [editCategoryForm, setEditCategoryForm] = useState(EMPTY_CATEGORY_FORM);
+  const [showStats, setShowStats] = useState(false);
+  const [statsRange, setStatsRange] = useState('today');
+  const [statsGroup, setStatsGroup] = useState('apps');
+  const [usageStats, setUsageStats] = useState(null);
+  const [previewBatteryLevel, setPreviewBatteryLevel] = useState(null);
+  const [defaultClientId, setDefaultClientId] = useState('');
+  const [settingsReadOnly, setSettingsReadOnly] = useState(false);
+  const [editDefaultClientId, setEditDefaultClientId] = useState('');
   
   // Desktop RPC state
   const [desktopIP, setDesktopIP] = useState('');
+  const [desktopName, setDesktopName] = useState('');
+  const [pairingCode, setPairingCode] = useState('');
+  const [discovering, setDiscovering] = useState(false);
+  const [discoveredCompanions, setDiscoveredCompanions] = useState(null);
   const [desktopConnected, setDesktopConnected] = useState(false);
-  const [desktopEnabled, setDesktopEnabled] = useState(false);
+  const [discordConnected, setDiscordConnected] = useState(false);
+  const [desktopEndpoints, setDesktopEndpoints] = useState([]);
+  const [desktopMode, setDesktopMode] = useState(DELIVERY_MODES.ALL);
   const [showDesktopSettings, setShowDesktopSettings] = useState(false);
   const [desktopConnecting, setDesktopConnecting] = useState(false);
   // Battery optimization state - disabled until app rebuild
@@ -337,44 +814,41 @@ export default function App() {
 
     startForegroundService();
 
-    // Load packages, custom names, client IDs, and enabled apps on startup
-    const loadPackages = async () => {
-      try {
-        // Batch AsyncStorage reads for better performance
-        const keys = [PACKAGES_STORAGE_KEY, CUSTOM_NAMES_STORAGE_KEY, CLIENT_IDS_STORAGE_KEY, ENABLED_APPS_STORAGE_KEY];
-        const results = await AsyncStorage.multiGet(keys);
-        const data = Object.fromEntries(results);
-        
-        const loadedPackages = data[PACKAGES_STORAGE_KEY] ? JSON.parse(data[PACKAGES_STORAGE_KEY]) : [];
-        setPackages(loadedPackages);
-        
-        const loadedCustomNames = data[CUSTOM_NAMES_STORAGE_KEY] ? JSON.parse(data[CUSTOM_NAMES_STORAGE_KEY]) : {};
-        setCustomNames(loadedCustomNames);
-        
-        const loadedClientIds = data[CLIENT_IDS_STORAGE_KEY] ? JSON.parse(data[CLIENT_IDS_STORAGE_KEY]) : {};
-        setClientIds(loadedClientIds);
-        
-        const loadedEnabledApps = data[ENABLED_APPS_STORAGE_KEY] ? JSON.parse(data[ENABLED_APPS_STORAGE_KEY]) : {};
-        setEnabledApps(loadedEnabledApps);
-      } catch (error) {
-        // Error loading packages
-      }
+    // Show settings once loaded, and again whenever they change - including
+    // packages and catalog entries the background poll stores
+    const settingSetters = {
+      packages: setPackages,
+      customNames: setCustomNames,
+      clientIds: setClientIds,
+      enabledApps: setEnabledApps,
+      activityDefaults: setActivityDefaults,
+      presenceTemplates: setPresenceTemplates,
+      appRules: setAppRules,
+      privacy: setPrivacy,
+      appCategories: setAppCategories,
+      detectedCategories: setDetectedCategories,
+      categorySettings: setCategorySettings,
+      defaultClientId: setDefaultClientId,
     };
+    const showSettings = (changes) => {
+      Object.entries(changes).forEach(([name, value]) => settingSetters[name]?.(value));
+    };
+    const unsubscribeSettings = settingsStore.subscribe(showSettings);
+    settingsStore.load()
+      .then(() => {
+        showSettings(Object.fromEntries(Object.keys(settingSetters).map((name) => [name, settingsStore.get(name)])));
+        setSettingsReadOnly(settingsStore.readOnly);
+      })
+      .catch(() => {
+        // Error loading settings
+      });
 
-    loadPackages();
-
-    // Load desktop app settings
+    // Load desktop companions; enabled ones connect in the background
     const loadDesktopSettings = async () => {
       try {
-        const saved = await desktopRPC.loadSavedIP();
-        if (saved && saved.ip) {
-          setDesktopIP(saved.ip);
-          if (saved.enabled) {
-            setDesktopEnabled(true);
-            // Try to connect
-            connectDesktop(saved.ip);
-          }
-        }
+        const endpoints = await desktopRPC.loadEndpoints();
+        setDesktopEndpoints(endpoints);
+        setDesktopMode(desktopRPC.mode);
       } catch (error) {
         // Error loading desktop settings
       }
@@ -382,13 +856,6 @@ export default function App() {
 
     loadDesktopSettings();
 
-    // Reload packages periodically when app is active (reduced frequency for better performance)
-    packagesReloadIntervalRef.current = setInterval(() => {
-      if (AppState.currentState === 'active') {
-        loadPackages();
-      }
-    }, 5000);
-
     // Function to restore notification if it was dismissed
     const restoreNotification = async () => {
       try {
@@ -423,30 +890,50 @@ export default function App() {
       if (nextAppState === 'background') {
         await updateNotificationWithForegroundApp(true, setDesktopConnected);
       } else if (nextAppState === 'inactive') {
-        // Device locked or app interrupted - clear Discord status
-        if (desktopRPC.isConnected) {
-          await desktopRPC.clearActivity();
-          lastUpdatedPackage = null;
-        }
+        // Device locked or app interrupted - the away settings decide what Discord shows
+        await updateNotificationWithForegroundApp(true, setDesktopConnected);
       } else if (nextAppState === 'active') {
-        // Reload packages when app comes to foreground
-        loadPackages();
         // Immediately check and update foreground app when app becomes active
         await updateNotificationWithForegroundApp(true, setDesktopConnected);
       }
     });
 
-    // Update notification periodically (every 1 second) - works in both background and active states
-    notificationIntervalRef.current = setInterval(() => {
+    // Update as soon as a different app comes to the front, and refresh periodically
+    // in both background and active states (keeping {elapsed}, battery and the
+    // companion's timeout up to date)
+    const removeForegroundListener = onForegroundAppChanged((foregroundApp) => {
+      updateNotificationWithForegroundApp(true, setDesktopConnected, foregroundApp);
+    });
+    // Screen off/on, lock/unlock and coming back from idle take effect right away too
+    const removeDeviceStateListener = onDeviceStateChanged(() => {
       updateNotificationWithForegroundApp(true, setDesktopConnected);
-    }, 1000);
+    });
+    // The refresh reuses the app the watcher reported; it only detects the app
+    // itself while the watcher hasn't reported one
+    notificationIntervalRef.current = setInterval(() => {
+      updateNotificationWithForegroundApp(true, setDesktopConnected, getWatchedForegroundApp());
+    }, PRESENCE_REFRESH_INTERVAL);
+
+    // React to pushed companion events instead of waiting for the next poll
+    // Each endpoint tracks its own transport and Discord state; the header
+    // button summarizes the ones currently receiving updates
+    const removeDesktopListener = desktopRPC.addListener((event) => {
+      if (event.type === 'endpoints') {
+        const available = event.endpoints.filter((endpoint) => endpoint.active && endpoint.reachable && endpoint.authenticated);
+        setDesktopEndpoints(event.endpoints);
+        setDesktopConnected(available.length > 0);
+        setDiscordConnected(available.some((endpoint) => endpoint.discordConnected));
+      }
+    });
 
     // Check connection validity every 15 seconds
+    // Only needed while the WebSocket is down; an open socket reports its own state
     connectionCheckIntervalRef.current = setInterval(async () => {
-      if (desktopRPC.isConnected && desktopEnabled) {
+      if (desktopRPC.isConnected && !desktopRPC.isSocketOpen) {
         try {
           const health = await desktopRPC.testConnection();
-          setDesktopConnected(health.connected);
+          setDesktopConnected(health.connected && health.authenticated);
+          setDiscordConnected(health.discordConnected);
         } catch (error) {
           setDesktopConnected(false);
         }
@@ -458,13 +945,14 @@ export default function App() {
       if (notificationIntervalRef.current) {
         clearInterval(notificationIntervalRef.current);
       }
-      if (packagesReloadIntervalRef.current) {
-        clearInterval(packagesReloadIntervalRef.current);
-      }
       if (connectionCheckIntervalRef.current) {
         clearInterval(connectionCheckIntervalRef.current);
       }
       appStateSubscription.remove();
+      removeForegroundListener();
+      removeDeviceStateListener();
+      removeDesktopListener();
+      unsubscribeSettings();
       notifee.stopForegroundService();
       // Disconnect desktop RPC
       if (desktopRPC.isConnected) {
@@ -473,8 +961,8 @@ export default function App() {
     };
   }, []);
 
-  // Connect to desktop app
-  const connectDesktop = async (ipAddress) => {
+  // Add a desktop app to the list (or reconnect one), pairing first if a code is given
+  const connectDesktop = async (ipAddress, code = '', name = '') => {
     if (!ipAddress || ipAddress.trim() === '') {
       Alert.alert('Error', 'Desktop IP address is required');
       return;
@@ -482,11 +970,11 @@ export default function App() {
 
     setDesktopConnecting(true);
     try {
-      await desktopRPC.initialize(ipAddress.trim());
-      const health = await desktopRPC.testConnection();
-      setDesktopConnected(health.connected);
-      setDesktopEnabled(true);
-      Alert.alert('Success', `Connected to desktop app!${health.connected ? '\nDiscord is connected.' : '\nWaiting for Discord connection...'}`);
+      const health = await desktopRPC.addEndpoint({ address: ipAddress, name, code });
+      setDesktopIP('');
+      setDesktopName('');
+      setPairingCode('');
+      Alert.alert('Success', `Connected to desktop app!${health.discordConnected ? '\nDiscord is connected.' : '\nWaiting for Discord connection...'}`);
       
       // Update RPC with current app
       await updateNotificationWithForegroundApp(true, setDesktopConnected);
@@ -494,24 +982,63 @@ export default function App() {
       console.error('Connection error:', error);
       const errorMessage = error?.message || String(error) || 'Unknown error';
       Alert.alert('Error', `Failed to connect: ${errorMessage}\n\nMake sure:\n• Desktop app is running\n• Both devices on same WiFi\n• IP address is correct\n• Network permissions are granted`);
-      setDesktopConnected(false);
     } finally {
       setDesktopConnecting(false);
     }
   };
 
-  // Disconnect from desktop app
-  const disconnectDesktop = async () => {
+  // Search the local network for desktop companions
+  const discoverDesktops = async () => {
+    setDiscovering(true);
+    try {
+      const companions = await desktopRPC.discover();
+      setDiscoveredCompanions(companions);
+      // Fill in the address right away when there's only one choice
+      if (companions.length === 1) {
+        setDesktopIP(companions[0].address);
+        setDesktopName(companions[0].name);
+      }
+    } catch (error) {
+      setDiscoveredCompanions([]);
+    } finally {
+      setDiscovering(false);
+    }
+  };
+
+  // Turn updates to one desktop app on or off
+  const toggleDesktopEndpoint = async (id, enabled) => {
     try {
-      await desktopRPC.disable();
-      setDesktopConnected(false);
-      setDesktopEnabled(false);
-      Alert.alert('Success', 'Disconnected from desktop app');
+      await desktopRPC.setEndpointEnabled(id, enabled);
     } catch (error) {
-      // Error disconnecting from desktop app
+      // Error toggling desktop app
     }
   };
 
+  // Forget a desktop app after confirming
+  const removeDesktopEndpoint = (endpoint) => {
+    Alert.alert(
+      'Remove Desktop App',
+      `Remove ${endpoint.name}? You'll need a new pairing code to add it again.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: () => desktopRPC.removeEndpoint(endpoint.id).catch(() => {}),
+        },
+      ]
+    );
+  };
+
+  const moveDesktopEndpoint = (id, direction) => {
+    desktopRPC.moveEndpoint(id, direction).catch(() => {});
+  };
+
+  const changeDesktopMode = async (mode) => {
+    setDesktopMode(mode);
+    await desktopRPC.setMode(mode);
+  };
+
   // Request battery optimization exemption (disabled until app rebuild)
   const requestBatteryOptimizationExemption = async () => {
     Alert.alert('Info', 'Battery optimization feature requires app rebuild. Please rebuild the app to use this feature.');
@@ -535,10 +1062,7 @@ export default function App() {
   const saveDesktopSettings = async () => {
     try {
       if (desktopIP.trim()) {
-        if (desktopConnected) {
-          await disconnectDesktop();
-        }
-        await connectDesktop(desktopIP.trim());
+        await connectDesktop(desktopIP.trim(), pairingCode, desktopName);
       } else {
         setShowDesktopSettings(false);
       }
@@ -547,15 +1071,69 @@ export default function App() {
     }
   };
 
+  // Save the phone's default CLIENT_ID (empty clears it)
+  const saveDefaultClientId = async () => {
+    const value = editDefaultClientId.trim();
+    if (value && !CLIENT_ID_PATTERN.test(value)) {
+      Alert.alert('Invalid CLIENT_ID', 'A Discord Application ID is 17-20 digits.');
+      return;
+    }
+
+    try {
+      await settingsStore.set('defaultClientId', value);
+      setEditDefaultClientId(value);
+    } catch (error) {
+      Alert.alert('Error', 'Failed to save default CLIENT_ID');
+    }
+  };
+
   const handleEditPackage = (packageName) => {
     setEditingPackage(packageName);
     setEditText(customNames[packageName] || packageName);
     setEditClientId(clientIds[packageName] || '');
+    setEditActivity(activityToForm(activityDefaults[packageName]));
+    setEditTemplate({
+      details: presenceTemplates[packageName]?.details || '',
+      // Plain state text saved before templates existed becomes the state template
+      state: presenceTemplates[packageName]?.state || activityDefaults[packageName]?.state || '',
+    });
+    setEditRule(ruleToForm(appRules[packageName]));
+    setEditCategory(appCategories[packageName] || '');
     setClientIdTestResult(null);
+    getBatteryLevel().then(setPreviewBatteryLevel);
+    loadEditAssets(clientIds[packageName] || '');
+  };
+
+  // Fetch the image assets of the app's Discord application (or a default one) through the desktop app
+  const loadEditAssets = async (clientId, refresh = false) => {
+    const request = ++assetsRequestRef.current;
+    if (!desktopRPC.isConnected) {
+      setEditAssets(EMPTY_ASSET_LIST);
+      return;
+    }
+
+    setEditAssets((current) => ({ ...current, loading: true, error: null }));
+    try {
+      const result = await desktopRPC.getAssets(clientId || defaultClientId, refresh);
+      if (request === assetsRequestRef.current) {
+        setEditAssets({ assets: result.assets, loading: false, stale: result.stale, fetchedAt: result.fetchedAt, error: null });
+      }
+    } catch (error) {
+      if (request === assetsRequestRef.current) {
+        setEditAssets({ ...EMPTY_ASSET_LIST, error: error.message });
+      }
+    }
   };
 
   const saveCustomName = async () => {
     if (!editingPackage) return;
+
+    const rule = formToRule(editRule);
+    const ruleProblems = validateRule(rule);
+    if (ruleProblems.length > 0) {
+      Alert.alert('Invalid Sharing Rules', ruleProblems.join('\n'));
+      return;
+    }
     
     try {
       const newCustomNames = { ...customNames };
@@ -577,24 +1155,64 @@ export default function App() {
       
       // Update enabled state based on CLIENT_ID changes
       const newEnabledApps = { ...enabledApps };
-      if (!hasClientId && hadClientId) {
-        // CLIENT_ID was removed - disable the app
+      const hasFallbackClientId = hasDefaultClientId || !!getCategorySettingsForList(editingPackage, editCategory).clientId;
+      if (!hasClientId && hadClientId && !hasFallbackClientId) {
+        // CLIENT_ID was removed and there's no default to fall back on - disable the app
         delete newEnabledApps[editingPackage];
       }
       // If CLIENT_ID was added, keep current enabled state (defaults to disabled)
       
-      // Batch AsyncStorage writes for better performance
-      await AsyncStorage.multiSet([
-        [CUSTOM_NAMES_STORAGE_KEY, JSON.stringify(newCustomNames)],
-        [CLIENT_IDS_STORAGE_KEY, JSON.stringify(newClientIds)],
-        [ENABLED_APPS_STORAGE_KEY, JSON.stringify(newEnabledApps)],
-      ]);
-      setCustomNames(newCustomNames);
-      setClientIds(newClientIds);
-      setEnabledApps(newEnabledApps);
+      const newActivityDefaults = { ...activityDefaults };
+      const activity = formToActivity(editActivity);
+      if (Object.keys(activity).length > 0) {
+        newActivityDefaults[editingPackage] = activity;
+      } else {
+        delete newActivityDefaults[editingPackage];
+      }
+
+      const newPresenceTemplates = { ...presenceTemplates };
+      const template = {};
+      if (editTemplate.details.trim()) {
+        template.details = editTemplate.details.trim();
+      }
+      if (editTemplate.state.trim()) {
+        template.state = editTemplate.state.trim();
+      }
+      if (Object.keys(template).length > 0) {
+        newPresenceTemplates[editingPackage] = template;
+      } else {
+        delete newPresenceTemplates[editingPackage];
+      }
+
+      const newAppCategories = { ...appCategories };
+      if (editCategory) {
+        newAppCategories[editingPackage] = editCategory;
+      } else {
+        delete newAppCategories[editingPackage];
+      }
+
+      const newAppRules = { ...appRules };
+      if (Object.keys(rule).length > 0) {
+        newAppRules[editingPackage] = rule;
+      } else {
+        delete newAppRules[editingPackage];
+      }
+      
+      await settingsStore.setMany({
+        customNames: newCustomNames,
+        clientIds: newClientIds,
+        enabledApps: newEnabledApps,
+        activityDefaults: newActivityDefaults,
+        presenceTemplates: newPresenceTemplates,
+        appRules: newAppRules,
+        appCategories: newAppCategories,
+      });
       setEditingPackage(null);
       setEditText('');
       setEditClientId('');
+      setEditActivity(EMPTY_ACTIVITY_FORM);
+      setEditTemplate(EMPTY_TEMPLATE_FORM);
+      setEditRule(EMPTY_RULE_FORM);
       setClientIdTestResult(null);
     } catch (error) {
       // Error saving custom name
@@ -605,76 +1223,324 @@ export default function App() {
     return customNames[packageName] || packageName;
   };
 
+  // A default CLIENT_ID on the phone or an enabled desktop app covers apps without their own
+  const hasDefaultClientId = !!defaultClientId || desktopEndpoints.some((endpoint) => endpoint.enabled && endpoint.hasDefaultClientId);
+
+  // Category an app is listed under, with '' in editCategory meaning the detected one
+  const getCategoryForList = (packageName, chosen = appCategories[packageName]) => (
+    getPackageCategory(packageName, chosen ? { [packageName]: chosen } : {}, detectedCategories)
+  );
+
+  const getCategorySettingsForList = (packageName, chosen) => {
+    const category = getCategoryForList(packageName, chosen);
+    return category ? categorySettings[category] || {} : {};
+  };
+
+  const hasClientIdForList = (packageName) => (
+    !!clientIds[packageName] || !!getCategorySettingsForList(packageName).clientId || hasDefaultClientId
+  );
+
   // Helper to check if app is enabled (considering CLIENT_ID) for UI display
   // Apps can only be enabled if they have a CLIENT_ID set
   const isAppEnabledForList = (packageName) => {
-    const hasClientId = !!clientIds[packageName];
+    const hasClientId = hasClientIdForList(packageName);
     if (!hasClientId) {
       // No CLIENT_ID - always disabled
       return false;
     }
-    // Has CLIENT_ID - must be explicitly enabled
-    return enabledApps[packageName] === true;
+    // Has CLIENT_ID - must be enabled on the app or its category
+    return isEnabledWithCategory(enabledApps[packageName], getCategorySettingsForList(packageName));
   };
 
   const toggleAppEnabled = async (packageName) => {
     try {
-      const hasClientId = !!clientIds[packageName];
+      const hasClientId = hasClientIdForList(packageName);
       
       // Can only toggle if CLIENT_ID is set
       if (!hasClientId) {
-        Alert.alert('CLIENT_ID Required', 'Please set a CLIENT_ID before enabling this app.');
+        Alert.alert('CLIENT_ID Required', 'Please set a CLIENT_ID for this app, or a default CLIENT_ID in the Desktop Companion settings, before enabling it.');
         return;
       }
       
       const newEnabledApps = { ...enabledApps };
-      const currentlyEnabled = enabledApps[packageName] === true;
+      const currentlyEnabled = isAppEnabledForList(packageName);
       
-      // Toggle explicit enabled state
+      // Toggle explicit enabled state (from then on the app no longer follows its category)
       newEnabledApps[packageName] = !currentlyEnabled;
       
-      await AsyncStorage.setItem(ENABLED_APPS_STORAGE_KEY, JSON.stringify(newEnabledApps));
-      setEnabledApps(newEnabledApps);
+      await settingsStore.set('enabledApps', newEnabledApps);
     } catch (error) {
       // Error toggling app enabled state
     }
   };
 
-  // Test CLIENT_ID by attempting to connect to Discord
-  const testClientId = async () => {
-    if (!editClientId.trim()) {
-      Alert.alert('Error', 'Please enter a CLIENT_ID to test');
-      return;
+  // Let an app follow its category's on/off switch again
+  const followCategoryEnabled = async (packageName) => {
+    try {
+      const newEnabledApps = { ...enabledApps };
+      delete newEnabledApps[packageName];
+      await settingsStore.set('enabledApps', newEnabledApps);
+    } catch (error) {
+      // Error resetting app enabled state
     }
+  };
 
-    if (!desktopRPC.isConnected) {
-      Alert.alert('Error', 'Please connect to desktop app first');
+  const handleEditCategory = (categoryId) => {
+    const settings = categorySettings[categoryId] || {};
+    setEditingCategory(categoryId);
+    setEditCategoryForm({
+      clientId: settings.clientId || '',
+      details: settings.template?.details || '',
+      state: settings.template?.state || '',
+    });
+  };
+
+  // Save the CLIENT_ID and presence text shared by a category's apps
+  const saveCategory = async () => {
+    const clientId = editCategoryForm.clientId.trim();
+    if (clientId && !CLIENT_ID_PATTERN.test(clientId)) {
+      Alert.alert('Invalid CLIENT_ID', 'A Discord Application ID is 17-20 digits.');
       return;
     }
 
-    setTestingClientId(true);
-    setClientIdTestResult(null);
+    const settings = { ...categorySettings[editingCategory] };
+    delete settings.clientId;
+    delete settings.template;
+    if (clientId) {
+      settings.clientId = clientId;
+    }
+    const template = {};
+    if (editCategoryForm.details.trim()) {
+      template.details = editCategoryForm.details.trim();
+    }
+    if (editCategoryForm.state.trim()) {
+      template.state = editCategoryForm.state.trim();
+    }
+    if (Object.keys(template).length > 0) {
+      settings.template = template;
+    }
 
     try {
-      // Send a test update with the CLIENT_ID
-      const testDisplayName = 'Test Connection';
-      const testPackageName = editingPackage || 'test';
-      
-      await desktopRPC.setActivity(testDisplayName, testPackageName, editClientId.trim());
-      
-      // Wait a moment to see if it succeeds
-      setTimeout(() => {
-        setClientIdTestResult('success');
-        setTestingClientId(false);
-        Alert.alert('Success', 'CLIENT_ID is valid! Discord connection successful.');
-      }, 1000);
+      await settingsStore.set('categorySettings', { ...categorySettings, [editingCategory]: settings });
+      setEditingCategory(null);
+      setEditCategoryForm(EMPTY_CATEGORY_FORM);
     } catch (error) {
-      setClientIdTestResult('error');
+      Alert.alert('Error', 'Failed to save category');
+    }
+  };
+
+  // Turn sharing on or off for every app in a category that doesn't have its own switch set
+  const toggleCategoryEnabled = async (categoryId) => {
+    const settings = categorySettings[categoryId] || {};
+    try {
+      await settingsStore.set('categorySettings', { ...categorySettings, [categoryId]: { ...settings, enabled: !settings.enabled } });
+    } catch (error) {
+      // Error toggling category
+    }
+  };
+
+  // Time per app or category for the Statistics dialog
+  const loadUsageStats = async (range = statsRange, group = statsGroup) => {
+    setStatsRange(range);
+    setStatsGroup(group);
+    try {
+      const { from, to } = STATS_RANGES[range]();
+      const sessions = await loadSessions(from, to);
+      const groupOf = group === 'categories' ? (session) => getCategoryForList(session.packageName) || NO_CATEGORY : undefined;
+      setUsageStats(summarizeUsage(sessions, { from, to }, groupOf));
+    } catch (error) {
+      setUsageStats(null);
+    }
+  };
+
+  const openStats = () => {
+    setShowStats(true);
+    loadUsageStats();
+  };
+
+  // Share the sessions in the selected range as CSV or JSON
+  const exportUsage = async (format) => {
+    try {
+      const { from, to } = STATS_RANGES[statsRange]();
+      const sessions = await loadSessions(from, to);
+      await shareUsageFile(sessions, format, (session) => ({
+        displayName: customNames[session.packageName] || session.packageName,
+        category: getCategoryForList(session.packageName),
+      }));
+    } catch (error) {
+      Alert.alert('Export Failed', error.message);
+    }
+  };
+
+  // Privacy mode stops sharing every app until it's turned off again
+  const togglePrivacyMode = async () => {
+    try {
+      await settingsStore.set('privacy', { ...privacy, enabled: !privacy.enabled });
+    } catch (error) {
+      Alert.alert('Error', 'Failed to save privacy mode');
+    }
+  };
+
+  const openPrivacySettings = () => {
+    setEditKeywords(privacy.keywords.join(', '));
+    setShowPrivacy(true);
+  };
+
+  // Apps whose name or package contains one of these keywords are never shared
+  const savePrivacyKeywords = async () => {
+    try {
+      await settingsStore.set('privacy', { ...privacy, keywords: parseKeywords(editKeywords) });
+      setShowPrivacy(false);
+    } catch (error) {
+      Alert.alert('Error', 'Failed to save keywords');
+    }
+  };
+
+  const openAwaySettings = async () => {
+    const awayStates = settingsStore.get('awayStates');
+    setEditAway({ ...awayStates, idleMinutes: String(awayStates.idleMinutes) });
+    setShowAway(true);
+    try {
+      // Idle time can only be measured with the accessibility service
+      setAccessibilityEnabled(await ForegroundAppModule.isAccessibilityServiceEnabled());
+    } catch (error) {
+      setAccessibilityEnabled(false);
+    }
+  };
+
+  const saveAwaySettings = async () => {
+    const awayStates = { ...editAway, idleMinutes: Number(editAway.idleMinutes.trim()) };
+    const problems = validateAwaySettings(awayStates);
+    if (problems.length > 0) {
+      Alert.alert('Error', problems.join('\n'));
+      return;
+    }
+    try {
+      await settingsStore.set('awayStates', awayStates);
+      setShowAway(false);
+      await updateNotificationWithForegroundApp(true, setDesktopConnected);
+    } catch (error) {
+      Alert.alert('Error', 'Failed to save away settings');
+    }
+  };
+
+  const openAccessibilitySettings = async () => {
+    try {
+      await ForegroundAppModule.openAccessibilitySettings();
+    } catch (error) {
+      Alert.alert('Error', 'Could not open accessibility settings');
+    }
+  };
+
+  // Have the desktop app check the CLIENT_ID against Discord
+  const testClientId = async () => {
+    if (!editClientId.trim()) {
+      Alert.alert('Error', 'Please enter a CLIENT_ID to test');
+      return;
+    }
+
+    if (!desktopRPC.isConnected) {
+      Alert.alert('Error', 'Please connect to desktop app first');
+      return;
+    }
+
+    setTestingClientId(true);
+    setClientIdTestResult(null);
+
+    try {
+      const result = await desktopRPC.validateClientId(editClientId.trim());
+      setClientIdTestResult(result);
+      if (result.valid && result.assets) {
+        assetsRequestRef.current++;
+        setEditAssets({ ...EMPTY_ASSET_LIST, assets: result.assets, fetchedAt: Date.now() });
+      }
+    } catch (error) {
+      Alert.alert('Error', `Could not test this CLIENT_ID: ${error.message}`);
+    } finally {
       setTestingClientId(false);
-      Alert.alert('Error', `Failed to connect with this CLIENT_ID: ${error.message}`);
     }
   };
 
+  // Write an imported backup; the settings subscription shows it right away
+  const importBackup = async (settings, mode) => {
+    await applyBackup(settings, mode);
+
+    const addedDesktops = await desktopRPC.importEndpoints(settings.desktop?.endpoints || []);
+    if (mode === IMPORT_MODES.REPLACE && settings.desktop?.mode) {
+      await desktopRPC.setMode(settings.desktop.mode);
+      setDesktopMode(desktopRPC.mode);
+    }
+
+    Alert.alert(
+      'Settings Imported',
+      addedDesktops > 0
+        ? `${addedDesktops} desktop ${addedDesktops === 1 ? 'app was' : 'apps were'} added. Pair ${addedDesktops === 1 ? 'it' : 'them'} again from the Desktop Companion dialog.`
+        : 'Your app settings were restored.'
+    );
+  };
+
+  // Validate a backup and ask whether to merge it or replace the current settings
+  const confirmImport = (bundle, source) => {
+    const { settings, errors } = validateBackup(bundle);
+    if (!settings) {
+      Alert.alert('Invalid Backup', errors.join('\n'));
+      return;
+    }
+
+    const appCount = (settings.packages || []).length;
+    const savedOn = bundle.exportedAt ? new Date(bundle.exportedAt).toLocaleString() : 'an unknown date';
+    const runImport = (mode) => {
+      importBackup(settings, mode).catch((error) => {
+        Alert.alert('Error', `Failed to import settings: ${error.message}`);
+      });
+    };
+    Alert.alert(
+      'Import Settings',
+      `${source}: ${appCount} ${appCount === 1 ? 'app' : 'apps'} from ${bundle.device || 'another phone'}, saved ${savedOn}.\n\n`
+        + 'Merge adds the backup to your current settings. Replace makes your app settings match the backup exactly.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Merge', onPress: () => runImport(IMPORT_MODES.MERGE) },
+        { text: 'Replace', style: 'destructive', onPress: () => runImport(IMPORT_MODES.REPLACE) },
+      ]
+    );
+  };
+
+  // Run one backup action with the dialog buttons disabled
+  const runBackupAction = async (action, failureMessage) => {
+    setBackupBusy(true);
+    try {
+      await action();
+    } catch (error) {
+      Alert.alert('Error', `${failureMessage}: ${error.message}`);
+    } finally {
+      setBackupBusy(false);
+    }
+  };
+
+  const exportSettings = () => runBackupAction(async () => {
+    const bundle = await createBackup({ mode: desktopRPC.mode, endpoints: desktopRPC.endpointStatus });
+    await shareBackupFile(bundle);
+  }, 'Failed to export settings');
+
+  const importSettingsFromFile = () => runBackupAction(async () => {
+    const bundle = await pickBackupFile();
+    if (bundle) {
+      confirmImport(bundle, 'Backup file');
+    }
+  }, 'Failed to read the backup file');
+
+  const saveBackupToDesktop = () => runBackupAction(async () => {
+    const bundle = await createBackup({ mode: desktopRPC.mode, endpoints: desktopRPC.endpointStatus });
+    const result = await desktopRPC.saveBackup(bundle);
+    Alert.alert('Backup Saved', `Your settings are saved on ${result.endpointName}.`);
+  }, 'Failed to save the backup');
+
+  const restoreBackupFromDesktop = () => runBackupAction(async () => {
+    const result = await desktopRPC.loadBackup();
+    confirmImport(result.bundle, `Backup on ${result.endpointName}`);
+  }, 'Failed to load a backup');
+
   return (
     <PaperProvider>
       <AppContent
@@ -682,31 +1548,106 @@ export default function App() {
         editingPackage={editingPackage}
         editText={editText}
         editClientId={editClientId}
+        editActivity={editActivity}
+        editTemplate={editTemplate}
+        editRule={editRule}
+        appRules={appRules}
+        privacy={privacy}
+        showPrivacy={showPrivacy}
+        editKeywords={editKeywords}
+        showAway={showAway}
+        editAway={editAway}
+        accessibilityEnabled={accessibilityEnabled}
+        settingsReadOnly={settingsReadOnly}
+        editCategory={editCategory}
+        categorySettings={categorySettings}
+        showCategories={showCategories}
+        editingCategory={editingCategory}
+        editCategoryForm={editCategoryForm}
+        showStats={showStats}
+        statsRange={statsRange}
+        statsGroup={statsGroup}
+        usageStats={usageStats}
+        previewBatteryLevel={previewBatteryLevel}
         testingClientId={testingClientId}
         clientIdTestResult={clientIdTestResult}
+        editAssets={editAssets}
         customNames={customNames}
         clientIds={clientIds}
         enabledApps={enabledApps}
         desktopIP={desktopIP}
+        desktopName={desktopName}
+        pairingCode={pairingCode}
+        discovering={discovering}
+        discoveredCompanions={discoveredCompanions}
         desktopConnected={desktopConnected}
-        desktopEnabled={desktopEnabled}
+        discordConnected={discordConnected}
+        desktopEndpoints={desktopEndpoints}
+        desktopMode={desktopMode}
+        defaultClientId={defaultClientId}
+        editDefaultClientId={editDefaultClientId}
+        hasDefaultClientId={hasDefaultClientId}
         showDesktopSettings={showDesktopSettings}
         desktopConnecting={desktopConnecting}
+        showBackup={showBackup}
+        backupBusy={backupBusy}
         setEditingPackage={setEditingPackage}
         setEditText={setEditText}
         setEditClientId={setEditClientId}
+        setEditActivity={setEditActivity}
+        setEditTemplate={setEditTemplate}
+        setEditRule={setEditRule}
+        setShowPrivacy={setShowPrivacy}
+        setEditKeywords={setEditKeywords}
+        setShowAway={setShowAway}
+        setEditAway={setEditAway}
+        setEditCategory={setEditCategory}
+        setShowCategories={setShowCategories}
+        setEditingCategory={setEditingCategory}
+        setEditCategoryForm={setEditCategoryForm}
+        setShowStats={setShowStats}
         setClientIdTestResult={setClientIdTestResult}
         setDesktopIP={setDesktopIP}
+        setDesktopName={setDesktopName}
+        setPairingCode={setPairingCode}
         setShowDesktopSettings={setShowDesktopSettings}
+        setEditDefaultClientId={setEditDefaultClientId}
         handleEditPackage={handleEditPackage}
         saveCustomName={saveCustomName}
         getDisplayNameForList={getDisplayNameForList}
         isAppEnabledForList={isAppEnabledForList}
+        hasClientIdForList={hasClientIdForList}
         toggleAppEnabled={toggleAppEnabled}
         testClientId={testClientId}
+        loadEditAssets={loadEditAssets}
         connectDesktop={connectDesktop}
-        disconnectDesktop={disconnectDesktop}
+        toggleDesktopEndpoint={toggleDesktopEndpoint}
+        removeDesktopEndpoint={removeDesktopEndpoint}
+        moveDesktopEndpoint={moveDesktopEndpoint}
+        changeDesktopMode={changeDesktopMode}
+        discoverDesktops={discoverDesktops}
         saveDesktopSettings={saveDesktopSettings}
+        saveDefaultClientId={saveDefaultClientId}
+        setShowBackup={setShowBackup}
+        exportSettings={exportSettings}
+        importSettingsFromFile={importSettingsFromFile}
+        saveBackupToDesktop={saveBackupToDesktop}
+        restoreBackupFromDesktop={restoreBackupFromDesktop}
+        togglePrivacyMode={togglePrivacyMode}
+        openPrivacySettings={openPrivacySettings}
+        savePrivacyKeywords={savePrivacyKeywords}
+        openAwaySettings={openAwaySettings}
+        saveAwaySettings={saveAwaySettings}
+        openAccessibilitySettings={openAccessibilitySettings}
+        getCategoryForList={getCategoryForList}
+        getCategorySettingsForList={getCategorySettingsForList}
+        followCategoryEnabled={followCategoryEnabled}
+        handleEditCategory={handleEditCategory}
+        saveCategory={saveCategory}
+        toggleCategoryEnabled={toggleCategoryEnabled}
+        loadUsageStats={loadUsageStats}
+        openStats={openStats}
+        exportUsage={exportUsage}
       />
     </PaperProvider>
   );
@@ -717,48 +1658,181 @@ function AppContent({
   editingPackage,
   editText,
   editClientId,
+  editActivity,
+  editTemplate,
+  editRule,
+  appRules,
+  privacy,
+  showPrivacy,
+  editKeywords,
+  showAway,
+  editAway,
+  accessibilityEnabled,
+  settingsReadOnly,
+  editCategory,
+  categorySettings,
+  showCategories,
+  editingCategory,
+  editCategoryForm,
+  showStats,
+  statsRange,
+  statsGroup,
+  usageStats,
+  previewBatteryLevel,
   testingClientId,
   clientIdTestResult,
+  editAssets,
   customNames,
   clientIds,
   enabledApps,
   desktopIP,
+  desktopName,
+  pairingCode,
+  discovering,
+  discoveredCompanions,
   desktopConnected,
-  desktopEnabled,
+  discordConnected,
+  desktopEndpoints,
+  desktopMode,
+  defaultClientId,
+  editDefaultClientId,
+  hasDefaultClientId,
   showDesktopSettings,
   desktopConnecting,
+  showBackup,
+  backupBusy,
   setEditingPackage,
   setEditText,
   setEditClientId,
+  setEditActivity,
+  setEditTemplate,
+  setEditRule,
+  setShowPrivacy,
+  setEditKeywords,
+  setShowAway,
+  setEditAway,
+  setEditCategory,
+  setShowCategories,
+  setEditingCategory,
+  setEditCategoryForm,
+  setShowStats,
   setClientIdTestResult,
   setDesktopIP,
+  setDesktopName,
+  setPairingCode,
   setShowDesktopSettings,
+  setEditDefaultClientId,
   handleEditPackage,
   saveCustomName,
   getDisplayNameForList,
   isAppEnabledForList,
+  hasClientIdForList,
   toggleAppEnabled,
   testClientId,
+  loadEditAssets,
   connectDesktop,
-  disconnectDesktop,
+  toggleDesktopEndpoint,
+  removeDesktopEndpoint,
+  moveDesktopEndpoint,
+  changeDesktopMode,
+  discoverDesktops,
   saveDesktopSettings,
+  saveDefaultClientId,
+  setShowBackup,
+  exportSettings,
+  importSettingsFromFile,
+  saveBackupToDesktop,
+  restoreBackupFromDesktop,
+  togglePrivacyMode,
+  openPrivacySettings,
+  savePrivacyKeywords,
+  openAwaySettings,
+  saveAwaySettings,
+  openAccessibilitySettings,
+  getCategoryForList,
+  getCategorySettingsForList,
+  followCategoryEnabled,
+  handleEditCategory,
+  saveCategory,
+  toggleCategoryEnabled,
+  loadUsageStats,
+  openStats,
+  exportUsage,
 }) {
   const theme = useTheme();
 
+  // Green only when Discord itself is connected, not just the desktop app
+  const connectionButton = !desktopConnected
+    ? { label: 'Disconnected', color: '#ff6b6b', textColor: '#ffffff' }
+    : discordConnected
+      ? { label: 'Connected', color: '#57F287', textColor: '#000000' }
+      : { label: 'Discord Offline', color: '#FEE75C', textColor: '#000000' };
+
+  const updateEditActivity = (field, value) => {
+    setEditActivity({ ...editActivity, [field]: value });
+  };
+
+  const updateEditTemplate = (field, value) => {
+    setEditTemplate({ ...editTemplate, [field]: value });
+  };
+
+  const updateEditRule = (field, value) => {
+    setEditRule({ ...editRule, [field]: value });
+  };
+
+  const toggleEditRuleDay = (day) => {
+    updateEditRule('days', editRule.days.includes(day) ? editRule.days.filter((current) => current !== day) : [...editRule.days, day]);
+  };
+
+  // Exactly what Discord will show for the app being edited, with live values
+  // The category the app being edited would be in, and what it falls back on from it
+  const editCategoryId = editingPackage ? getCategoryForList(editingPackage, editCategory) : null;
+  const editCategorySettings = editingPackage ? getCategorySettingsForList(editingPackage, editCategory) : {};
+  const editHasFallbackClientId = hasDefaultClientId || !!editCategorySettings.clientId;
+  const editUsesCategoryTemplate = !editTemplate.details.trim() && !editTemplate.state.trim() && !!editCategorySettings.template;
+
+  const updateEditCategoryForm = (field, value) => {
+    setEditCategoryForm({ ...editCategoryForm, [field]: value });
+  };
+
+  const templatePreview = editingPackage
+    ? renderPresenceText(editUsesCategoryTemplate ? editCategorySettings.template : editTemplate, buildTemplateValues({
+      displayName: editText.trim() || editingPackage,
+      packageName: editingPackage,
+      sessionStart: appSessions[editingPackage]?.start,
+      batteryLevel: previewBatteryLevel,
+    }))
+    : null;
+
   return (
     <View style={[styles.container, { backgroundColor: theme.colors.background }]}>
         <Appbar.Header>
           <Appbar.Content title="Discord Rich Presence" />
+          <Appbar.Action
+            icon={privacy.enabled ? 'incognito' : 'incognito-off'}
+            color={privacy.enabled ? '#FEE75C' : undefined}
+            onPress={openPrivacySettings}
+          />
+          <Appbar.Action icon="sleep" onPress={openAwaySettings} />
+          <Appbar.Action icon="chart-bar" onPress={openStats} />
+          <Appbar.Action icon="shape" onPress={() => setShowCategories(true)} />
+          <Appbar.Action icon="backup-restore" onPress={() => setShowBackup(true)} />
           <Button
             mode="contained"
-            onPress={() => setShowDesktopSettings(true)}
-            buttonColor={desktopConnected ? '#57F287' : '#ff6b6b'}
-            textColor={desktopConnected ? '#000000' : '#ffffff'}
+            onPress={() => {
+              setEditDefaultClientId(defaultClientId);
+              setShowDesktopSettings(true);
+            }}
+            buttonColor={connectionButton.color}
+            textColor={connectionButton.textColor}
             style={styles.discordButton}
           >
-            {desktopConnected ? 'Connected' : 'Disconnected'}
+            {connectionButton.label}
           </Button>
         </Appbar.Header>
+      {settingsReadOnly && (
+        <Text variant="bodyMedium" style={styles.readOnlyNotice}>{READ_ONLY_MESSAGE}</Text>
+      )}
       {packages.length === 0 ? (
         <View style={styles.emptyContainer}>
           <Text variant="bodyLarge" style={styles.emptyText}>No apps detected yet. Switch to another app to see it here.</Text>
@@ -773,7 +1847,7 @@ function AppContent({
         style={styles.list}
         renderItem={({ item }) => (
           <Card style={styles.packageItem} onPress={() => {
-            if (clientIds[item]) {
+            if (hasClientIdForList(item)) {
               toggleAppEnabled(item);
             }
           }}>
@@ -782,12 +1856,17 @@ function AppContent({
                 <View style={styles.packageItemText}>
                   <Text variant="titleMedium" style={styles.packageName}>{getDisplayNameForList(item)}</Text>
                   <Text variant="bodySmall" style={styles.packageId}>{item}</Text>
+                  {getCategoryForList(item) || describeRule(appRules[item]) ? (
+                    <Text variant="bodySmall" style={styles.ruleSummary}>
+                      {[getCategoryForList(item) && getCategoryLabel(getCategoryForList(item)), describeRule(appRules[item])].filter(Boolean).join(' · ')}
+                    </Text>
+                  ) : null}
                 </View>
                 <View style={styles.packageItemActions}>
                   <Switch
                     value={isAppEnabledForList(item)}
                     onValueChange={() => toggleAppEnabled(item)}
-                    disabled={!clientIds[item]}
+                    disabled={!hasClientIdForList(item)}
                   />
                   <IconButton
                     icon="pencil"
@@ -810,6 +1889,9 @@ function AppContent({
             setEditingPackage(null);
             setEditText('');
             setEditClientId('');
+            setEditActivity(EMPTY_ACTIVITY_FORM);
+            setEditTemplate(EMPTY_TEMPLATE_FORM);
+            setEditRule(EMPTY_RULE_FORM);
             setClientIdTestResult(null);
           }}
           dismissable={true}
@@ -830,12 +1912,41 @@ function AppContent({
                 style={styles.textInput}
               />
               <Paragraph variant="bodySmall" style={styles.inputHint}>
-                This will appear in the notification and Discord Rich Presence (details field)
+                This will appear in the notification and as {'{name}'} in the Discord Rich Presence text
               </Paragraph>
+
+              <Text variant="labelLarge">Category</Text>
+              <View style={[styles.chipRow, styles.categoryChips]}>
+                <Chip selected={!editCategory} onPress={() => setEditCategory('')} compact>
+                  Auto ({getCategoryLabel(getCategoryForList(editingPackage, ''))})
+                </Chip>
+                {CATEGORIES.map((category) => (
+                  <Chip key={category.id} icon={category.icon} selected={editCategory === category.id} onPress={() => setEditCategory(category.id)} compact>
+                    {category.label}
+                  </Chip>
+                ))}
+                <Chip selected={editCategory === NO_CATEGORY} onPress={() => setEditCategory(NO_CATEGORY)} compact>
+                  None
+                </Chip>
+              </View>
+              {editCategoryId && (
+                enabledApps[editingPackage] === undefined ? (
+                  <Paragraph variant="bodySmall" style={styles.inputHint}>
+                    Turned on and off with the {getCategoryLabel(editCategoryId)} category. Fields left empty below use the category's settings.
+                  </Paragraph>
+                ) : (
+                  <View style={styles.assetStatusRow}>
+                    <Text variant="bodySmall" style={styles.assetStatusText}>
+                      Turned {enabledApps[editingPackage] ? 'on' : 'off'} for this app only
+                    </Text>
+                    <Button compact onPress={() => followCategoryEnabled(editingPackage)}>Follow Category</Button>
+                  </View>
+                )
+              )}
               
               <View style={styles.clientIdContainer}>
                 <TextInput
-                  label="Discord CLIENT_ID (Required)"
+                  label={editHasFallbackClientId ? 'Discord CLIENT_ID (Optional)' : 'Discord CLIENT_ID (Required)'}
                   value={editClientId}
                   onChangeText={(text) => {
                     setEditClientId(text);
@@ -860,14 +1971,207 @@ function AppContent({
               </View>
               <Paragraph variant="bodySmall" style={styles.inputHint}>
                 Create a Discord app at discord.com/developers/applications and enter its Application ID here.
-                This is required for Discord Rich Presence to work.
+                {editCategorySettings.clientId
+                  ? ` Leave empty to use the ${getCategoryLabel(editCategoryId)} category's Discord application.`
+                  : hasDefaultClientId
+                    ? ' Leave empty to use the default Discord application.'
+                    : ' This is required for Discord Rich Presence to work.'}
+              </Paragraph>
+              {clientIdTestResult?.valid && (
+                <Text variant="bodySmall" style={styles.testSuccessText}>
+                  ✓ {clientIdTestResult.application
+                    ? `${clientIdTestResult.application.name} (${describeAssetCount(clientIdTestResult.assets)})`
+                    : 'CLIENT_ID is valid'}
+                </Text>
+              )}
+              {clientIdTestResult && !clientIdTestResult.valid && (
+                <Text variant="bodySmall" style={styles.testErrorText}>
+                  ✗ {describeClientIdError(clientIdTestResult.error)}
+                </Text>
+              )}
+
+              <Text variant="titleSmall" style={styles.sectionTitle}>Presence Text (Optional)</Text>
+              <TextInput
+                label="Details"
+                value={editTemplate.details}
+                onChangeText={(text) => updateEditTemplate('details', text)}
+                placeholder={editUsesCategoryTemplate ? `${getCategoryLabel(editCategoryId)}: ${editCategorySettings.template.details || DEFAULT_DETAILS_TEMPLATE}` : `First line, defaults to ${DEFAULT_DETAILS_TEMPLATE}`}
+                mode="outlined"
+                style={styles.textInput}
+              />
+              <TextInput
+                label="State"
+                value={editTemplate.state}
+                onChangeText={(text) => updateEditTemplate('state', text)}
+                placeholder="Second line, e.g. on {device} for {elapsed}"
+                mode="outlined"
+                style={styles.textInput}
+              />
+              <Paragraph variant="bodySmall" style={styles.inputHint}>
+                Variables: {TEMPLATE_VARIABLES.map((variable) => `{${variable.name}} ${variable.description.toLowerCase()}`).join(' · ')}
               </Paragraph>
-              {clientIdTestResult === 'success' && (
-                <Text variant="bodySmall" style={styles.testSuccessText}>✓ CLIENT_ID is valid</Text>
+              {templatePreview && (
+                <View style={[styles.infoBox, { backgroundColor: theme.colors.surfaceVariant }]}>
+                  <Text variant="labelSmall" style={{ color: theme.colors.onSurfaceVariant }}>DISCORD WILL SHOW</Text>
+                  <Text variant="bodyMedium" style={[styles.previewDetails, { color: theme.colors.onSurfaceVariant }]}>
+                    {templatePreview.details}
+                  </Text>
+                  {templatePreview.state ? (
+                    <Text variant="bodySmall" style={{ color: theme.colors.onSurfaceVariant }}>{templatePreview.state}</Text>
+                  ) : null}
+                  {templatePreview.problems.map((problem) => (
+                    <Text key={problem} variant="bodySmall" style={styles.queueErrorText}>✗ {problem}</Text>
+                  ))}
+                </View>
               )}
-              {clientIdTestResult === 'error' && (
-                <Text variant="bodySmall" style={styles.testErrorText}>✗ CLIENT_ID test failed</Text>
+
+              <Text variant="titleSmall" style={styles.sectionTitle}>Sharing Rules (Optional)</Text>
+              <View style={styles.assetStatusRow}>
+                <Text variant="bodyMedium" style={styles.packageItemText}>Only share during set hours</Text>
+                <Switch
+                  value={editRule.scheduleEnabled}
+                  onValueChange={(value) => updateEditRule('scheduleEnabled', value)}
+                />
+              </View>
+              {editRule.scheduleEnabled && (
+                <>
+                  <View style={styles.chipRow}>
+                    {DAY_NAMES.map((dayName, day) => (
+                      <Chip
+                        key={dayName}
+                        selected={editRule.days.includes(day)}
+                        showSelectedOverlay
+                        onPress={() => toggleEditRuleDay(day)}
+                        compact
+                      >
+                        {dayName}
+                      </Chip>
+                    ))}
+                  </View>
+                  <View style={styles.rowContainer}>
+                    <TextInput
+                      label="From"
+                      value={editRule.start}
+                      onChangeText={(text) => updateEditRule('start', text)}
+                      placeholder="09:00"
+                      mode="outlined"
+                      style={[styles.textInput, styles.rowInputLarge]}
+                      keyboardType="numbers-and-punctuation"
+                    />
+                    <TextInput
+                      label="Until"
+                      value={editRule.end}
+                      onChangeText={(text) => updateEditRule('end', text)}
+                      placeholder="17:00"
+                      mode="outlined"
+                      style={[styles.textInput, styles.rowInputLarge]}
+                      keyboardType="numbers-and-punctuation"
+                    />
+                  </View>
+                  <Paragraph variant="bodySmall" style={styles.inputHint}>
+                    24-hour times. A window like 22:00-02:00 runs past midnight.
+                  </Paragraph>
+                </>
               )}
+              <TextInput
+                label="Show As"
+                value={editRule.mask}
+                onChangeText={(text) => updateEditRule('mask', text)}
+                placeholder="Generic label instead of the app"
+                mode="outlined"
+                style={styles.textInput}
+              />
+              <View style={styles.chipRow}>
+                {MASK_LABELS.map((label) => (
+                  <Chip key={label} selected={editRule.mask === label} onPress={() => updateEditRule('mask', editRule.mask === label ? '' : label)} compact>
+                    {label}
+                  </Chip>
+                ))}
+              </View>
+              <Paragraph variant="bodySmall" style={styles.inputHint}>
+                With a label set, Discord only shows the label - no app name, images or buttons - using the default Discord application if there is one.
+              </Paragraph>
+
+              <Text variant="titleSmall" style={styles.sectionTitle}>Rich Presence Details (Optional)</Text>
+              <View style={styles.assetStatusRow}>
+                <Text variant="bodySmall" style={[styles.assetStatusText, editAssets.error && styles.queueErrorText]}>
+                  {describeAssetList(editAssets)}
+                </Text>
+                <IconButton
+                  icon="refresh"
+                  size={18}
+                  onPress={() => loadEditAssets(editClientId.trim(), true)}
+                  disabled={editAssets.loading || !desktopConnected}
+                />
+              </View>
+              <AssetPicker
+                label="Large Image"
+                value={editActivity.largeImageKey}
+                onChange={(key) => updateEditActivity('largeImageKey', key)}
+                assets={editAssets.assets}
+              />
+              <TextInput
+                label="Large Image Text"
+                value={editActivity.largeImageText}
+                onChangeText={(text) => updateEditActivity('largeImageText', text)}
+                placeholder="Shown when hovering the large image"
+                mode="outlined"
+                style={styles.textInput}
+              />
+              <AssetPicker
+                label="Small Image"
+                value={editActivity.smallImageKey}
+                onChange={(key) => updateEditActivity('smallImageKey', key)}
+                assets={editAssets.assets}
+              />
+              <Paragraph variant="bodySmall" style={styles.inputHint}>
+                Images come from Rich Presence → Art Assets of your Discord app. Tap refresh after uploading new ones.
+              </Paragraph>
+
+              {[1, 2].map((index) => (
+                <View key={index} style={styles.rowContainer}>
+                  <TextInput
+                    label={`Button ${index} Label`}
+                    value={editActivity[`button${index}Label`]}
+                    onChangeText={(text) => updateEditActivity(`button${index}Label`, text)}
+                    mode="outlined"
+                    style={[styles.textInput, styles.rowInputSmall]}
+                  />
+                  <TextInput
+                    label={`Button ${index} URL`}
+                    value={editActivity[`button${index}Url`]}
+                    onChangeText={(text) => updateEditActivity(`button${index}Url`, text)}
+                    placeholder="https://"
+                    mode="outlined"
+                    style={[styles.textInput, styles.rowInputLarge]}
+                    autoCapitalize="none"
+                    autoCorrect={false}
+                    keyboardType="url"
+                  />
+                </View>
+              ))}
+
+              <View style={styles.rowContainer}>
+                <TextInput
+                  label="Party Size"
+                  value={editActivity.partySize}
+                  onChangeText={(text) => updateEditActivity('partySize', text)}
+                  mode="outlined"
+                  style={[styles.textInput, styles.rowInputLarge]}
+                  keyboardType="numeric"
+                />
+                <TextInput
+                  label="Party Max"
+                  value={editActivity.partyMax}
+                  onChangeText={(text) => updateEditActivity('partyMax', text)}
+                  mode="outlined"
+                  style={[styles.textInput, styles.rowInputLarge]}
+                  keyboardType="numeric"
+                />
+              </View>
+              <Paragraph variant="bodySmall" style={styles.inputHint}>
+                Text fields must be 2-128 characters and button labels up to 32. Invalid values are rejected by the desktop app.
+              </Paragraph>
             </ScrollView>
           </Dialog.ScrollArea>
           <Dialog.Actions>
@@ -876,6 +2180,9 @@ function AppContent({
                 setEditingPackage(null);
                 setEditText('');
                 setEditClientId('');
+                setEditActivity(EMPTY_ACTIVITY_FORM);
+                setEditTemplate(EMPTY_TEMPLATE_FORM);
+                setEditRule(EMPTY_RULE_FORM);
                 setClientIdTestResult(null);
               }}
               style={styles.dialogButton}
@@ -886,7 +2193,7 @@ function AppContent({
             <Button 
               mode="contained" 
               onPress={saveCustomName}
-              disabled={!editClientId.trim()}
+              disabled={!editClientId.trim() && !editHasFallbackClientId}
               style={styles.dialogButton}
               contentStyle={styles.dialogButtonContent}
             >
@@ -904,18 +2211,154 @@ function AppContent({
           dismissableBackButton={true}
           style={styles.dialog}
         >
-          <Dialog.Title>Desktop Companion App</Dialog.Title>
+          <Dialog.Title>Desktop Companion Apps</Dialog.Title>
           <Dialog.ScrollArea>
             <ScrollView contentContainerStyle={styles.dialogScrollContent}>
               <Paragraph variant="bodyMedium" style={styles.modalDescription}>
-                Connect to your desktop companion app to show your current app as Discord Rich Presence.
+                Connect to your desktop companion apps to show your current app as Discord Rich Presence.
               </Paragraph>
               <View style={[styles.infoBox, { backgroundColor: theme.colors.surfaceVariant }]}>
                 <Text variant="bodySmall" style={[styles.infoBoxText, { color: theme.colors.onSurfaceVariant }]}>
-                  ℹ️ Make sure:{'\n'}• Desktop app is running{'\n'}• Both devices on same WiFi{'\n'}• Enter the IP shown in desktop app
+                  ℹ️ Make sure:{'\n'}• Desktop app is running{'\n'}• Both devices on same WiFi{'\n'}• Enter the IP and pairing code shown in desktop app
                 </Text>
               </View>
               
+              {desktopEndpoints.length > 1 && (
+                <>
+                  <Text variant="titleSmall" style={styles.sectionTitle}>Send Updates To</Text>
+                  <SegmentedButtons
+                    value={desktopMode}
+                    onValueChange={changeDesktopMode}
+                    buttons={[
+                      { value: DELIVERY_MODES.ALL, label: 'All enabled' },
+                      { value: DELIVERY_MODES.PRIORITY, label: 'First reachable' },
+                    ]}
+                    style={styles.modeButtons}
+                  />
+                  <Paragraph variant="bodySmall" style={styles.inputHint}>
+                    {desktopMode === DELIVERY_MODES.ALL
+                      ? 'Every enabled desktop app shows your status.'
+                      : 'Only the highest desktop app in the list that can be reached shows your status.'}
+                  </Paragraph>
+                </>
+              )}
+
+              {desktopEndpoints.length > 0 && (
+                <Text variant="titleSmall" style={styles.sectionTitle}>Desktop Apps</Text>
+              )}
+              {desktopEndpoints.map((endpoint, index) => (
+                <Card
+                  key={endpoint.id}
+                  mode={endpoint.active ? 'contained' : 'outlined'}
+                  style={styles.companionItem}
+                >
+                  <Card.Content>
+                    <View style={styles.packageItemContent}>
+                      <View style={styles.packageItemText}>
+                        <Text variant="titleSmall">{endpoint.name}</Text>
+                        <Text variant="bodySmall" style={styles.packageId}>{endpoint.address}</Text>
+                        <Text
+                          variant="bodySmall"
+                          style={[styles.endpointStatusText, endpoint.reachable && endpoint.authenticated && endpoint.discordConnected && styles.statusConnected]}
+                        >
+                          {describeEndpoint(endpoint)}
+                        </Text>
+                        {endpoint.queueDepth > 0 && (
+                          <Text variant="bodySmall" style={styles.packageId}>
+                            {endpoint.queueDepth} pending {endpoint.queueDepth === 1 ? 'update' : 'updates'}
+                          </Text>
+                        )}
+                        {endpoint.lastError && (
+                          <Text variant="bodySmall" style={styles.queueErrorText}>Last error: {endpoint.lastError}</Text>
+                        )}
+                      </View>
+                      <View style={styles.packageItemActions}>
+                        {desktopMode === DELIVERY_MODES.PRIORITY && index > 0 && (
+                          <IconButton
+                            icon="arrow-up"
+                            size={18}
+                            onPress={() => moveDesktopEndpoint(endpoint.id, -1)}
+                          />
+                        )}
+                        <Switch
+                          value={endpoint.enabled}
+                          onValueChange={(value) => toggleDesktopEndpoint(endpoint.id, value)}
+                        />
+                        <IconButton
+                          icon="delete"
+                          size={18}
+                          onPress={() => removeDesktopEndpoint(endpoint)}
+                        />
+                      </View>
+                    </View>
+                  </Card.Content>
+                </Card>
+              ))}
+
+              <Text variant="titleSmall" style={styles.sectionTitle}>Default Discord Application</Text>
+              <View style={styles.clientIdContainer}>
+                <TextInput
+                  label="Default CLIENT_ID (Optional)"
+                  value={editDefaultClientId}
+                  onChangeText={setEditDefaultClientId}
+                  placeholder="Enter Discord CLIENT_ID"
+                  mode="outlined"
+                  style={[styles.textInput, styles.clientIdInput]}
+                  autoCapitalize="none"
+                  autoCorrect={false}
+                  keyboardType="numeric"
+                />
+                <Button
+                  mode="contained"
+                  onPress={saveDefaultClientId}
+                  disabled={editDefaultClientId.trim() === defaultClientId}
+                  style={styles.testButton}
+                >
+                  Save
+                </Button>
+              </View>
+              <Paragraph variant="bodySmall" style={styles.inputHint}>
+                Used for apps that don't have their own CLIENT_ID. Discord shows this application's name, with the app name in the details line.
+                {!defaultClientId && desktopEndpoints.some((endpoint) => endpoint.enabled && endpoint.hasDefaultClientId)
+                  ? ' Leave empty to use the default set in the desktop app.'
+                  : ''}
+              </Paragraph>
+
+              <Text variant="titleSmall" style={styles.sectionTitle}>Add a Desktop App</Text>
+              <Button
+                mode="outlined"
+                icon="magnify"
+                onPress={discoverDesktops}
+                disabled={discovering}
+                loading={discovering}
+                style={styles.discoverButton}
+              >
+                {discovering ? 'Searching...' : 'Find Desktop Apps'}
+              </Button>
+              {discoveredCompanions && discoveredCompanions.length === 0 && !discovering && (
+                <Paragraph variant="bodySmall" style={styles.inputHint}>
+                  No desktop apps found. Make sure it's running on the same WiFi, or enter the IP manually.
+                </Paragraph>
+              )}
+              {discoveredCompanions && discoveredCompanions.map((companion) => (
+                <Card
+                  key={companion.address}
+                  mode={desktopIP === companion.address ? 'contained' : 'outlined'}
+                  style={styles.companionItem}
+                  onPress={() => {
+                    setDesktopIP(companion.address);
+                    setDesktopName(companion.name);
+                  }}
+                >
+                  <Card.Content>
+                    <Text variant="titleSmall">{companion.name}</Text>
+                    <Text variant="bodySmall" style={styles.packageId}>
+                      {companion.address}{companion.version ? ` · v${companion.version}` : ''}
+                    </Text>
+                  </Card.Content>
+                </Card>
+              ))}
+
               {/* Battery optimization warning - disabled until app rebuild */}
               {/* {!isIgnoringBatteryOptimizations && (
                 <View style={[styles.infoBox, { borderLeftColor: '#ff9800' }]}>
@@ -933,6 +2376,15 @@ function AppContent({
                 </View>
               )} */}
               
+              <TextInput
+                label="Name"
+                value={desktopName}
+                onChangeText={setDesktopName}
+                placeholder="Desktop, Laptop..."
+                mode="outlined"
+                style={styles.textInput}
+              />
+
               <TextInput
                 label="Desktop App IP Address"
                 value={desktopIP}
@@ -945,15 +2397,25 @@ function AppContent({
                 keyboardType="default"
               />
               <Paragraph variant="bodySmall" style={styles.inputHint}>
-                Enter the IP address shown in your desktop app (e.g., 192.168.1.100:9090)
+                Pick a desktop app above or enter the IP address shown in its tray menu (e.g., 192.168.1.100:9090)
+              </Paragraph>
+
+              <TextInput
+                label="Pairing Code"
+                value={pairingCode}
+                onChangeText={setPairingCode}
+                placeholder="123456"
+                mode="outlined"
+                style={styles.textInput}
+                autoCapitalize="none"
+                autoCorrect={false}
+                keyboardType="numeric"
+                maxLength={6}
+              />
+              <Paragraph variant="bodySmall" style={styles.inputHint}>
+                Only needed the first time. Right-click the desktop app tray icon to see the current code.
               </Paragraph>
 
-              <View style={styles.statusContainer}>
-                <Text variant="bodyMedium" style={[styles.statusLabel, { color: theme.colors.onSurface }]}>Status:</Text>
-                <Text variant="bodyMedium" style={[styles.statusText, desktopConnected && styles.statusConnected]}>
-                  {desktopConnecting ? 'Connecting...' : desktopConnected ? 'Connected' : 'Disconnected'}
-                </Text>
-              </View>
             </ScrollView>
           </Dialog.ScrollArea>
           <Dialog.Actions>
@@ -962,30 +2424,398 @@ function AppContent({
               style={styles.dialogButton}
               contentStyle={styles.dialogButtonContent}
             >
-              Cancel
+              Close
             </Button>
-            {desktopConnected ? (
-              <Button
-                mode="contained"
-                buttonColor="#ff6b6b"
-                onPress={disconnectDesktop}
-                style={styles.dialogButton}
-                contentStyle={styles.dialogButtonContent}
-              >
-                Disconnect
+            <Button
+              mode="contained"
+              onPress={saveDesktopSettings}
+              disabled={desktopConnecting || !desktopIP.trim()}
+              loading={desktopConnecting}
+              style={styles.dialogButton}
+              contentStyle={styles.dialogButtonContent}
+            >
+              {desktopConnecting ? 'Connecting...' : 'Add'}
+            </Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+
+      <Portal>
+        <Dialog
+          visible={showBackup}
+          onDismiss={() => setShowBackup(false)}
+          dismissable={!backupBusy}
+          dismissableBackButton={!backupBusy}
+          style={styles.dialog}
+        >
+          <Dialog.Title>Backup & Restore</Dialog.Title>
+          <Dialog.ScrollArea>
+            <ScrollView contentContainerStyle={styles.dialogScrollContent}>
+              <Paragraph variant="bodyMedium" style={styles.modalDescription}>
+                Back up app names, CLIENT_IDs, images and presence text to move them to a new phone or keep them across reinstalls.
+              </Paragraph>
+
+              <Text variant="titleSmall" style={styles.sectionTitle}>File</Text>
+              <Button mode="contained-tonal" icon="export" onPress={exportSettings} disabled={backupBusy} style={styles.backupButton}>
+                Export to File
               </Button>
-            ) : (
-              <Button
-                mode="contained"
-                onPress={saveDesktopSettings}
-                disabled={desktopConnecting || !desktopIP.trim()}
-                loading={desktopConnecting}
-                style={styles.dialogButton}
-                contentStyle={styles.dialogButtonContent}
-              >
-                {desktopConnecting ? 'Connecting...' : 'Connect'}
+              <Button mode="outlined" icon="import" onPress={importSettingsFromFile} disabled={backupBusy} style={styles.backupButton}>
+                Import from File
+              </Button>
+
+              <Text variant="titleSmall" style={styles.sectionTitle}>Desktop App</Text>
+              <Button mode="contained-tonal" icon="upload" onPress={saveBackupToDesktop} disabled={backupBusy || !desktopConnected} style={styles.backupButton}>
+                Save to Desktop App
+              </Button>
+              <Button mode="outlined" icon="download" onPress={restoreBackupFromDesktop} disabled={backupBusy || !desktopConnected} style={styles.backupButton}>
+                Restore from Desktop App
               </Button>
-            )}
+              <Paragraph variant="bodySmall" style={styles.inputHint}>
+                Desktop apps are included without their pairing, so they need the pairing code again after importing.
+              </Paragraph>
+            </ScrollView>
+          </Dialog.ScrollArea>
+          <Dialog.Actions>
+            <Button
+              onPress={() => setShowBackup(false)}
+              disabled={backupBusy}
+              style={styles.dialogButton}
+              contentStyle={styles.dialogButtonContent}
+            >
+              Close
+            </Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+
+      <Portal>
+        <Dialog
+          visible={showPrivacy}
+          onDismiss={() => setShowPrivacy(false)}
+          dismissable={true}
+          dismissableBackButton={true}
+          style={styles.dialog}
+        >
+          <Dialog.Title>Privacy</Dialog.Title>
+          <Dialog.ScrollArea>
+            <ScrollView contentContainerStyle={styles.dialogScrollContent}>
+              <View style={styles.assetStatusRow}>
+                <Text variant="bodyLarge" style={styles.packageItemText}>Privacy mode</Text>
+                <Switch value={privacy.enabled} onValueChange={togglePrivacyMode} />
+              </View>
+              <Paragraph variant="bodySmall" style={styles.inputHint}>
+                While on, nothing is shared on Discord and your status is cleared. Apps stay enabled for when you turn it off.
+              </Paragraph>
+
+              <Text variant="titleSmall" style={styles.sectionTitle}>Hidden Keywords</Text>
+              <TextInput
+                label="Keywords"
+                value={editKeywords}
+                onChangeText={setEditKeywords}
+                placeholder="e.g. bank, health, dating"
+                mode="outlined"
+                style={styles.textInput}
+                multiline
+                autoCapitalize="none"
+                autoCorrect={false}
+              />
+              <Paragraph variant="bodySmall" style={styles.inputHint}>
+                Apps whose name or package name contains one of these (separated by commas) are never shared, even when enabled.
+              </Paragraph>
+            </ScrollView>
+          </Dialog.ScrollArea>
+          <Dialog.Actions>
+            <Button
+              onPress={() => setShowPrivacy(false)}
+              style={styles.dialogButton}
+              contentStyle={styles.dialogButtonContent}
+            >
+              Cancel
+            </Button>
+            <Button
+              mode="contained"
+              onPress={savePrivacyKeywords}
+              style={styles.dialogButton}
+              contentStyle={styles.dialogButtonContent}
+            >
+              Save
+            </Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+
+      <Portal>
+        <Dialog
+          visible={showAway && !!editAway}
+          onDismiss={() => setShowAway(false)}
+          dismissable={true}
+          dismissableBackButton={true}
+          style={styles.dialog}
+        >
+          <Dialog.Title>While Away</Dialog.Title>
+          <Dialog.ScrollArea>
+            <ScrollView contentContainerStyle={styles.dialogScrollContent}>
+              <Paragraph variant="bodySmall" style={styles.inputHint}>
+                What your Discord status shows when the screen turns off, the phone locks or you stop using it. Keep app pauses the timer until you're back.
+              </Paragraph>
+              {editAway && AWAY_STATES.map((awayState) => (
+                <View key={awayState.id}>
+                  <Text variant="titleSmall" style={styles.sectionTitle}>{awayState.label}</Text>
+                  <SegmentedButtons
+                    value={editAway[awayState.setting]}
+                    onValueChange={(action) => setEditAway({ ...editAway, [awayState.setting]: action })}
+                    buttons={Object.values(AWAY_ACTIONS).map((action) => ({ value: action, label: AWAY_ACTION_LABELS[action] }))}
+                    style={styles.modeButtons}
+                  />
+                </View>
+              ))}
+
+              {editAway && (
+                <TextInput
+                  label="Idle after (minutes)"
+                  value={editAway.idleMinutes}
+                  onChangeText={(idleMinutes) => setEditAway({ ...editAway, idleMinutes })}
+                  mode="outlined"
+                  style={styles.textInput}
+                  keyboardType="number-pad"
+                />
+              )}
+              <Paragraph variant="bodySmall" style={styles.inputHint}>
+                {accessibilityEnabled
+                  ? `Idle after this long (${MIN_IDLE_MINUTES}-${MAX_IDLE_MINUTES} minutes) without a tap, scroll or typing.`
+                  : 'Idle time needs the accessibility service; screen off and locked work without it.'}
+              </Paragraph>
+              {!accessibilityEnabled && (
+                <Button
+                  mode="outlined"
+                  icon="human"
+                  onPress={openAccessibilitySettings}
+                  style={styles.dialogButton}
+                >
+                  Accessibility Settings
+                </Button>
+              )}
+            </ScrollView>
+          </Dialog.ScrollArea>
+          <Dialog.Actions>
+            <Button
+              onPress={() => setShowAway(false)}
+              style={styles.dialogButton}
+              contentStyle={styles.dialogButtonContent}
+            >
+              Cancel
+            </Button>
+            <Button
+              mode="contained"
+              onPress={saveAwaySettings}
+              style={styles.dialogButton}
+              contentStyle={styles.dialogButtonContent}
+            >
+              Save
+            </Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+
+      <Portal>
+        <Dialog
+          visible={showCategories && editingCategory === null}
+          onDismiss={() => setShowCategories(false)}
+          dismissable={true}
+          dismissableBackButton={true}
+          style={styles.dialog}
+        >
+          <Dialog.Title>Categories</Dialog.Title>
+          <Dialog.ScrollArea>
+            <ScrollView contentContainerStyle={styles.dialogScrollContent}>
+              <Paragraph variant="bodyMedium" style={styles.modalDescription}>
+                Set a CLIENT_ID and presence text once for a whole category. Apps use them unless they have their own, and follow the category's switch until they're switched on or off themselves.
+              </Paragraph>
+              {CATEGORIES.map((category) => {
+                const settings = categorySettings[category.id] || {};
+                const members = packages.filter((packageName) => getCategoryForList(packageName) === category.id).length;
+                return (
+                  <Card key={category.id} style={styles.companionItem}>
+                    <Card.Content>
+                      <View style={styles.packageItemContent}>
+                        <View style={styles.packageItemText}>
+                          <Text variant="titleSmall">{category.label}</Text>
+                          <Text variant="bodySmall" style={styles.ruleSummary}>
+                            {members === 1 ? '1 app' : `${members} apps`}
+                            {settings.clientId ? ' · Own CLIENT_ID' : ''}
+                            {settings.template ? ' · Presence text' : ''}
+                          </Text>
+                        </View>
+                        <View style={styles.packageItemActions}>
+                          <Switch
+                            value={settings.enabled === true}
+                            onValueChange={() => toggleCategoryEnabled(category.id)}
+                          />
+                          <IconButton
+                            icon="pencil"
+                            size={18}
+                            onPress={() => handleEditCategory(category.id)}
+                          />
+                        </View>
+                      </View>
+                    </Card.Content>
+                  </Card>
+                );
+              })}
+            </ScrollView>
+          </Dialog.ScrollArea>
+          <Dialog.Actions>
+            <Button
+              onPress={() => setShowCategories(false)}
+              style={styles.dialogButton}
+              contentStyle={styles.dialogButtonContent}
+            >
+              Close
+            </Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+
+      <Portal>
+        <Dialog
+          visible={editingCategory !== null}
+          onDismiss={() => setEditingCategory(null)}
+          dismissable={true}
+          dismissableBackButton={true}
+          style={styles.dialog}
+        >
+          <Dialog.Title>{getCategoryLabel(editingCategory)}</Dialog.Title>
+          <Dialog.ScrollArea>
+            <ScrollView contentContainerStyle={styles.dialogScrollContent}>
+              <TextInput
+                label="Discord CLIENT_ID (Optional)"
+                value={editCategoryForm.clientId}
+                onChangeText={(text) => updateEditCategoryForm('clientId', text)}
+                placeholder="Used by apps without their own"
+                mode="outlined"
+                style={styles.textInput}
+                autoCapitalize="none"
+                autoCorrect={false}
+                keyboardType="numeric"
+              />
+              <TextInput
+                label="Details"
+                value={editCategoryForm.details}
+                onChangeText={(text) => updateEditCategoryForm('details', text)}
+                placeholder={`First line, defaults to ${DEFAULT_DETAILS_TEMPLATE}`}
+                mode="outlined"
+                style={styles.textInput}
+              />
+              <TextInput
+                label="State"
+                value={editCategoryForm.state}
+                onChangeText={(text) => updateEditCategoryForm('state', text)}
+                placeholder="Second line, e.g. on {device} for {elapsed}"
+                mode="outlined"
+                style={styles.textInput}
+              />
+              <Paragraph variant="bodySmall" style={styles.inputHint}>
+                Variables: {TEMPLATE_VARIABLES.map((variable) => `{${variable.name}}`).join(' ')} - {'{name}'} is each app's own name.
+              </Paragraph>
+            </ScrollView>
+          </Dialog.ScrollArea>
+          <Dialog.Actions>
+            <Button
+              onPress={() => setEditingCategory(null)}
+              style={styles.dialogButton}
+              contentStyle={styles.dialogButtonContent}
+            >
+              Cancel
+            </Button>
+            <Button
+              mode="contained"
+              onPress={saveCategory}
+              style={styles.dialogButton}
+              contentStyle={styles.dialogButtonContent}
+            >
+              Save
+            </Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+
+      <Portal>
+        <Dialog
+          visible={showStats}
+          onDismiss={() => setShowStats(false)}
+          dismissable={true}
+          dismissableBackButton={true}
+          style={styles.dialog}
+        >
+          <Dialog.Title>Statistics</Dialog.Title>
+          <Dialog.ScrollArea>
+            <ScrollView contentContainerStyle={styles.dialogScrollContent}>
+              <SegmentedButtons
+                value={statsRange}
+                onValueChange={(range) => loadUsageStats(range, statsGroup)}
+                buttons={[
+                  { value: 'today', label: 'Today' },
+                  { value: 'week', label: 'Last 7 Days' },
+                ]}
+                style={styles.modeButtons}
+              />
+              <SegmentedButtons
+                value={statsGroup}
+                onValueChange={(group) => loadUsageStats(statsRange, group)}
+                buttons={[
+                  { value: 'apps', label: 'Apps' },
+                  { value: 'categories', label: 'Categories' },
+                ]}
+                style={styles.modeButtons}
+              />
+              {!usageStats || usageStats.groups.length === 0 ? (
+                <Paragraph variant="bodyMedium" style={styles.modalDescription}>
+                  No app usage recorded for this period yet.
+                </Paragraph>
+              ) : (
+                <>
+                  <Text variant="bodyMedium" style={styles.sectionTitle}>
+                    {formatElapsed(usageStats.total)} in apps · {formatElapsed(usageStats.shared)} shared on Discord
+                  </Text>
+                  {usageStats.groups.map((group) => (
+                    <View key={group.key} style={styles.statsRow}>
+                      <View style={styles.assetStatusRow}>
+                        <Text variant="bodyMedium" style={styles.packageItemText} numberOfLines={1}>
+                          {statsGroup === 'categories'
+                            ? (group.key === NO_CATEGORY ? 'Uncategorized' : getCategoryLabel(group.key))
+                            : getDisplayNameForList(group.key)}
+                        </Text>
+                        <Text variant="bodySmall">
+                          {formatElapsed(group.total)}{group.shared > 0 ? ` · ${formatElapsed(group.shared)} shared` : ''}
+                        </Text>
+                      </View>
+                      <View style={[styles.statsBarTrack, { backgroundColor: theme.colors.surfaceVariant }]}>
+                        <View style={[styles.statsBar, { width: `${(group.total / usageStats.groups[0].total) * 100}%`, backgroundColor: theme.colors.primary }]} />
+                      </View>
+                    </View>
+                  ))}
+                </>
+              )}
+              <Paragraph variant="bodySmall" style={styles.inputHint}>
+                Usage is only recorded on this phone and kept for 30 days.
+              </Paragraph>
+            </ScrollView>
+          </Dialog.ScrollArea>
+          <Dialog.Actions>
+            <Button onPress={() => exportUsage('csv')} style={styles.dialogButton} contentStyle={styles.dialogButtonContent}>
+              CSV
+            </Button>
+            <Button onPress={() => exportUsage('json')} style={styles.dialogButton} contentStyle={styles.dialogButtonContent}>
+              JSON
+            </Button>
+            <Button
+              mode="contained"
+              onPress={() => setShowStats(false)}
+              style={styles.dialogButton}
+              contentStyle={styles.dialogButtonContent}
+            >
+              Close
+            </Button>
           </Dialog.Actions>
         </Dialog>
       </Portal>
@@ -1026,6 +2856,12 @@ const styles = StyleSheet.create({
     textAlign: 'center',
     marginBottom: 15,
   },
+  readOnlyNotice: {
+    backgroundColor: '#FEE75C',
+    color: '#000000',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+  },
   emptyHint: {
     fontSize: 14,
     color: '#888',
@@ -1131,23 +2967,25 @@ const styles = StyleSheet.create({
     marginBottom: 8,
     fontStyle: 'italic',
   },
-  statusContainer: {
-    flexDirection: 'row',
-    alignItems: 'center',
-    marginVertical: 15,
-  },
-  statusLabel: {
-    fontSize: 14,
-    fontWeight: '600',
-    marginRight: 10,
+  statusConnected: {
+    color: '#57F287',
   },
-  statusText: {
-    fontSize: 14,
+  endpointStatusText: {
     color: '#ff6b6b',
+    fontSize: 12,
+    marginTop: 2,
+  },
+  modeButtons: {
+    marginBottom: 5,
+  },
+  previewDetails: {
     fontWeight: '600',
+    marginTop: 4,
   },
-  statusConnected: {
-    color: '#57F287',
+  queueErrorText: {
+    color: '#ff6b6b',
+    fontSize: 12,
+    marginTop: 2,
   },
   clientIdContainer: {
     flexDirection: 'row',
@@ -1158,10 +2996,67 @@ const styles = StyleSheet.create({
     flex: 1,
     marginBottom: 0,
   },
+  discoverButton: {
+    marginBottom: 10,
+  },
+  companionItem: {
+    marginBottom: 10,
+  },
+  sectionTitle: {
+    marginTop: 15,
+    marginBottom: 10,
+  },
+  backupButton: {
+    marginBottom: 8,
+  },
+  rowContainer: {
+    flexDirection: 'row',
+    gap: 10,
+  },
+  rowInputSmall: {
+    flex: 2,
+  },
+  rowInputLarge: {
+    flex: 3,
+  },
   testButton: {
     minWidth: 80,
     marginLeft: 10,
   },
+  assetStatusRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  assetStatusText: {
+    flex: 1,
+    color: '#999',
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+    marginBottom: 10,
+  },
+  categoryChips: {
+    marginTop: 6,
+  },
+  statsRow: {
+    marginBottom: 10,
+  },
+  statsBarTrack: {
+    height: 6,
+    borderRadius: 3,
+    overflow: 'hidden',
+    marginTop: 4,
+  },
+  statsBar: {
+    height: 6,
+  },
+  ruleSummary: {
+    color: '#999',
+    marginTop: 2,
+  },
   testSuccessText: {
     color: '#57F287',
     fontSize: 12,
@@ -0,0 +1,69 @@
+/**
+ * App Categories
+ *
+ * Groups apps so a whole category can share one CLIENT_ID, presence text and
+ * on/off switch. An app's category comes from the user's choice in the Edit
+ * App Settings dialog, or else from the category Android reports for it.
+ * Anything set on the app itself always wins over its category.
+ */
+
+// Categories in the order the dialogs list them
+export const CATEGORIES = [
+  { id: 'games', label: 'Games', icon: 'gamepad-variant' },
+  { id: 'music', label: 'Music', icon: 'music' },
+  { id: 'video', label: 'Video', icon: 'play-box' },
+  { id: 'social', label: 'Social', icon: 'account-group' },
+  { id: 'productivity', label: 'Productivity', icon: 'briefcase' },
+];
+
+// Stored in @app_categories for apps the user took out of every category
+export const NO_CATEGORY = 'none';
+
+// ForegroundAppModule.getAppCategory values -> category id
+const ANDROID_CATEGORIES = {
+  game: 'games',
+  audio: 'music',
+  video: 'video',
+  social: 'social',
+  productivity: 'productivity',
+};
+
+const CATEGORY_IDS = new Set(CATEGORIES.map((category) => category.id));
+
+export const isCategoryId = (value) => CATEGORY_IDS.has(value);
+
+/**
+ * Category id for an Android category, or null if it doesn't map to one
+ * @param {string|null} androidCategory - From ForegroundAppModule.getAppCategory
+ */
+export const categoryFromAndroid = (androidCategory) => ANDROID_CATEGORIES[androidCategory] || null;
+
+export const getCategoryLabel = (id) => CATEGORIES.find((category) => category.id === id)?.label || 'None';
+
+/**
+ * The category an app belongs to
+ * @param {string} packageName - App package
+ * @param {object} appCategories - User choices, packageName -> category id or NO_CATEGORY
+ * @param {object} detectedCategories - packageName -> Android category (null when it has none)
+ * @returns {string|null} Category id
+ */
+export const getPackageCategory = (packageName, appCategories = {}, detectedCategories = {}) => {
+  const chosen = appCategories[packageName];
+  if (chosen === NO_CATEGORY) {
+    return null;
+  }
+  if (isCategoryId(chosen)) {
+    return chosen;
+  }
+  return categoryFromAndroid(detectedCategories[packageName]);
+};
+
+/**
+ * Whether an app shares its presence
+ * An explicit switch on the app wins; otherwise it follows its category
+ * @param {boolean|undefined} appEnabled - The app's entry in @enabled_apps
+ * @param {object} categorySettings - The category's entry in @category_settings
+ */
+export const isEnabledWithCategory = (appEnabled, categorySettings = {}) => (
+  appEnabled === undefined ? categorySettings.enabled === true : appEnabled === true
+);
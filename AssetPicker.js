@@ -0,0 +1,125 @@
+/**
+ * Asset Picker
+ *
+ * Chooses an image key from the Discord application's uploaded Rich Presence
+ * assets. Falls back to a plain text field while the asset list is unknown,
+ * and keeps one for https:// image URLs.
+ */
+
+import { useState } from 'react';
+import { StyleSheet, View, ScrollView, Image } from 'react-native';
+import { Chip, Text, TextInput } from 'react-native-paper';
+
+const isImageUrl = (value) => /^https?:\/\//i.test(value || '');
+
+/**
+ * @param {string} label - e.g. "Large Image"
+ * @param {string} value - Selected asset key or image URL
+ * @param {Function} onChange - Called with the new key/URL ('' for none)
+ * @param {Array|null} assets - [{ key, url }] from the desktop app, or null if unknown
+ */
+export default function AssetPicker({ label, value, onChange, assets }) {
+  const [showUrl, setShowUrl] = useState(false);
+
+  if (!assets) {
+    return (
+      <TextInput
+        label={`${label} Key`}
+        value={value}
+        onChangeText={onChange}
+        placeholder="Asset key or https:// image URL"
+        mode="outlined"
+        style={styles.textInput}
+        autoCapitalize="none"
+        autoCorrect={false}
+      />
+    );
+  }
+
+  // Keys that were removed from the Discord app still show up so they can be cleared
+  const isMissingKey = value && !isImageUrl(value) && !assets.some((asset) => asset.key === value);
+  const urlSelected = showUrl || isImageUrl(value);
+
+  return (
+    <View style={styles.container}>
+      <Text variant="labelLarge">{label}</Text>
+      <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.chips}>
+        <Chip
+          selected={!value && !showUrl}
+          onPress={() => {
+            setShowUrl(false);
+            onChange('');
+          }}
+          style={styles.chip}
+        >
+          None
+        </Chip>
+        {assets.map((asset) => (
+          <Chip
+            key={asset.key}
+            selected={value === asset.key}
+            avatar={<Image source={{ uri: asset.url }} style={styles.thumbnail} />}
+            onPress={() => {
+              setShowUrl(false);
+              onChange(asset.key);
+            }}
+            style={styles.chip}
+          >
+            {asset.key}
+          </Chip>
+        ))}
+        {isMissingKey && (
+          <Chip selected icon="alert" style={styles.chip}>
+            {value} (not in this app)
+          </Chip>
+        )}
+        <Chip
+          selected={urlSelected}
+          icon="link"
+          onPress={() => {
+            setShowUrl(true);
+            if (!isImageUrl(value)) {
+              onChange('');
+            }
+          }}
+          style={styles.chip}
+        >
+          Image URL
+        </Chip>
+      </ScrollView>
+      {urlSelected && (
+        <TextInput
+          label={`${label} URL`}
+          value={value}
+          onChangeText={onChange}
+          placeholder="https://..."
+          mode="outlined"
+          style={styles.textInput}
+          autoCapitalize="none"
+          autoCorrect={false}
+          keyboardType="url"
+        />
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: 8,
+  },
+  chips: {
+    paddingVertical: 6,
+  },
+  chip: {
+    marginRight: 6,
+  },
+  thumbnail: {
+    width: 24,
+    height: 24,
+    borderRadius: 4,
+  },
+  textInput: {
+    marginBottom: 10,
+  },
+});
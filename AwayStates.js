@@ -0,0 +1,94 @@
+/**
+ * Away States
+ *
+ * What the presence does while the phone is away: screen off, locked, or not
+ * touched for a while. Each state has its own action: clear the presence, show
+ * "Idle" on Discord, or keep the last app on Discord with its timer paused
+ * until the phone is back in use.
+ */
+
+import { DEVICE_STATES } from './ForegroundWatcher';
+
+// Away states in the order the dialog lists them; ids must match desktop-app/server.js
+export const AWAY_STATES = [
+  { id: 'screen-off', setting: 'screenOff', label: 'Screen off' },
+  { id: 'locked', setting: 'locked', label: 'Locked' },
+  { id: 'idle', setting: 'idle', label: 'Idle' },
+];
+
+export const AWAY_ACTIONS = {
+  CLEAR: 'clear', // Take the presence off Discord
+  IDLE: 'idle',   // Show "Idle" instead of the app
+  KEEP: 'keep',   // Keep showing the app, with its timer paused
+};
+
+export const AWAY_ACTION_LABELS = {
+  [AWAY_ACTIONS.CLEAR]: 'Clear',
+  [AWAY_ACTIONS.IDLE]: 'Show Idle',
+  [AWAY_ACTIONS.KEEP]: 'Keep app',
+};
+
+// Stored in @away_states; also what a fresh install uses
+export const DEFAULT_AWAY_SETTINGS = {
+  screenOff: AWAY_ACTIONS.CLEAR,
+  locked: AWAY_ACTIONS.CLEAR,
+  idle: AWAY_ACTIONS.IDLE,
+  idleMinutes: 10,
+};
+
+export const MIN_IDLE_MINUTES = 1;
+export const MAX_IDLE_MINUTES = 120;
+
+const ACTION_VALUES = Object.values(AWAY_ACTIONS);
+
+/**
+ * Problems with away settings, as messages for the dialog ([] when valid)
+ */
+export const validateAwaySettings = (settings) => {
+  const problems = [];
+  if (!AWAY_STATES.every(({ setting }) => ACTION_VALUES.includes(settings[setting]))) {
+    problems.push(`Pick what happens for every away state (${ACTION_VALUES.join(', ')})`);
+  }
+  if (!Number.isInteger(settings.idleMinutes)
+    || settings.idleMinutes < MIN_IDLE_MINUTES || settings.idleMinutes > MAX_IDLE_MINUTES) {
+    problems.push(`Idle time must be ${MIN_IDLE_MINUTES}-${MAX_IDLE_MINUTES} minutes`);
+  }
+  return problems;
+};
+
+/**
+ * The away state the phone is in, or null while it's in use
+ * Screen off wins over locked, which wins over idle
+ * @param {object} deviceState - { state, idleMs } from ForegroundWatcher.getDeviceState
+ * @param {object} settings - As stored in @away_states
+ * @returns {string|null} An AWAY_STATES id
+ */
+export const getAwayState = (deviceState, settings) => {
+  if (deviceState.state === DEVICE_STATES.SCREEN_OFF) {
+    return 'screen-off';
+  }
+  if (deviceState.state === DEVICE_STATES.LOCKED) {
+    return 'locked';
+  }
+  // Idle time is only known while the accessibility service runs
+  if (deviceState.idleMs !== null && deviceState.idleMs >= settings.idleMinutes * 60 * 1000) {
+    return 'idle';
+  }
+  return null;
+};
+
+/**
+ * The action picked for an away state
+ */
+export const getAwayAction = (awayState, settings) => {
+  const state = AWAY_STATES.find(({ id }) => id === awayState);
+  return (state && settings[state.setting]) || AWAY_ACTIONS.CLEAR;
+};
+
+/**
+ * Label of an away state for the notification
+ */
+export const getAwayLabel = (awayState) => {
+  const state = AWAY_STATES.find(({ id }) => id === awayState);
+  return state ? state.label : awayState;
+};
@@ -0,0 +1,892 @@
+/**
+ * Companion Endpoint
+ *
+ * One desktop companion the phone talks to. Keeps a WebSocket open for
+ * presence updates and status events, falling back to the plain HTTP routes
+ * (and the /events Server-Sent Events stream for status) whenever it is down.
+ *
+ * Updates that can't reach the companion wait in a small persisted queue
+ * (one entry per package) and are replayed once it is reachable again.
+ *
+ * DesktopRPC owns the list of endpoints and decides which ones get each update.
+ */
+
+import { Platform } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const QUEUE_KEY_PREFIX = '@desktop_queue:';
+const ICONS_KEY_PREFIX = '@desktop_icons:'; // Hashes of app icons this companion already has
+
+// Offline queue limits
+const QUEUE_MAX_LENGTH = 20;
+const QUEUE_MAX_AGE = 10 * 60 * 1000; // Older updates aren't worth replaying
+// Answers that can change by retrying: timeouts, rate limits and a companion or
+// Discord that is briefly unavailable (503 is "Discord not connected"); other
+// rejections, including a plain 500, are final so they don't hold up the queue
+const RETRY_STATUSES = [408, 429, 502, 503, 504];
+export const CLEAR_QUEUE_KEY = '@clear';
+export const AWAY_QUEUE_KEY = '@away';
+
+// Image key prefix for uploaded app icons (must match desktop-app/icons.js)
+export const ICON_KEY_PREFIX = 'icon:';
+
+// WebSocket reconnect backoff
+const SOCKET_RECONNECT_MIN = 1000;
+const SOCKET_RECONNECT_MAX = 30000;
+
+// The companion logs in to Discord and looks the application up before answering
+const VALIDATE_TIMEOUT = 12000;
+const ASSETS_TIMEOUT = 8000;
+const ICON_UPLOAD_TIMEOUT = 10000;
+const BACKUP_TIMEOUT = 10000;
+const CATALOG_TIMEOUT = 5000;
+
+/**
+ * Turn "192.168.1.100:9090" (with or without http://) into a base URL
+ */
+export const toBaseUrl = (address) => {
+  const host = address.trim().replace(/^https?:\/\//, '').replace(/\/+$/, '');
+  return `http://${host}`;
+};
+
+// Name this phone pairs and saves backups under
+const getDeviceName = () => Platform.constants?.Model || 'Android device';
+
+export default class CompanionEndpoint {
+  /**
+   * @param {object} config - { id, name, address, token, enabled }
+   * @param {object} callbacks - onEvent(event) for companion events,
+   *   onChange() whenever status() or the queue changes
+   */
+  constructor({ id, name, address, token = null, enabled = true }, { onEvent, onChange }) {
+    this.id = id;
+    this.name = name;
+    this.address = address;
+    this.url = toBaseUrl(address);
+    this.token = token;
+    this.enabled = enabled;
+    this.onEvent = onEvent;
+    this.onChange = onChange;
+
+    // What we last heard from the companion (reachable is null until we know)
+    this.reachable = null;
+    this.authenticated = false;
+    this.discordConnected = false;
+    this.hasDefaultClientId = false; // Companion can show apps that have no CLIENT_ID
+    this.servesIcons = false; // Companion has an iconBaseUrl, so Discord can show uploaded app icons
+
+    // WebSocket transport
+    this.socket = null;
+    this.socketReady = false;
+    this.reconnectTimer = null;
+    this.reconnectDelay = SOCKET_RECONNECT_MIN;
+    this.requestId = 0;
+    this.pendingRequests = new Map(); // id -> { resolve, reject, timeoutId }
+
+    // Server-Sent Events fallback for status events
+    this.eventStream = null;
+
+    // Offline queue: [{ key, type, payload, queuedAt }]
+    this.queue = [];
+    this.queueOffline = false; // Last delivery failed to reach the companion
+    this.queuePersisted = false; // Storage holds a non-empty queue
+    this.flushPromise = null;
+    this.lastError = null;
+
+    // App icons uploaded to this companion (loaded on first use)
+    this.uploadedIcons = null;
+    this.iconUploads = new Map(); // hash -> upload in flight
+  }
+
+  get queueKey() {
+    return `${QUEUE_KEY_PREFIX}${this.id}`;
+  }
+
+  get iconsKey() {
+    return `${ICONS_KEY_PREFIX}${this.id}`;
+  }
+
+  /**
+   * Stored settings (the live connection state is not persisted)
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      address: this.address,
+      token: this.token,
+      enabled: this.enabled,
+    };
+  }
+
+  /**
+   * Snapshot shown in the Desktop Companion dialog
+   */
+  status() {
+    return {
+      id: this.id,
+      name: this.name,
+      address: this.address,
+      enabled: this.enabled,
+      paired: !!this.token,
+      reachable: this.reachable,
+      authenticated: this.authenticated,
+      discordConnected: this.discordConnected,
+      hasDefaultClientId: this.hasDefaultClientId,
+      servesIcons: this.servesIcons,
+      transport: this.socketReady ? 'websocket' : 'http',
+      queueDepth: this.queue.length,
+      lastError: this.lastError,
+    };
+  }
+
+  /**
+   * Reachable and paired - able to take presence updates right now
+   */
+  get isAvailable() {
+    return this.enabled && this.reachable === true && this.authenticated;
+  }
+
+  update(changes) {
+    let changed = false;
+    Object.keys(changes).forEach((key) => {
+      if (this[key] !== changes[key]) {
+        this[key] = changes[key];
+        changed = true;
+      }
+    });
+    if (changed) {
+      this.onChange();
+    }
+  }
+
+  /**
+   * Track Discord's state from companion events before passing them on
+   */
+  handleEvent(event) {
+    if (event.type === 'status') {
+      this.update({
+        discordConnected: !!event.discordConnected,
+        hasDefaultClientId: !!event.hasDefaultClientId,
+        servesIcons: !!event.servesIcons,
+      });
+    } else if (event.type === 'config-changed') {
+      this.update({ hasDefaultClientId: !!event.config.defaultClientId, servesIcons: !!event.config.iconBaseUrl });
+    } else if (event.type === 'discord-connected') {
+      this.update({ discordConnected: true });
+      // Replay updates kept while Discord was away
+      this.flushQueue();
+    } else if (event.type === 'discord-disconnected') {
+      this.update({ discordConnected: false });
+    } else if (event.type === 'discord-state') {
+      this.update({ discordConnected: event.state === 'ready' });
+    }
+    this.onEvent(event);
+  }
+
+  /**
+   * Open the WebSocket to the companion (requires a pairing token)
+   */
+  openSocket() {
+    this.closeSocket();
+    if (!this.enabled || !this.token) {
+      return;
+    }
+
+    const url = `${this.url.replace(/^http/, 'ws')}/ws`;
+    let socket;
+    try {
+      socket = new WebSocket(url, null, {
+        headers: { Authorization: `Bearer ${this.token}` },
+      });
+    } catch (error) {
+      this.scheduleReconnect();
+      return;
+    }
+    this.socket = socket;
+
+    socket.onopen = () => {
+      this.socketReady = true;
+      this.reconnectDelay = SOCKET_RECONNECT_MIN;
+      // Status events arrive over the socket now
+      this.closeEventStream();
+      this.update({ reachable: true, authenticated: true });
+      this.onEvent({ type: 'transport', transport: 'websocket' });
+      this.onChange();
+      this.flushQueue();
+    };
+
+    socket.onmessage = (event) => {
+      this.handleSocketMessage(event.data);
+    };
+
+    socket.onerror = () => {
+      // onclose follows and handles reconnecting
+    };
+
+    socket.onclose = () => {
+      // Ignore sockets we already replaced or closed on purpose
+      if (this.socket !== socket) {
+        return;
+      }
+      const wasReady = this.socketReady;
+      this.socket = null;
+      this.socketReady = false;
+      this.rejectPendingRequests();
+      if (wasReady) {
+        this.onEvent({ type: 'transport', transport: 'http' });
+        this.onChange();
+        // Find out right away whether HTTP still works
+        this.testConnection().catch(() => {});
+      }
+      // Keep receiving status events while we wait to reconnect
+      if (!this.eventStream) {
+        this.openEventStream();
+      }
+      this.scheduleReconnect();
+    };
+  }
+
+  /**
+   * Close the WebSocket without reconnecting
+   */
+  closeSocket() {
+    this.closeEventStream();
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    if (this.socket) {
+      const socket = this.socket;
+      const wasReady = this.socketReady;
+      this.socket = null;
+      this.socketReady = false;
+      try {
+        socket.close();
+      } catch (error) {
+        // Socket already closed
+      }
+      this.rejectPendingRequests();
+      if (wasReady) {
+        this.onEvent({ type: 'transport', transport: 'http' });
+        this.onChange();
+      }
+    }
+  }
+
+  /**
+   * Subscribe to the companion's /events stream
+   * React Native has no EventSource, so this parses the stream from
+   * XMLHttpRequest progress events
+   */
+  openEventStream() {
+    this.closeEventStream();
+    if (!this.enabled || !this.token) {
+      return;
+    }
+
+    const xhr = new XMLHttpRequest();
+    let offset = 0;
+    let buffer = '';
+
+    xhr.open('GET', `${this.url}/events`);
+    xhr.setRequestHeader('Accept', 'text/event-stream');
+    xhr.setRequestHeader('Authorization', `Bearer ${this.token}`);
+
+    xhr.onprogress = () => {
+      buffer += xhr.responseText.slice(offset);
+      offset = xhr.responseText.length;
+
+      // Events are separated by a blank line; keep any partial event for later
+      const blocks = buffer.split('\n\n');
+      buffer = blocks.pop();
+      blocks.forEach((block) => {
+        const data = block
+          .split('\n')
+          .filter((line) => line.startsWith('data:'))
+          .map((line) => line.slice(5).trim())
+          .join('\n');
+        if (!data) {
+          return; // Keep-alive comment
+        }
+        try {
+          this.handleEvent(JSON.parse(data));
+        } catch (error) {
+          // Ignore malformed events
+        }
+      });
+    };
+
+    // The next socket reconnect attempt reopens the stream if needed
+    xhr.onloadend = () => {
+      if (this.eventStream === xhr) {
+        this.eventStream = null;
+      }
+    };
+
+    xhr.send();
+    this.eventStream = xhr;
+  }
+
+  closeEventStream() {
+    if (this.eventStream) {
+      const xhr = this.eventStream;
+      this.eventStream = null;
+      try {
+        xhr.abort();
+      } catch (error) {
+        // Already finished
+      }
+    }
+  }
+
+  scheduleReconnect() {
+    if (this.reconnectTimer || !this.enabled) {
+      return;
+    }
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.openSocket();
+    }, this.reconnectDelay);
+    this.reconnectDelay = Math.min(this.reconnectDelay * 2, SOCKET_RECONNECT_MAX);
+  }
+
+  rejectPendingRequests() {
+    this.pendingRequests.forEach(({ reject, timeoutId }) => {
+      clearTimeout(timeoutId);
+      reject(new Error('WebSocket closed'));
+    });
+    this.pendingRequests.clear();
+  }
+
+  handleSocketMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      return;
+    }
+
+    if (message.type === 'response') {
+      const pending = this.pendingRequests.get(message.id);
+      if (pending) {
+        clearTimeout(pending.timeoutId);
+        this.pendingRequests.delete(message.id);
+        pending.resolve({ status: message.status, body: message.body || {} });
+      }
+    } else if (message.type === 'event' && message.event) {
+      this.handleEvent(message.event);
+    }
+  }
+
+  sendOverSocket(type, payload, timeout) {
+    return new Promise((resolve, reject) => {
+      if (!this.socketReady || !this.socket) {
+        reject(new Error('WebSocket not connected'));
+        return;
+      }
+      const id = ++this.requestId;
+      const timeoutId = setTimeout(() => {
+        this.pendingRequests.delete(id);
+        const error = new Error('WebSocket request timed out');
+        error.timedOut = true; // The companion may still have handled it
+        reject(error);
+      }, timeout);
+      this.pendingRequests.set(id, { resolve, reject, timeoutId });
+      try {
+        this.socket.send(JSON.stringify({ type, id, payload }));
+      } catch (error) {
+        clearTimeout(timeoutId);
+        this.pendingRequests.delete(id);
+        reject(error);
+      }
+    });
+  }
+
+  /**
+   * Send a request over the WebSocket, or the matching HTTP route if it's down
+   * A request that timed out on an open socket isn't sent again over HTTP,
+   * since the companion may already have handled it
+   * @param {string} type - WebSocket message type (e.g. 'update-presence')
+   * @param {string} path - HTTP route used as fallback (e.g. '/update-presence')
+   * @param {object} payload - Request body
+   * @param {number} timeout - Timeout in ms
+   * @param {string} method - HTTP method for the fallback
+   * @returns {Promise<{status: number, body: object}>}
+   */
+  async sendRequest(type, path, payload = null, timeout = 3000, method = 'POST') {
+    if (this.socketReady) {
+      try {
+        return await this.sendOverSocket(type, payload, timeout);
+      } catch (error) {
+        if (error.timedOut) {
+          throw error;
+        }
+        // Socket dropped before answering - retry over HTTP below
+      }
+    }
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+    try {
+      const response = await fetch(`${this.url}${path}`, {
+        method,
+        headers: this.getHeaders(),
+        body: payload ? JSON.stringify(payload) : undefined,
+        signal: controller.signal,
+      });
+      const body = await response.json().catch(() => ({}));
+      return { status: response.status, body };
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  get isSocketOpen() {
+    return this.socketReady;
+  }
+
+  /**
+   * Request headers, including the pairing token once paired
+   */
+  getHeaders() {
+    const headers = {
+      'Content-Type': 'application/json',
+    };
+    if (this.token) {
+      headers.Authorization = `Bearer ${this.token}`;
+    }
+    return headers;
+  }
+
+  /**
+   * Pair with the companion using the code shown in its tray menu
+   * @param {string} code - Pairing code from the desktop app
+   */
+  async pair(code) {
+    if (!code || !code.trim()) {
+      throw new Error('Pairing code is required');
+    }
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 5000);
+
+    let response;
+    try {
+      response = await fetch(`${this.url}/pair`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          code: code.trim(),
+          deviceName: getDeviceName(),
+        }),
+        signal: controller.signal,
+      });
+    } catch (error) {
+      throw new Error(`Cannot connect to desktop app: ${error.message}`);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.token) {
+      throw new Error(data.error || `HTTP ${response.status}`);
+    }
+
+    this.token = data.token;
+    this.update({ reachable: true, authenticated: true });
+    this.openSocket();
+    return true;
+  }
+
+  /**
+   * Ask the companion to check a CLIENT_ID against Discord
+   * @returns {Promise<object>} { valid, clientId, application, assets, error } (see desktop-app/validation.js)
+   */
+  async validateClientId(clientId) {
+    const { status, body } = await this.sendRequest('validate-client-id', '/validate-client-id', { clientId }, VALIDATE_TIMEOUT);
+    this.update({ reachable: true, authenticated: status !== 401 });
+    if (status === 401) {
+      throw new Error('Not paired with this desktop app');
+    }
+    if (typeof body.valid !== 'boolean') {
+      // Companions from before validation existed answer 404
+      throw new Error(status === 404 ? 'Update the desktop app to test CLIENT_IDs' : body.error || `HTTP ${status}`);
+    }
+    return body;
+  }
+
+  /**
+   * Rich Presence image assets of a Discord application (cached by the companion)
+   * @param {string} clientId - Empty for the companion's default CLIENT_ID
+   * @param {boolean} refresh - Ask Discord again instead of using the cache
+   * @returns {Promise<object>} { clientId, assets: [{ key, url }], fetchedAt, stale }
+   */
+  async getAssets(clientId, refresh = false) {
+    const { status, body } = await this.sendRequest('assets', '/assets', { clientId, refresh }, ASSETS_TIMEOUT);
+    if (status === 404 && !body.code) {
+      throw new Error('Update the desktop app to browse image assets');
+    }
+    if (status >= 400) {
+      throw new Error(body.error || `HTTP ${status}`);
+    }
+    return body;
+  }
+
+  async loadUploadedIcons() {
+    if (this.uploadedIcons) {
+      return;
+    }
+    try {
+      const iconsJson = await AsyncStorage.getItem(this.iconsKey);
+      this.uploadedIcons = new Set(iconsJson ? JSON.parse(iconsJson) : []);
+    } catch (error) {
+      this.uploadedIcons = new Set();
+    }
+  }
+
+  async persistUploadedIcons() {
+    try {
+      await AsyncStorage.setItem(this.iconsKey, JSON.stringify(Array.from(this.uploadedIcons)));
+    } catch (error) {
+      // Could not persist uploaded icons
+    }
+  }
+
+  /**
+   * Send an app icon unless the companion already has it
+   * @param {string} packageName - Package the icon belongs to
+   * @param {object} icon - { hash, version, png } from ForegroundAppModule.getAppIcon
+   * @returns {Promise<boolean>} true once the companion has the icon
+   */
+  async uploadIcon(packageName, icon) {
+    await this.loadUploadedIcons();
+    if (this.uploadedIcons.has(icon.hash)) {
+      return true;
+    }
+    if (!this.isAvailable) {
+      return false;
+    }
+    // Refreshes keep asking while a slow upload is still going
+    if (!this.iconUploads.has(icon.hash)) {
+      const upload = this.sendIcon(packageName, icon).finally(() => this.iconUploads.delete(icon.hash));
+      this.iconUploads.set(icon.hash, upload);
+    }
+    return this.iconUploads.get(icon.hash);
+  }
+
+  // Upload one icon and remember that the companion has it
+  async sendIcon(packageName, icon) {
+    try {
+      const { status } = await this.sendRequest('upload-icon', '/icons', {
+        packageName,
+        version: icon.version,
+        hash: icon.hash,
+        png: icon.png,
+      }, ICON_UPLOAD_TIMEOUT);
+      if (status !== 200) {
+        return false;
+      }
+    } catch (error) {
+      return false;
+    }
+
+    this.uploadedIcons.add(icon.hash);
+    await this.persistUploadedIcons();
+    return true;
+  }
+
+  /**
+   * Upload icons again that the companion reports missing (e.g. its data was cleared)
+   */
+  async forgetIcons(hashes) {
+    await this.loadUploadedIcons();
+    hashes.forEach((hash) => this.uploadedIcons.delete(hash));
+    await this.persistUploadedIcons();
+  }
+
+  /**
+   * Remove everything stored for this companion's icons (endpoint removed)
+   */
+  async clearUploadedIcons() {
+    this.uploadedIcons = new Set();
+    try {
+      await AsyncStorage.removeItem(this.iconsKey);
+    } catch (error) {
+      // Could not remove uploaded icons
+    }
+  }
+
+  /**
+   * Store a settings backup on the companion (replaces this phone's previous one)
+   * @returns {Promise<object>} { deviceName, savedAt }
+   */
+  async saveBackup(bundle) {
+    const { status, body } = await this.sendRequest('save-backup', '/backup/save', {
+      deviceName: bundle.device,
+      bundle,
+    }, BACKUP_TIMEOUT);
+    if (status !== 200) {
+      throw new Error(status === 404 && !body.error ? 'Update the desktop app to save backups' : body.error || `HTTP ${status}`);
+    }
+    return body;
+  }
+
+  /**
+   * Fetch a settings backup from the companion
+   * @param {string} deviceName - Phone the backup came from; this phone if omitted
+   * @returns {Promise<object>} { deviceName, savedAt, bundle, available }
+   */
+  async loadBackup(deviceName = getDeviceName()) {
+    const { status, body } = await this.sendRequest('load-backup', '/backup/load', { deviceName }, BACKUP_TIMEOUT);
+    if (status !== 200) {
+      throw new Error(body.error || `HTTP ${status}`);
+    }
+    return body;
+  }
+
+  /**
+   * The companion's shared app catalog
+   * @returns {Promise<object>} packageName -> { name, clientId, details, state }
+   */
+  async getCatalog() {
+    const { status, body } = await this.sendRequest('get-catalog', '/catalog', null, CATALOG_TIMEOUT, 'GET');
+    if (status !== 200) {
+      throw new Error(body.error || `HTTP ${status}`);
+    }
+    return body.apps || {};
+  }
+
+  /**
+   * Test connection to the companion
+   */
+  async testConnection() {
+    // An open socket is already authenticated - a ping is enough
+    if (this.socketReady) {
+      try {
+        const { body } = await this.sendOverSocket('ping', null, 5000);
+        this.update({
+          reachable: true,
+          authenticated: true,
+          discordConnected: !!body.discordConnected,
+          hasDefaultClientId: !!body.hasDefaultClientId,
+          servesIcons: !!body.servesIcons,
+        });
+        this.flushQueue();
+        return {
+          connected: true,
+          authenticated: true,
+          discordConnected: body.discordConnected || false,
+        };
+      } catch (error) {
+        // Fall back to HTTP below
+      }
+    }
+
+    try {
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), 5000);
+
+      const response = await fetch(`${this.url}/health`, {
+        method: 'GET',
+        headers: this.getHeaders(),
+        signal: controller.signal,
+      });
+
+      clearTimeout(timeoutId);
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const data = await response.json();
+      const authenticated = data.authenticated === true;
+      this.update({
+        reachable: true,
+        authenticated,
+        discordConnected: authenticated && !!data.discordConnected,
+        hasDefaultClientId: authenticated && !!data.hasDefaultClientId,
+        servesIcons: authenticated && !!data.servesIcons,
+      });
+      if (authenticated) {
+        this.flushQueue();
+      }
+      return {
+        connected: true, // Desktop app is reachable
+        authenticated,
+        discordConnected: data.discordConnected || false,
+        name: data.name,
+        ip: data.ip,
+        port: data.port,
+      };
+    } catch (error) {
+      this.update({ reachable: false });
+      throw new Error(`Cannot connect to desktop app: ${error.message}`);
+    }
+  }
+
+  /**
+   * Add a request to the outbound queue and try to deliver it
+   * Never throws - failures are kept in the queue and reported via lastError
+   */
+  async enqueue(entry) {
+    const existing = this.queue.find((queued) => queued.key === entry.key);
+    if (existing && this.queueOffline && JSON.stringify(existing.payload) === JSON.stringify(entry.payload)) {
+      return; // Same update already waiting - nothing new to store
+    }
+
+    // Coalesce: only the latest update per package is worth sending
+    this.queue = this.queue.filter((queued) => queued.key !== entry.key);
+    this.queue.push({ ...entry, queuedAt: Date.now() });
+    if (this.queue.length > QUEUE_MAX_LENGTH) {
+      this.queue.splice(0, this.queue.length - QUEUE_MAX_LENGTH);
+    }
+
+    // While the companion is unreachable, wait for testConnection() or the
+    // WebSocket to come back instead of timing out on every tick
+    if (this.queueOffline) {
+      await this.persistQueue();
+      this.onChange();
+      return;
+    }
+
+    // A flush that's already saving may have missed this entry
+    if (this.flushPromise) {
+      await this.flushPromise;
+    }
+    await this.flushQueue();
+  }
+
+  /**
+   * Drop everything waiting for this companion
+   * Used when another companion takes over so stale updates aren't replayed here
+   */
+  async resetQueue() {
+    this.queue = [];
+    await this.persistQueue();
+    this.onChange();
+  }
+
+  /**
+   * Deliver queued requests in order, stopping at the first one that can't
+   * reach the companion
+   */
+  flushQueue() {
+    if (this.flushPromise) {
+      return this.flushPromise;
+    }
+
+    const flush = async () => {
+      while (this.queue.length > 0 && this.enabled) {
+        const entry = this.queue[0];
+        if (Date.now() - entry.queuedAt > QUEUE_MAX_AGE) {
+          this.queue.shift();
+          continue;
+        }
+        if (!(await this.deliver(entry))) {
+          break;
+        }
+        this.queue.shift();
+      }
+      await this.persistQueue();
+      this.onChange();
+    };
+
+    this.flushPromise = flush().finally(() => {
+      this.flushPromise = null;
+    });
+    return this.flushPromise;
+  }
+
+  /**
+   * Send one queued request
+   * @returns {Promise<boolean>} false if the companion couldn't be reached or asked to try
+   *   again later (keep it queued)
+   */
+  async deliver(entry) {
+    let response;
+    try {
+      response = await this.sendRequest(entry.type, `/${entry.type}`, entry.payload);
+    } catch (error) {
+      this.queueOffline = true;
+      this.lastError = `Cannot reach desktop app: ${error.message}`;
+      this.update({ reachable: false });
+      return false;
+    }
+
+    this.queueOffline = false;
+
+    const { status, body } = response;
+    this.update({ reachable: true, authenticated: status !== 401 });
+    if (status >= 400) {
+      this.lastError = body.error
+        ? `${body.error}${body.details ? `: ${[].concat(body.details).join(', ')}` : ''}`
+        : `HTTP ${status}`;
+      // Kept until it expires; anything else the companion rejected won't get better by retrying
+      if (RETRY_STATUSES.includes(status)) {
+        return false;
+      }
+    } else if (body.success === false) {
+      this.lastError = body.message || 'Update rejected';
+    } else {
+      this.lastError = null;
+    }
+    if (Array.isArray(body.missingIcons) && body.missingIcons.length > 0) {
+      await this.forgetIcons(body.missingIcons);
+    }
+    return true;
+  }
+
+  /**
+   * Restore updates left over from the last run; they're replayed on the
+   * next successful connection
+   */
+  async loadQueue() {
+    try {
+      const queueJson = await AsyncStorage.getItem(this.queueKey);
+      this.queue = queueJson ? JSON.parse(queueJson) : [];
+    } catch (error) {
+      this.queue = [];
+    }
+    this.queueOffline = this.queue.length > 0;
+    this.queuePersisted = this.queue.length > 0;
+  }
+
+  async persistQueue() {
+    try {
+      if (this.queue.length > 0) {
+        await AsyncStorage.setItem(this.queueKey, JSON.stringify(this.queue));
+        this.queuePersisted = true;
+      } else if (this.queuePersisted) {
+        // Only touch storage when there's a stale queue to remove
+        await AsyncStorage.removeItem(this.queueKey);
+        this.queuePersisted = false;
+      }
+    } catch (error) {
+      // Could not persist queue
+    }
+  }
+
+  /**
+   * Start talking to the companion: WebSocket if paired, otherwise just a health check
+   */
+  start() {
+    if (!this.enabled) {
+      return;
+    }
+    this.testConnection().catch(() => {});
+    if (this.token) {
+      this.openSocket();
+    }
+  }
+
+  /**
+   * Close every connection and forget the live state
+   */
+  stop() {
+    this.closeSocket();
+    this.update({ reachable: null, authenticated: false, discordConnected: false, hasDefaultClientId: false, servesIcons: false });
+  }
+}
@@ -1,89 +1,529 @@
 /**
  * Desktop RPC Service
- * 
- * Communicates with the desktop companion app over local WiFi
+ *
+ * Communicates with desktop companion apps over local WiFi
  * to update Discord Rich Presence using the official Discord SDK.
+ *
+ * Manages a list of named companion endpoints (e.g. a desktop and a laptop).
+ * Each presence update goes either to every enabled endpoint or only to the
+ * highest-priority one that is currently reachable. The connection to each
+ * endpoint lives in CompanionEndpoint.
  */
 
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import dgram from 'react-native-udp';
+import CompanionEndpoint, { AWAY_QUEUE_KEY, CLEAR_QUEUE_KEY, ICON_KEY_PREFIX, toBaseUrl } from './CompanionEndpoint';
+import settingsStore from './SettingsStore';
 
-const DESKTOP_IP_KEY = '@desktop_ip';
-const DESKTOP_ENABLED_KEY = '@desktop_enabled';
+const CATALOG_REFRESH_INTERVAL = 10 * 60 * 1000;
+
+// Must match desktop-app/discovery.js
+const DISCOVERY_PORT = 9091;
+const DISCOVERY_PROBE = 'DISCORD_RPC_DISCOVER';
+const DISCOVERY_SERVICE = 'discord-rpc-companion';
+
+/**
+ * How updates are routed
+ * ALL: every enabled endpoint shows the presence
+ * PRIORITY: only the first reachable endpoint in list order shows it
+ */
+export const DELIVERY_MODES = {
+  ALL: 'all',
+  PRIORITY: 'priority',
+};
+
+const createEndpointId = () => `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
 
 class DesktopRPC {
   constructor() {
-    this.desktopIP = null;
-    this.isEnabled = false;
+    this.endpoints = []; // CompanionEndpoint, highest priority first
+    this.mode = DELIVERY_MODES.ALL;
+    this.priorityTargetId = null; // Endpoint currently showing presence in PRIORITY mode
     this.lastUpdate = null;
     this.lastPackageName = null;
     this.updateThrottle = 2000; // Throttle updates to every 2 seconds (only if same app)
+    this.listeners = new Set();
+    this.catalogFetchedAt = 0; // The catalog itself is kept in settingsStore
+  }
+
+  /**
+   * Subscribe to companion events
+   * Receives server events ({ type: 'status' | 'discord-state' | 'discord-connected' | 'discord-disconnected' |
+   * 'client-id-switched' | 'activity-set' | 'activity-away' | 'activity-cleared' | 'activity-rejected', ... })
+   * and transport changes ({ type: 'transport', transport: 'websocket' | 'http' }), each tagged with
+   * endpointId and endpointName, plus endpoint list changes ({ type: 'endpoints', endpoints })
+   * @param {Function} listener - Called with each event
+   * @returns {Function} Unsubscribe function
+   */
+  addListener(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  emit(event) {
+    this.listeners.forEach((listener) => {
+      try {
+        listener(event);
+      } catch (error) {
+        // Listener errors shouldn't break the transport
+      }
+    });
+  }
+
+  emitEndpoints() {
+    this.emit({ type: 'endpoints', endpoints: this.endpointStatus });
+  }
+
+  createEndpoint(config) {
+    const endpoint = new CompanionEndpoint(config, {
+      onEvent: (event) => this.emit({ ...event, endpointId: endpoint.id, endpointName: endpoint.name }),
+      onChange: () => this.emitEndpoints(),
+    });
+    return endpoint;
+  }
+
+  getEndpoint(id) {
+    return this.endpoints.find((endpoint) => endpoint.id === id) || null;
+  }
+
+  get enabledEndpoints() {
+    return this.endpoints.filter((endpoint) => endpoint.enabled);
   }
 
   /**
-   * Initialize with desktop app IP address
-   * @param {string} ipAddress - IP address and port (e.g., "192.168.1.100:9090")
+   * Endpoints the next update goes to
    */
-  async initialize(ipAddress) {
-    if (!ipAddress || !ipAddress.trim()) {
+  getTargets() {
+    const enabled = this.enabledEndpoints;
+    if (this.mode === DELIVERY_MODES.ALL) {
+      return enabled;
+    }
+    // Nothing reachable yet - queue on the preferred endpoint
+    const target = enabled.find((endpoint) => endpoint.isAvailable) || enabled[0];
+    return target ? [target] : [];
+  }
+
+  /**
+   * Status of every endpoint for the Desktop Companion dialog
+   * `active` marks the endpoints currently receiving updates
+   */
+  get endpointStatus() {
+    const targets = this.getTargets();
+    return this.endpoints.map((endpoint) => ({
+      ...endpoint.status(),
+      active: targets.includes(endpoint),
+    }));
+  }
+
+  async saveEndpoints() {
+    try {
+      await settingsStore.set('desktopEndpoints', this.endpoints.map((endpoint) => endpoint.toJSON()));
+    } catch (error) {
+      // Could not store desktop endpoints
+    }
+  }
+
+  /**
+   * Load saved endpoints and start connecting to the enabled ones
+   * @returns {Promise<Array>} Endpoint status list
+   */
+  async loadEndpoints() {
+    try {
+      await settingsStore.load();
+      const mode = settingsStore.get('desktopMode');
+
+      if (Object.values(DELIVERY_MODES).includes(mode)) {
+        this.mode = mode;
+      }
+      this.endpoints.forEach((endpoint) => endpoint.stop());
+      this.endpoints = settingsStore.get('desktopEndpoints').map((config) => this.createEndpoint(config));
+      await Promise.all(this.endpoints.map((endpoint) => endpoint.loadQueue()));
+    } catch (error) {
+      // Error loading desktop endpoints
+    }
+
+    this.endpoints.forEach((endpoint) => endpoint.start());
+    this.emitEndpoints();
+    return this.endpointStatus;
+  }
+
+  /**
+   * Add a companion (or reconnect one already in the list), pairing if needed
+   * @param {object} options - { address, name, code }
+   * @param {string} options.address - IP address and port (e.g., "192.168.1.100:9090")
+   * @param {string} options.name - Display name; defaults to the companion's host name
+   * @param {string} options.code - Pairing code, only needed the first time
+   */
+  async addEndpoint({ address, name = '', code = '' }) {
+    if (!address || !address.trim()) {
       throw new Error('Desktop IP address is required');
     }
 
-    // Remove http:// if present
-    let ip = ipAddress.trim().replace(/^https?:\/\//, '');
-    
-    // Add http:// if not present
-    if (!ip.startsWith('http://') && !ip.startsWith('https://')) {
-      ip = `http://${ip}`;
+    const url = toBaseUrl(address);
+    const existing = this.endpoints.find((endpoint) => endpoint.url === url);
+    const endpoint = existing || this.createEndpoint({
+      id: createEndpointId(),
+      name: name.trim(),
+      address: address.trim(),
+    });
+
+    let health = await endpoint.testConnection();
+    if (!health.authenticated) {
+      if (!code || !code.trim()) {
+        throw new Error('This phone is not paired. Enter the pairing code shown in the desktop app tray menu.');
+      }
+      await endpoint.pair(code);
+      health = await endpoint.testConnection();
     }
 
-    this.desktopIP = ip;
-    this.isEnabled = true;
+    endpoint.name = name.trim() || endpoint.name || health.name || address.trim();
+    endpoint.enabled = true;
+    if (!existing) {
+      this.endpoints.push(endpoint);
+    }
+    await this.saveEndpoints();
 
-    // Save to storage
+    if (!endpoint.isSocketOpen) {
+      endpoint.openSocket();
+    }
+    this.emitEndpoints();
+    return health;
+  }
+
+  /**
+   * Forget an endpoint, clearing its presence first if it's reachable
+   */
+  async removeEndpoint(id) {
+    const endpoint = this.getEndpoint(id);
+    if (!endpoint) {
+      return;
+    }
+
+    if (endpoint.isAvailable) {
+      await endpoint.resetQueue();
+      await endpoint.enqueue({ key: CLEAR_QUEUE_KEY, type: 'clear-presence', payload: null });
+    }
+    endpoint.stop();
+    await endpoint.resetQueue();
+    await endpoint.clearUploadedIcons();
+    this.endpoints = this.endpoints.filter((candidate) => candidate !== endpoint);
+    if (this.priorityTargetId === id) {
+      this.priorityTargetId = null;
+    }
+    await this.saveEndpoints();
+    this.emitEndpoints();
+  }
+
+  /**
+   * Turn updates to one endpoint on or off
+   */
+  async setEndpointEnabled(id, enabled) {
+    const endpoint = this.getEndpoint(id);
+    if (!endpoint || endpoint.enabled === enabled) {
+      return;
+    }
+
+    if (enabled) {
+      endpoint.enabled = true;
+      endpoint.start();
+    } else {
+      // Take our presence off that Discord before going quiet
+      if (endpoint.isAvailable) {
+        await endpoint.resetQueue();
+        await endpoint.enqueue({ key: CLEAR_QUEUE_KEY, type: 'clear-presence', payload: null });
+      }
+      endpoint.enabled = false;
+      endpoint.stop();
+    }
+    await this.saveEndpoints();
+    this.emitEndpoints();
+  }
+
+  /**
+   * Move an endpoint up (-1) or down (1) in priority order
+   */
+  async moveEndpoint(id, direction) {
+    const index = this.endpoints.findIndex((endpoint) => endpoint.id === id);
+    const target = index + direction;
+    if (index < 0 || target < 0 || target >= this.endpoints.length) {
+      return;
+    }
+    const endpoints = [...this.endpoints];
+    [endpoints[index], endpoints[target]] = [endpoints[target], endpoints[index]];
+    this.endpoints = endpoints;
+    await this.saveEndpoints();
+    this.emitEndpoints();
+  }
+
+  /**
+   * Send updates to all enabled endpoints or only the first reachable one
+   * @param {string} mode - One of DELIVERY_MODES
+   */
+  async setMode(mode) {
+    if (!Object.values(DELIVERY_MODES).includes(mode)) {
+      return;
+    }
+    this.mode = mode;
+    this.priorityTargetId = null;
+    // Let the next update go out right away to the new set of endpoints
+    this.lastUpdate = null;
     try {
-      await AsyncStorage.setItem(DESKTOP_IP_KEY, ipAddress.trim());
-      await AsyncStorage.setItem(DESKTOP_ENABLED_KEY, 'true');
+      await settingsStore.set('desktopMode', mode);
     } catch (error) {
-      // Could not store desktop IP
+      // Could not store delivery mode
     }
+    this.emitEndpoints();
+  }
 
-    // Test connection
-    return this.testConnection();
+  /**
+   * Find desktop companions on the local network
+   * Broadcasts a UDP probe and collects the beacons sent back
+   * @param {number} timeout - How long to wait for replies in ms
+   * @returns {Promise<Array<{name: string, host: string, port: number, version: string, address: string}>>}
+   */
+  discover(timeout = 2000) {
+    return new Promise((resolve) => {
+      const found = new Map();
+      let socket;
+
+      const finish = () => {
+        try {
+          socket.close();
+        } catch (error) {
+          // Socket already closed
+        }
+        resolve(Array.from(found.values()));
+      };
+
+      try {
+        socket = dgram.createSocket({ type: 'udp4' });
+      } catch (error) {
+        resolve([]);
+        return;
+      }
+
+      socket.on('message', (message) => {
+        try {
+          const beacon = JSON.parse(message.toString());
+          if (beacon.service !== DISCOVERY_SERVICE || !beacon.host || !beacon.port) {
+            return;
+          }
+          const address = `${beacon.host}:${beacon.port}`;
+          found.set(address, {
+            name: beacon.name || beacon.host,
+            host: beacon.host,
+            port: beacon.port,
+            version: beacon.version || null,
+            address,
+          });
+        } catch (error) {
+          // Ignore unrelated datagrams
+        }
+      });
+
+      socket.on('error', () => finish());
+
+      socket.bind(0, () => {
+        try {
+          socket.setBroadcast(true);
+          socket.send(DISCOVERY_PROBE, undefined, undefined, DISCOVERY_PORT, '255.255.255.255', () => {});
+        } catch (error) {
+          // Broadcast not permitted on this network
+        }
+        setTimeout(finish, timeout);
+      });
+    });
   }
 
   /**
-   * Test connection to desktop app
+   * Test connection to every enabled desktop app
+   * @returns {Promise<{connected: boolean, authenticated: boolean, discordConnected: boolean}>}
+   *   connected if at least one is reachable
    */
   async testConnection() {
-    if (!this.desktopIP) {
-      throw new Error('Desktop IP not set');
+    const enabled = this.enabledEndpoints;
+    if (enabled.length === 0) {
+      throw new Error('No desktop app added');
+    }
+
+    const results = (await Promise.all(
+      enabled.map((endpoint) => endpoint.testConnection().catch(() => null))
+    )).filter(Boolean);
+
+    if (results.length === 0) {
+      throw new Error('Cannot connect to desktop app');
+    }
+    const authenticated = results.filter((health) => health.authenticated);
+    return {
+      connected: true,
+      authenticated: authenticated.length > 0,
+      discordConnected: authenticated.some((health) => health.discordConnected),
+    };
+  }
+
+  /**
+   * A connected desktop app for one-off requests, preferring the one showing presence
+   */
+  getRequestEndpoint() {
+    const endpoint = this.getTargets().find((target) => target.isAvailable)
+      || this.enabledEndpoints.find((candidate) => candidate.isAvailable);
+    if (!endpoint) {
+      throw new Error('No desktop app connected');
+    }
+    return endpoint;
+  }
+
+  /**
+   * Check a CLIENT_ID on a connected desktop app
+   * @returns {Promise<object>} Validation result plus the endpointName that checked it
+   */
+  async validateClientId(clientId) {
+    const endpoint = this.getRequestEndpoint();
+    const result = await endpoint.validateClientId(clientId);
+    return { ...result, endpointName: endpoint.name };
+  }
+
+  /**
+   * Image assets of a Discord application, for the image key picker
+   * @param {string} clientId - Empty for the desktop app's default CLIENT_ID
+   */
+  async getAssets(clientId, refresh = false) {
+    return this.getRequestEndpoint().getAssets(clientId, refresh);
+  }
+
+  /**
+   * Fetch the shared app catalog from every connected desktop app
+   * Higher priority desktop apps win when several list the same package.
+   * Fetched at most every 10 minutes unless forced; the last catalog is kept
+   * on the phone for when no desktop app is connected
+   * @param {boolean} force - Fetch even if the catalog is recent
+   * @returns {Promise<object>} packageName -> { name, clientId, details, state }
+   */
+  async refreshCatalog(force = false) {
+    const endpoints = this.enabledEndpoints.filter((endpoint) => endpoint.isAvailable);
+    if (endpoints.length === 0 || (!force && Date.now() - this.catalogFetchedAt < CATALOG_REFRESH_INTERVAL)) {
+      return settingsStore.get('appCatalog');
+    }
+
+    const results = await Promise.allSettled(endpoints.map((endpoint) => endpoint.getCatalog()));
+    const fetched = results.filter((result) => result.status === 'fulfilled');
+    if (fetched.length === 0) {
+      return settingsStore.get('appCatalog');
     }
 
+    const catalog = fetched.reduceRight((merged, result) => ({ ...merged, ...result.value }), {});
+    this.catalogFetchedAt = Date.now();
     try {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 5000);
-      
-      const response = await fetch(`${this.desktopIP}/health`, {
-        method: 'GET',
-        signal: controller.signal,
-      });
-      
-      clearTimeout(timeoutId);
+      await settingsStore.set('appCatalog', catalog);
+    } catch (error) {
+      // Error saving catalog cache
+    }
+    return catalog;
+  }
+
+  /**
+   * Catalog entry for a package, or null
+   */
+  getCatalogEntry(packageName) {
+    return settingsStore.get('appCatalog')[packageName] || null;
+  }
 
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}`);
+  /**
+   * Add desktop apps from a settings backup
+   * They come without pairing tokens, so they're added disabled until paired again
+   * @param {Array} endpoints - [{ name, address, enabled }]
+   * @returns {Promise<number>} How many were added
+   */
+  async importEndpoints(endpoints) {
+    let added = 0;
+    endpoints.forEach(({ name, address }) => {
+      const url = toBaseUrl(address);
+      if (this.endpoints.some((endpoint) => endpoint.url === url)) {
+        return;
       }
+      this.endpoints.push(this.createEndpoint({
+        id: createEndpointId(),
+        name: (name || '').trim() || address.trim(),
+        address: address.trim(),
+        enabled: false,
+      }));
+      added++;
+    });
 
-      const data = await response.json();
-      return {
-        connected: true, // Desktop app is reachable
-        discordConnected: data.discordConnected || false,
-        ip: data.ip,
-        port: data.port,
-      };
-    } catch (error) {
-      throw new Error(`Cannot connect to desktop app: ${error.message}`);
+    if (added > 0) {
+      await this.saveEndpoints();
+      this.emitEndpoints();
     }
+    return added;
+  }
+
+  /**
+   * Save a settings backup on a connected desktop app
+   */
+  async saveBackup(bundle) {
+    const endpoint = this.getRequestEndpoint();
+    const result = await endpoint.saveBackup(bundle);
+    return { ...result, endpointName: endpoint.name };
+  }
+
+  /**
+   * Fetch this phone's settings backup (or another phone's, by name) from a connected desktop app
+   */
+  async loadBackup(deviceName) {
+    const endpoint = this.getRequestEndpoint();
+    const result = await endpoint.loadBackup(deviceName);
+    return { ...result, endpointName: endpoint.name };
+  }
+
+  /**
+   * Image key for this app's icon, uploading the icon in the background to the
+   * desktop apps about to get an update that can show it
+   * The update doesn't wait: a companion that doesn't have the icon yet shows
+   * the presence without it and picks it up on a later refresh
+   * @param {string} packageName - Package the icon belongs to
+   * @param {object} icon - From ForegroundAppModule.getAppIcon
+   * @returns {string|null} Image key the companions turn into the icon's URL,
+   *   or null when none of them can serve icons
+   */
+  prepareAppIcon(packageName, icon) {
+    const targets = this.getTargets().filter((endpoint) => endpoint.servesIcons);
+    if (targets.length === 0) {
+      return null;
+    }
+    targets.forEach((endpoint) => {
+      endpoint.uploadIcon(packageName, icon).catch(() => {});
+    });
+    return `${ICON_KEY_PREFIX}${icon.hash}`;
+  }
+
+  /**
+   * In PRIORITY mode, stop showing presence on the endpoint we're switching away from
+   */
+  async retarget(targets) {
+    if (this.mode !== DELIVERY_MODES.PRIORITY) {
+      return;
+    }
+    const targetId = targets[0] ? targets[0].id : null;
+    if (targetId === this.priorityTargetId) {
+      return;
+    }
+
+    const previous = this.getEndpoint(this.priorityTargetId);
+    this.priorityTargetId = targetId;
+    if (previous && previous.enabled) {
+      // Replace whatever it was about to replay with a clear
+      await previous.resetQueue();
+      await previous.enqueue({ key: CLEAR_QUEUE_KEY, type: 'clear-presence', payload: null });
+    }
+    this.emitEndpoints();
+  }
+
+  /**
+   * Send a request to the current targets
+   */
+  async deliver(entry) {
+    const targets = this.getTargets();
+    await this.retarget(targets);
+    await Promise.all(targets.map((endpoint) => endpoint.enqueue(entry)));
   }
 
   /**
@@ -91,9 +531,13 @@ class DesktopRPC {
    * @param {string} displayName - Display name of the app
    * @param {string} packageName - Package name of the app
    * @param {string} clientId - Optional Discord CLIENT_ID for this app
+   * @param {object} activity - Optional extra activity fields (state, largeImageKey, largeImageText,
+   *   smallImageKey, buttons, partySize, partyMax, endTimestamp)
+   * @param {object} foregroundApp - Optional detected app from ForegroundWatcher; its label,
+   *   version, category, method and confidence are sent along as detection details
    */
-  async setActivity(displayName, packageName, clientId = null) {
-    if (!this.isEnabled || !this.desktopIP) {
+  async setActivity(displayName, packageName, clientId = null, activity = {}, foregroundApp = null) {
+    if (!this.isConnected) {
       return;
     }
 
@@ -106,122 +550,96 @@ class DesktopRPC {
     // Note: Connection check is done in App.js before calling setActivity
     // We don't check here to avoid blocking updates unnecessarily
 
-    try {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 3000);
-      
-      const response = await fetch(`${this.desktopIP}/update-presence`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          appName: displayName,
-          packageName: packageName,
-          displayName: displayName,
-          clientId: clientId, // Optional CLIENT_ID from mobile app
-        }),
-        signal: controller.signal,
-      });
-      
-      clearTimeout(timeoutId);
+    this.lastUpdate = now;
+    this.lastPackageName = packageName;
 
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}`);
-      }
+    await this.deliver({
+      key: packageName,
+      type: 'update-presence',
+      payload: {
+        ...activity,
+        packageName: packageName,
+        displayName: displayName,
+        clientId: clientId, // Optional CLIENT_ID from mobile app
+        ...(foregroundApp ? {
+          app: {
+            label: foregroundApp.label,
+            version: foregroundApp.version,
+            category: foregroundApp.category,
+            method: foregroundApp.method,
+            confidence: foregroundApp.confidence,
+          },
+        } : {}),
+      },
+    });
+  }
 
-      this.lastUpdate = now;
-      this.lastPackageName = packageName;
-    } catch (error) {
-      // Don't throw - fail silently to avoid disrupting app
+  /**
+   * Tell the desktop apps the phone is away, instead of sending the app again
+   * Resent on every refresh so the presence doesn't time out; the next
+   * setActivity() ends it
+   * @param {string} state - 'screen-off', 'locked' or 'idle'
+   * @param {string} action - 'idle' to show "Idle", 'keep' to keep the app with its timer paused
+   */
+  async setAway(state, action) {
+    if (!this.isConnected) {
+      return;
     }
+
+    // Let the app go out right away when the phone is back
+    this.lastPackageName = null;
+    await this.deliver({ key: AWAY_QUEUE_KEY, type: 'set-away', payload: { state, action } });
   }
 
   /**
    * Clear Discord Rich Presence
    */
   async clearActivity() {
-    if (!this.isEnabled || !this.desktopIP) {
+    if (!this.isConnected) {
       return;
     }
 
-    try {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 3000);
-      
-      const response = await fetch(`${this.desktopIP}/clear-presence`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        signal: controller.signal,
-      });
-      
-      clearTimeout(timeoutId);
-      
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}`);
-      }
-    } catch (error) {
-      // Error clearing desktop RPC
-    }
+    await this.deliver({ key: CLEAR_QUEUE_KEY, type: 'clear-presence', payload: null });
   }
 
   /**
-   * Disable and disconnect
+   * Clear presence everywhere and close every connection (app shutting down)
+   * Endpoints stay enabled for the next launch
    */
   async disable() {
-    this.isEnabled = false;
     try {
-      await AsyncStorage.setItem(DESKTOP_ENABLED_KEY, 'false');
-      await this.clearActivity();
+      await Promise.all(this.enabledEndpoints.map((endpoint) => (
+        endpoint.enqueue({ key: CLEAR_QUEUE_KEY, type: 'clear-presence', payload: null })
+      )));
     } catch (error) {
       // Error disabling desktop RPC
     }
+    this.endpoints.forEach((endpoint) => endpoint.stop());
   }
 
   /**
-   * Load saved IP from storage
+   * True when every enabled endpoint has its WebSocket open
    */
-  async loadSavedIP() {
-    try {
-      const ip = await AsyncStorage.getItem(DESKTOP_IP_KEY);
-      const enabled = await AsyncStorage.getItem(DESKTOP_ENABLED_KEY);
-      
-      if (ip) {
-        // Ensure IP has http:// prefix for consistency
-        let formattedIp = ip.trim();
-        if (!formattedIp.startsWith('http://') && !formattedIp.startsWith('https://')) {
-          formattedIp = `http://${formattedIp}`;
-        }
-        this.desktopIP = formattedIp;
-      }
-      if (enabled === 'true') {
-        this.isEnabled = true;
-      }
-      
-      return { ip, enabled: enabled === 'true' };
-    } catch (error) {
-      return null;
-    }
+  get isSocketOpen() {
+    const enabled = this.enabledEndpoints;
+    return enabled.length > 0 && enabled.every((endpoint) => endpoint.isSocketOpen);
+  }
+
+  get isConnected() {
+    return this.enabledEndpoints.length > 0;
   }
 
   /**
-   * Clear saved IP
+   * True when an enabled companion has its own default CLIENT_ID, so apps
+   * without one can still be shown
    */
-  async clearSavedIP() {
-    try {
-      await AsyncStorage.removeItem(DESKTOP_IP_KEY);
-      await AsyncStorage.removeItem(DESKTOP_ENABLED_KEY);
-      this.desktopIP = null;
-      this.isEnabled = false;
-    } catch (error) {
-      // Error clearing saved IP
-    }
+  get hasDefaultClientId() {
+    return this.enabledEndpoints.some((endpoint) => endpoint.hasDefaultClientId);
   }
 
-  get isConnected() {
-    return this.isEnabled && this.desktopIP !== null;
+  // Whether a desktop app about to get an update can show app icons
+  get servesIcons() {
+    return this.getTargets().some((endpoint) => endpoint.servesIcons);
   }
 }
 
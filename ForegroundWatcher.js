@@ -0,0 +1,178 @@
+/**
+ * Foreground Watcher
+ *
+ * Which app is in the foreground, and an onForegroundAppChanged event for when
+ * that changes. The native module sends the events, from its accessibility
+ * service when it's turned on or else from UsageEvents read on a background
+ * thread. Builds without the event API fall back to polling, which slows down
+ * while the same app stays in front.
+ * Also reports whether the screen is off or locked and how long the user has
+ * been idle, with an onDeviceStateChanged event while the watcher runs.
+ */
+
+import { NativeModules, NativeEventEmitter } from 'react-native';
+
+const { ForegroundAppModule } = NativeModules;
+
+const FOREGROUND_APP_CHANGED = 'onForegroundAppChanged'; // Must match ForegroundAppModule.kt
+const DEVICE_STATE_CHANGED = 'onDeviceStateChanged';
+const WATCH_INTERVAL = 1000; // How often the native side reads new UsageEvents
+const POLL_MIN_INTERVAL = 1000;
+const POLL_MAX_INTERVAL = 5000;
+
+// Codes getForegroundApp rejects with when it can't tell what's in front
+// Must match ForegroundAppModule.kt
+export const DETECTION_ERRORS = {
+  PERMISSION_MISSING: 'PERMISSION_MISSING', // Usage Access isn't granted
+  SCREEN_OFF: 'SCREEN_OFF',
+  LOCKED: 'LOCKED', // The lock screen is showing
+};
+
+// Must match ForegroundAppModule.kt
+export const DEVICE_STATES = {
+  ACTIVE: 'active',
+  SCREEN_OFF: 'screen-off',
+  LOCKED: 'locked',
+};
+
+const listeners = new Set();
+let stopSource = null;
+let lastPackage; // undefined until the first app is reported
+let lastApp; // The app behind lastPackage
+
+// Native result -> foreground app, or null when no app was found
+const toForegroundApp = (result) => (result && result.packageName
+  ? {
+    label: result.label || result.packageName,
+    packageName: result.packageName,
+    version: result.version || null,
+    category: result.category || null,
+    method: result.method,
+    confidence: result.confidence,
+  }
+  : null);
+
+const toDeviceState = (result) => ({
+  state: result.state,
+  idleMs: typeof result.idleMs === 'number' ? result.idleMs : null,
+});
+
+export const isForegroundDetectionAvailable = () => !!ForegroundAppModule?.getForegroundApp;
+
+/**
+ * The app in the foreground right now
+ * Rejects with an error whose code is one of DETECTION_ERRORS when detection
+ * isn't possible at the moment
+ * @returns {Promise<object|null>} { label, packageName, version, category, method, confidence },
+ *   or null when no app is detected; confidence is 'high', 'medium' or 'low'
+ */
+export const getForegroundApp = async () => toForegroundApp(await ForegroundAppModule.getForegroundApp());
+
+/**
+ * Whether the screen is on and unlocked, and how long since the user last touched it
+ * @returns {Promise<{state: string, idleMs: number|null}>} state is one of DEVICE_STATES;
+ *   idleMs is null when it can't be measured (the accessibility service is off)
+ */
+export const getDeviceState = async () => {
+  if (!ForegroundAppModule?.getDeviceState) {
+    return { state: DEVICE_STATES.ACTIVE, idleMs: null };
+  }
+  return toDeviceState(await ForegroundAppModule.getDeviceState());
+};
+
+const notify = (app) => {
+  const packageName = app ? app.packageName : null;
+  if (packageName === lastPackage) {
+    return false;
+  }
+  lastPackage = packageName;
+  lastApp = app;
+  listeners.forEach((listener) => {
+    try {
+      listener(app);
+    } catch (error) {
+      // One listener failing must not stop the others
+    }
+  });
+  return true;
+};
+
+const startEvents = () => {
+  const emitter = new NativeEventEmitter(ForegroundAppModule);
+  const subscription = emitter.addListener(FOREGROUND_APP_CHANGED, (result) => notify(toForegroundApp(result)));
+  ForegroundAppModule.startForegroundWatch(WATCH_INTERVAL).catch(() => {});
+  return () => {
+    subscription.remove();
+    ForegroundAppModule.stopForegroundWatch().catch(() => {});
+  };
+};
+
+// Every second right after a change, doubling up to POLL_MAX_INTERVAL while nothing changes
+const startPolling = () => {
+  let timer = null;
+  let interval = POLL_MIN_INTERVAL;
+  let stopped = false;
+
+  const poll = async () => {
+    try {
+      const changed = notify(await getForegroundApp());
+      interval = changed ? POLL_MIN_INTERVAL : Math.min(interval * 2, POLL_MAX_INTERVAL);
+    } catch (error) {
+      interval = POLL_MAX_INTERVAL;
+    }
+    if (!stopped) {
+      timer = setTimeout(poll, interval);
+    }
+  };
+
+  poll();
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+};
+
+/**
+ * Subscribe to foreground app changes
+ * The listener is called with the new app (see getForegroundApp) whenever a
+ * different one comes to the front
+ * @returns {Function} Unsubscribe function
+ */
+export const onForegroundAppChanged = (listener) => {
+  listeners.add(listener);
+  if (!stopSource && isForegroundDetectionAvailable()) {
+    stopSource = ForegroundAppModule.startForegroundWatch ? startEvents() : startPolling();
+  }
+
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0 && stopSource) {
+      stopSource();
+      stopSource = null;
+      lastPackage = undefined;
+      lastApp = undefined;
+    }
+  };
+};
+
+/**
+ * The app the watcher last reported, so periodic refreshes can skip detecting it again
+ * @returns {object|null|undefined} As getForegroundApp; undefined while nothing
+ *   listens with onForegroundAppChanged or before the first report
+ */
+export const getWatchedForegroundApp = () => lastApp;
+
+/**
+ * Subscribe to screen off/on, lock/unlock and the user coming back after being idle
+ * Only sent while something listens with onForegroundAppChanged; older builds never send it
+ * @param {Function} listener - Called with { state, idleMs } (see getDeviceState)
+ * @returns {Function} Unsubscribe function
+ */
+export const onDeviceStateChanged = (listener) => {
+  if (!ForegroundAppModule?.getDeviceState) {
+    return () => {};
+  }
+  const emitter = new NativeEventEmitter(ForegroundAppModule);
+  const subscription = emitter.addListener(DEVICE_STATE_CHANGED, (result) => listener(toDeviceState(result)));
+  return () => subscription.remove();
+};
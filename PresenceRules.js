@@ -0,0 +1,129 @@
+/**
+ * Presence Rules
+ *
+ * Decides whether, and how, the app in the foreground is shared on Discord:
+ * per-app sharing hours and generic masks ("Browsing", "In a game"), plus the
+ * global privacy mode and keyword filters. Rules only narrow what an enabled
+ * app shares; they never turn an app on.
+ */
+
+// Generic labels offered when masking an app, in the order the dialog lists them
+export const MASK_LABELS = ['Browsing', 'In a game', 'Listening to music', 'Watching videos', 'Chatting'];
+
+// Short day names in Date.getDay() order
+export const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+
+// Must match the text limits in desktop-app/activity.js
+const MASK_MIN_LENGTH = 2;
+const MASK_MAX_LENGTH = 128;
+
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Minutes since midnight for "HH:MM", or null if it isn't a time
+ */
+export const parseTime = (text) => {
+  const match = TIME_PATTERN.exec((text || '').trim());
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+};
+
+/**
+ * Whether a moment falls inside an app's sharing hours
+ * A window that ends before it starts runs past midnight (22:00-02:00), and the
+ * part after midnight belongs to the day it started on. Equal start and end
+ * times cover the whole day
+ * @param {object} schedule - { days: [0-6], start: 'HH:MM', end: 'HH:MM' }
+ * @param {Date} date - Moment to check
+ */
+export const isWithinSchedule = (schedule, date = new Date()) => {
+  const days = schedule.days && schedule.days.length > 0 ? schedule.days : ALL_DAYS;
+  const start = parseTime(schedule.start);
+  const end = parseTime(schedule.end);
+  const today = date.getDay();
+  const minutes = date.getHours() * 60 + date.getMinutes();
+
+  if (start === null || end === null || start === end) {
+    return days.includes(today);
+  }
+  if (start < end) {
+    return days.includes(today) && minutes >= start && minutes < end;
+  }
+  return (days.includes(today) && minutes >= start) || (days.includes((today + 6) % 7) && minutes < end);
+};
+
+/**
+ * Split the keyword field into keywords (comma or line separated)
+ */
+export const parseKeywords = (text) => Array.from(new Set((text || '')
+  .split(/[,\n]/)
+  .map((keyword) => keyword.trim().toLowerCase())
+  .filter(Boolean)));
+
+/**
+ * First keyword found in any of the texts, ignoring case
+ * @returns {string|null}
+ */
+export const findKeyword = (keywords = [], texts = []) => {
+  const haystack = texts.filter(Boolean).map((text) => text.toLowerCase());
+  return keywords.find((keyword) => haystack.some((text) => text.includes(keyword))) || null;
+};
+
+/**
+ * Decide what to share for the app in the foreground
+ * Privacy mode wins over keywords, which win over the app's own rule
+ * @param {object} context - { packageName, displayName, rule, privacy, now }
+ * @param {object} context.rule - { schedule, mask } as stored in @app_rules (optional)
+ * @param {object} context.privacy - { enabled, keywords } as stored in @privacy
+ * @returns {{ share: boolean, reason: string|null, mask: string|null }} reason says why nothing is shared
+ */
+export const evaluateRules = ({ packageName, displayName, rule = {}, privacy = {}, now = new Date() }) => {
+  if (privacy.enabled) {
+    return { share: false, reason: 'Privacy mode is on', mask: null };
+  }
+  const keyword = findKeyword(privacy.keywords, [displayName, packageName]);
+  if (keyword) {
+    return { share: false, reason: `Hidden by keyword "${keyword}"`, mask: null };
+  }
+  if (rule.schedule && !isWithinSchedule(rule.schedule, now)) {
+    return { share: false, reason: 'Outside its sharing hours', mask: null };
+  }
+  return { share: true, reason: null, mask: rule.mask || null };
+};
+
+/**
+ * Problems with a rule, for the Edit App Settings dialog and backup imports
+ * @returns {string[]}
+ */
+export const validateRule = (rule) => {
+  const problems = [];
+  if (rule.schedule) {
+    const { days, start, end } = rule.schedule;
+    if (parseTime(start) === null || parseTime(end) === null) {
+      problems.push('Sharing hours must be times like 09:00');
+    }
+    if (!Array.isArray(days) || days.length === 0 || !days.every((day) => ALL_DAYS.includes(day))) {
+      problems.push('Pick at least one day to share on');
+    }
+  }
+  if (rule.mask !== undefined
+    && (typeof rule.mask !== 'string' || rule.mask.trim().length < MASK_MIN_LENGTH || rule.mask.length > MASK_MAX_LENGTH)) {
+    problems.push(`Mask label must be ${MASK_MIN_LENGTH}-${MASK_MAX_LENGTH} characters`);
+  }
+  return problems;
+};
+
+/**
+ * One-line summary of a rule for the app list ('' when there's nothing to show)
+ */
+export const describeRule = (rule = {}) => {
+  const parts = [];
+  if (rule.mask) {
+    parts.push(`Shown as "${rule.mask}"`);
+  }
+  if (rule.schedule) {
+    const days = rule.schedule.days.length === 7 ? 'Every day' : rule.schedule.days.map((day) => DAY_NAMES[day]).join(', ');
+    parts.push(`${days} ${rule.schedule.start}-${rule.schedule.end}`);
+  }
+  return parts.join(' · ');
+};
@@ -0,0 +1,113 @@
+/**
+ * Presence Templates
+ *
+ * Renders the per-app details/state templates (e.g. "Playing {name}",
+ * "on {device} for {elapsed}") into the text Discord shows.
+ * Unknown placeholders are left as typed so they stand out in the preview.
+ */
+
+import { Platform } from 'react-native';
+
+// Variables available in templates, in the order the dialog lists them
+export const TEMPLATE_VARIABLES = [
+  { name: 'name', description: 'App name (custom name if set)' },
+  { name: 'package', description: 'Package name' },
+  { name: 'device', description: 'Phone model' },
+  { name: 'battery', description: 'Battery level, e.g. 85%' },
+  { name: 'elapsed', description: 'Time in the app, e.g. 1h 5m' },
+];
+
+// Used when an app has no details template (matches the old behaviour)
+export const DEFAULT_DETAILS_TEMPLATE = '{name}';
+
+// Must match the text limits in desktop-app/activity.js
+const TEXT_MIN_LENGTH = 2;
+const TEXT_MAX_LENGTH = 128;
+
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+const KNOWN_VARIABLES = new Set(TEMPLATE_VARIABLES.map((variable) => variable.name));
+
+/**
+ * Format a duration the way the templates show it ("45s", "12m", "1h 5m")
+ * @param {number} ms - Duration in milliseconds
+ */
+export const formatElapsed = (ms) => {
+  const totalMinutes = Math.floor(Math.max(0, ms) / 60000);
+  if (totalMinutes < 1) {
+    return `${Math.floor(Math.max(0, ms) / 1000)}s`;
+  }
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+};
+
+/**
+ * Collect the values for every template variable
+ * @param {object} context - { displayName, packageName, sessionStart (ms), batteryLevel (0-100 or null) }
+ */
+export const buildTemplateValues = ({ displayName, packageName, sessionStart = Date.now(), batteryLevel = null }) => ({
+  name: displayName || packageName || '',
+  package: packageName || '',
+  device: Platform.constants?.Model || 'Android',
+  battery: batteryLevel === null || batteryLevel === undefined ? '' : `${batteryLevel}%`,
+  elapsed: formatElapsed(Date.now() - sessionStart),
+});
+
+/**
+ * Names of placeholders in a template that aren't template variables
+ */
+export const getUnknownVariables = (template) => {
+  const unknown = new Set();
+  (template || '').replace(PLACEHOLDER_PATTERN, (match, name) => {
+    if (!KNOWN_VARIABLES.has(name)) {
+      unknown.add(name);
+    }
+    return match;
+  });
+  return Array.from(unknown);
+};
+
+/**
+ * Whether a template refers to a variable (used to skip reading the battery)
+ */
+export const usesVariable = (template, name) => (template || '').includes(`{${name}}`);
+
+/**
+ * Fill in a template
+ * Empty variables collapse the surrounding whitespace, and the result is cut to
+ * Discord's length limit so a long app name can't get the update rejected
+ * @param {string} template - Template text
+ * @param {object} values - From buildTemplateValues()
+ * @returns {string}
+ */
+export const renderTemplate = (template, values) => {
+  const rendered = (template || '')
+    .replace(PLACEHOLDER_PATTERN, (match, name) => (KNOWN_VARIABLES.has(name) ? values[name] || '' : match))
+    .replace(/\s+/g, ' ')
+    .trim();
+  return rendered.length > TEXT_MAX_LENGTH ? `${rendered.slice(0, TEXT_MAX_LENGTH - 1)}…` : rendered;
+};
+
+/**
+ * Render an app's details and state lines
+ * @param {object} template - { details, state } as stored in @presence_templates
+ * @param {object} values - From buildTemplateValues()
+ * @returns {{ details: string, state: string, problems: string[] }} problems lists what Discord would reject
+ */
+export const renderPresenceText = (template = {}, values) => {
+  const details = renderTemplate(template.details || DEFAULT_DETAILS_TEMPLATE, values);
+  const state = template.state ? renderTemplate(template.state, values) : '';
+
+  const problems = [];
+  if (details.length < TEXT_MIN_LENGTH) {
+    problems.push(`Details must be at least ${TEXT_MIN_LENGTH} characters`);
+  }
+  if (template.state && state.length < TEXT_MIN_LENGTH) {
+    problems.push(`State must be at least ${TEXT_MIN_LENGTH} characters`);
+  }
+  const unknown = new Set([...getUnknownVariables(template.details), ...getUnknownVariables(template.state)]);
+  unknown.forEach((name) => problems.push(`Unknown variable {${name}}`));
+
+  return { details, state, problems };
+};
@@ -0,0 +1,235 @@
+/**
+ * Settings Backup
+ *
+ * Versioned JSON bundle of every per-app setting, the default CLIENT_ID, the
+ * privacy and away settings and the desktop app list, for moving to a new phone
+ * or surviving a reinstall.
+ * Pairing tokens are left out; desktop apps have to be paired again.
+ */
+
+import { Platform } from 'react-native';
+import { File, Paths } from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import * as DocumentPicker from 'expo-document-picker';
+import settingsStore from './SettingsStore';
+import { validateRule } from './PresenceRules';
+import { NO_CATEGORY, isCategoryId } from './AppCategories';
+import { validateAwaySettings } from './AwayStates';
+
+export const BACKUP_FORMAT = 'android-discord-rich-presence-settings';
+export const BACKUP_VERSION = 1;
+
+export const IMPORT_MODES = {
+  MERGE: 'merge',     // Imported values win, everything else is kept
+  REPLACE: 'replace', // App settings become exactly what the backup holds
+};
+
+// Per-app (and per-category) sections of a bundle, each named after its setting in settingsStore
+const SECTIONS = ['packages', 'customNames', 'clientIds', 'enabledApps', 'activityDefaults', 'presenceTemplates', 'appRules', 'appCategories', 'categorySettings'];
+
+const CLIENT_ID_PATTERN = /^\d{17,20}$/;
+const ACTIVITY_FIELDS = ['state', 'largeImageKey', 'largeImageText', 'smallImageKey', 'smallImageText', 'buttons', 'partySize', 'partyMax'];
+const DESKTOP_MODES = ['all', 'priority'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isString = (value) => typeof value === 'string';
+
+const isValidActivity = (activity) => isPlainObject(activity)
+  && Object.keys(activity).every((field) => ACTIVITY_FIELDS.includes(field))
+  && (activity.buttons === undefined || (Array.isArray(activity.buttons)
+    && activity.buttons.every((button) => isPlainObject(button) && isString(button.label) && isString(button.url))))
+  && ['partySize', 'partyMax'].every((field) => activity[field] === undefined || Number.isInteger(activity[field]));
+
+const isValidTemplate = (template) => isPlainObject(template)
+  && Object.keys(template).every((field) => ['details', 'state'].includes(field) && isString(template[field]));
+
+// Value check for every entry of the per-package sections
+const ENTRY_VALIDATORS = {
+  customNames: isString,
+  clientIds: (value) => isString(value) && CLIENT_ID_PATTERN.test(value),
+  enabledApps: (value) => typeof value === 'boolean',
+  activityDefaults: isValidActivity,
+  presenceTemplates: isValidTemplate,
+  appRules: (rule) => isPlainObject(rule) && validateRule(rule).length === 0,
+  appCategories: (category) => category === NO_CATEGORY || isCategoryId(category),
+  categorySettings: (settings) => isPlainObject(settings)
+    && (settings.clientId === undefined || (isString(settings.clientId) && CLIENT_ID_PATTERN.test(settings.clientId)))
+    && (settings.enabled === undefined || typeof settings.enabled === 'boolean')
+    && (settings.template === undefined || isValidTemplate(settings.template)),
+};
+
+/**
+ * Read every setting into a backup bundle
+ * @param {object} desktop - { mode, endpoints } from desktopRPC (tokens are dropped here)
+ */
+export const createBackup = async (desktop) => {
+  await settingsStore.load();
+
+  const settings = {};
+  SECTIONS.forEach((section) => {
+    settings[section] = settingsStore.get(section);
+  });
+  settings.defaultClientId = settingsStore.get('defaultClientId');
+  settings.privacy = settingsStore.get('privacy');
+  settings.awayStates = settingsStore.get('awayStates');
+  settings.desktop = {
+    mode: desktop.mode,
+    endpoints: desktop.endpoints.map(({ name, address, enabled }) => ({ name, address, enabled })),
+  };
+
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    device: Platform.constants?.Model || 'Android device',
+    settings,
+  };
+};
+
+/**
+ * Check a bundle against the schema
+ * Nothing is imported from a bundle with errors
+ * @returns {{ settings: object|null, errors: string[] }}
+ */
+export const validateBackup = (bundle) => {
+  if (!isPlainObject(bundle) || bundle.format !== BACKUP_FORMAT) {
+    return { settings: null, errors: ['This is not a settings backup from this app'] };
+  }
+  if (!Number.isInteger(bundle.version) || bundle.version > BACKUP_VERSION) {
+    return { settings: null, errors: [`Backup version ${bundle.version} needs a newer version of this app`] };
+  }
+
+  const settings = isPlainObject(bundle.settings) ? bundle.settings : {};
+  const errors = [];
+
+  if (settings.packages !== undefined
+    && !(Array.isArray(settings.packages) && settings.packages.every(isString))) {
+    errors.push('packages must be a list of package names');
+  }
+
+  Object.entries(ENTRY_VALIDATORS).forEach(([section, isValidEntry]) => {
+    const value = settings[section];
+    if (value === undefined) {
+      return;
+    }
+    if (!isPlainObject(value)) {
+      errors.push(`${section} must be an object keyed by package name or category`);
+      return;
+    }
+    Object.entries(value).forEach(([packageName, entry]) => {
+      if (!isValidEntry(entry)) {
+        errors.push(`${section}: invalid value for ${packageName}`);
+      }
+    });
+  });
+
+  if (settings.defaultClientId !== undefined
+    && !(settings.defaultClientId === '' || (isString(settings.defaultClientId) && CLIENT_ID_PATTERN.test(settings.defaultClientId)))) {
+    errors.push('defaultClientId must be a CLIENT_ID or empty');
+  }
+
+  if (settings.privacy !== undefined
+    && !(isPlainObject(settings.privacy) && typeof settings.privacy.enabled === 'boolean'
+      && Array.isArray(settings.privacy.keywords) && settings.privacy.keywords.every(isString))) {
+    errors.push('privacy must hold privacy mode and a list of keywords');
+  }
+
+  if (settings.awayStates !== undefined
+    && !(isPlainObject(settings.awayStates) && validateAwaySettings(settings.awayStates).length === 0)) {
+    errors.push('awayStates must hold an action for every away state and an idle time');
+  }
+
+  const { desktop } = settings;
+  if (desktop !== undefined) {
+    if (!isPlainObject(desktop)
+      || (desktop.mode !== undefined && !DESKTOP_MODES.includes(desktop.mode))
+      || (desktop.endpoints !== undefined && !(Array.isArray(desktop.endpoints)
+        && desktop.endpoints.every((endpoint) => isPlainObject(endpoint) && isString(endpoint.address) && endpoint.address.trim())))) {
+      errors.push('desktop must hold a delivery mode and a list of desktop app addresses');
+    }
+  }
+
+  return { settings: errors.length > 0 ? null : settings, errors };
+};
+
+/**
+ * Write validated settings to storage
+ * Desktop apps are handled by desktopRPC.importEndpoints()
+ * @param {object} settings - From validateBackup()
+ * @param {string} mode - IMPORT_MODES value
+ * @returns {Promise<object>} The stored per-app settings
+ */
+export const applyBackup = async (settings, mode) => {
+  await settingsStore.load();
+  const replace = mode === IMPORT_MODES.REPLACE;
+
+  const result = {};
+  SECTIONS.forEach((section) => {
+    const current = settingsStore.get(section);
+    const imported = settings[section] || (section === 'packages' ? [] : {});
+
+    if (section === 'packages') {
+      result.packages = replace ? [...imported] : [...current, ...imported.filter((packageName) => !current.includes(packageName))];
+    } else {
+      result[section] = replace ? { ...imported } : { ...current, ...imported };
+    }
+  });
+
+  // Merging keeps a default CLIENT_ID that's already set
+  const currentDefault = settingsStore.get('defaultClientId');
+  result.defaultClientId = replace || !currentDefault ? settings.defaultClientId || '' : currentDefault;
+
+  // Merging adds the imported keywords but leaves privacy mode as it is
+  const currentPrivacy = settingsStore.get('privacy');
+  const importedPrivacy = settings.privacy || { enabled: false, keywords: [] };
+  result.privacy = replace
+    ? importedPrivacy
+    : { ...currentPrivacy, keywords: Array.from(new Set([...currentPrivacy.keywords, ...importedPrivacy.keywords])) };
+
+  // Older backups have no away settings; the current ones are kept then
+  if (settings.awayStates) {
+    result.awayStates = settings.awayStates;
+  }
+
+  await settingsStore.setMany(result);
+  return result;
+};
+
+/**
+ * Save a bundle to a file and open the share sheet
+ */
+export const shareBackupFile = async (bundle) => {
+  const date = bundle.exportedAt.slice(0, 10);
+  const file = new File(Paths.cache, `discord-presence-settings-${date}.json`);
+  if (file.exists) {
+    file.delete();
+  }
+  file.create();
+  file.write(JSON.stringify(bundle, null, 2));
+
+  await Sharing.shareAsync(file.uri, {
+    mimeType: 'application/json',
+    dialogTitle: 'Export Settings',
+  });
+};
+
+/**
+ * Let the user pick a backup file
+ * @returns {Promise<object|null>} Parsed JSON, or null if nothing was picked
+ */
+export const pickBackupFile = async () => {
+  const picked = await DocumentPicker.getDocumentAsync({
+    type: ['application/json', 'text/plain', '*/*'],
+    copyToCacheDirectory: true,
+  });
+  if (picked.canceled || !picked.assets || picked.assets.length === 0) {
+    return null;
+  }
+
+  const text = await new File(picked.assets[0].uri).text();
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error('The file is not valid JSON');
+  }
+};
@@ -0,0 +1,208 @@
+/**
+ * Settings Store
+ *
+ * Every setting the phone keeps, loaded once from AsyncStorage into memory.
+ * Reads are served from memory; writes update memory, notify subscribers and
+ * are saved right away. Stored settings carry a schema version, and the
+ * migrations below bring older installs up to date when the store loads.
+ * Settings saved by a newer version of the app are loaded read-only, so this
+ * version never overwrites them in a layout it doesn't know.
+ *
+ * Per-desktop-app delivery queues and icon lists are runtime state, not
+ * settings, and stay with CompanionEndpoint.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { DEFAULT_AWAY_SETTINGS } from './AwayStates';
+
+const SCHEMA_VERSION_KEY = '@settings_schema_version';
+export const SCHEMA_VERSION = 1;
+export const READ_ONLY_MESSAGE = 'Settings were saved by a newer version of this app. Update the app to change them.';
+
+/**
+ * Setting name -> storage key and the value used while nothing is stored
+ * raw settings are stored as plain strings, everything else as JSON
+ */
+const SETTINGS = {
+  packages: { key: '@packages_seen', empty: [] },
+  customNames: { key: '@custom_names', empty: {} },
+  clientIds: { key: '@client_ids', empty: {} },
+  enabledApps: { key: '@enabled_apps', empty: {} },
+  activityDefaults: { key: '@activity_defaults', empty: {} },
+  presenceTemplates: { key: '@presence_templates', empty: {} },
+  appRules: { key: '@app_rules', empty: {} },
+  appCategories: { key: '@app_categories', empty: {} }, // Categories picked by the user
+  detectedCategories: { key: '@detected_categories', empty: {} }, // Categories Android reports
+  categorySettings: { key: '@category_settings', empty: {} },
+  privacy: { key: '@privacy', empty: { enabled: false, keywords: [] } },
+  awayStates: { key: '@away_states', empty: DEFAULT_AWAY_SETTINGS }, // What happens while the phone is away
+  defaultClientId: { key: '@default_client_id', empty: '', raw: true },
+  desktopEndpoints: { key: '@desktop_endpoints', empty: [] },
+  desktopMode: { key: '@desktop_mode', empty: '', raw: true },
+  appCatalog: { key: '@app_catalog', empty: {} }, // Last shared catalog from the desktop apps
+};
+
+export const SETTING_NAMES = Object.keys(SETTINGS);
+
+/**
+ * Migrations, in order; MIGRATIONS[n] upgrades stored data from version n to n + 1
+ * Each one works on AsyncStorage directly, since it runs before the cache is filled
+ */
+const MIGRATIONS = [
+  // 0 -> 1: the single desktop app (IP, token and queue) becomes the first endpoint
+  async () => {
+    const legacyKeys = ['@desktop_ip', '@desktop_enabled', '@desktop_token', '@desktop_queue'];
+    const [ip, enabled, token, queueJson] = (await AsyncStorage.multiGet(legacyKeys)).map(([, value]) => value);
+    if (!ip || await AsyncStorage.getItem(SETTINGS.desktopEndpoints.key)) {
+      await AsyncStorage.multiRemove(legacyKeys);
+      return;
+    }
+
+    const config = {
+      id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      name: 'Desktop',
+      address: ip.trim(),
+      token: token || null,
+      enabled: enabled === 'true',
+    };
+    if (queueJson) {
+      await AsyncStorage.setItem(`@desktop_queue:${config.id}`, queueJson);
+    }
+    await AsyncStorage.setItem(SETTINGS.desktopEndpoints.key, JSON.stringify([config]));
+    await AsyncStorage.multiRemove(legacyKeys);
+  },
+];
+
+const decode = (setting, stored) => {
+  if (stored === null || stored === undefined) {
+    return setting.empty;
+  }
+  if (setting.raw) {
+    return stored;
+  }
+  try {
+    return JSON.parse(stored);
+  } catch (error) {
+    return setting.empty;
+  }
+};
+
+class SettingsStore {
+  constructor() {
+    this.values = {};
+    this.loaded = false;
+    this.loading = null;
+    this.readOnly = false; // Stored schema is newer than SCHEMA_VERSION
+    this.listeners = new Set();
+  }
+
+  /**
+   * Migrate stored settings if needed and read them all into memory
+   * Safe to call repeatedly; later calls wait for the first load
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = this.migrateAndRead().catch((error) => {
+        this.loading = null;
+        throw error;
+      });
+    }
+    return this.loading;
+  }
+
+  async migrateAndRead() {
+    const storedVersion = parseInt(await AsyncStorage.getItem(SCHEMA_VERSION_KEY), 10) || 0;
+    this.readOnly = storedVersion > SCHEMA_VERSION;
+    for (let version = storedVersion; version < SCHEMA_VERSION; version++) {
+      await MIGRATIONS[version]();
+      await AsyncStorage.setItem(SCHEMA_VERSION_KEY, String(version + 1));
+    }
+
+    const stored = Object.fromEntries(await AsyncStorage.multiGet(SETTING_NAMES.map((name) => SETTINGS[name].key)));
+    SETTING_NAMES.forEach((name) => {
+      this.values[name] = decode(SETTINGS[name], stored[SETTINGS[name].key]);
+    });
+    this.loaded = true;
+  }
+
+  /**
+   * Current value of a setting
+   * Treat it as read-only; pass a new object to set() instead of changing it
+   */
+  get(name) {
+    if (!(name in SETTINGS)) {
+      throw new Error(`Unknown setting: ${name}`);
+    }
+    return this.loaded ? this.values[name] : SETTINGS[name].empty;
+  }
+
+  /**
+   * Change one setting
+   * @returns {Promise} Resolves once the change is saved
+   */
+  set(name, value) {
+    return this.setMany({ [name]: value });
+  }
+
+  /**
+   * Change several settings at once
+   * Memory and subscribers see the new values immediately; the returned
+   * promise rejects if they couldn't be saved, or without changing anything
+   * while the store is read-only
+   * @param {object} changes - Setting name -> new value
+   */
+  async setMany(changes) {
+    if (!this.loaded) {
+      throw new Error('Settings are not loaded yet');
+    }
+    if (this.readOnly) {
+      throw new Error(READ_ONLY_MESSAGE);
+    }
+    const names = Object.keys(changes);
+    names.forEach((name) => {
+      if (!(name in SETTINGS)) {
+        throw new Error(`Unknown setting: ${name}`);
+      }
+    });
+
+    names.forEach((name) => {
+      this.values[name] = changes[name];
+    });
+    this.notify(changes);
+
+    // Empty raw settings are removed instead of stored as ''
+    const removed = names.filter((name) => SETTINGS[name].raw && !changes[name]);
+    const written = names
+      .filter((name) => !removed.includes(name))
+      .map((name) => [SETTINGS[name].key, SETTINGS[name].raw ? changes[name] : JSON.stringify(changes[name])]);
+    if (written.length > 0) {
+      await AsyncStorage.multiSet(written);
+    }
+    if (removed.length > 0) {
+      await AsyncStorage.multiRemove(removed.map((name) => SETTINGS[name].key));
+    }
+  }
+
+  /**
+   * Subscribe to setting changes
+   * @param {Function} listener - Called with { name: value } for every change
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify(changes) {
+    this.listeners.forEach((listener) => {
+      try {
+        listener(changes);
+      } catch (error) {
+        // Listener errors must not break saving
+      }
+    });
+  }
+}
+
+const settingsStore = new SettingsStore();
+export default settingsStore;
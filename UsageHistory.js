@@ -0,0 +1,224 @@
+/**
+ * Usage History
+ *
+ * Log of foreground app sessions (package, start, end, whether it was shared
+ * on Discord) built from foreground change events and the periodic presence
+ * refresh. Sessions are kept per day under @usage_history:<YYYY-MM-DD> and
+ * days older than RETENTION_DAYS are dropped. The open session lives in memory and is saved
+ * when it ends, or at least once a minute.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { File, Paths } from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+
+const DAY_KEY_PREFIX = '@usage_history:';
+const DAYS_KEY = '@usage_history_days'; // Days that have a log, oldest first
+const RETENTION_DAYS = 30;
+const FLUSH_INTERVAL = 60 * 1000;
+// Longer without a check than this (the phone slept, the app was killed) ends the session
+const SESSION_GAP = 30 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Local date of a timestamp, e.g. "2024-05-31"
+const toDayKey = (timestamp) => {
+  const date = new Date(timestamp);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+export const startOfDay = (timestamp = Date.now()) => {
+  const date = new Date(timestamp);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+};
+
+let days = null; // Day keys with a log
+let today = { key: null, sessions: [] }; // Today's sessions; the open one is the last entry
+let current = null; // Open session
+let lastFlush = 0;
+let loading = null;
+
+const loadToday = async (dayKey) => {
+  const json = await AsyncStorage.getItem(`${DAY_KEY_PREFIX}${dayKey}`);
+  today = { key: dayKey, sessions: json ? JSON.parse(json) : [] };
+};
+
+const load = () => {
+  if (!loading) {
+    loading = (async () => {
+      const daysJson = await AsyncStorage.getItem(DAYS_KEY);
+      days = daysJson ? JSON.parse(daysJson) : [];
+      await loadToday(toDayKey(Date.now()));
+    })().catch((error) => {
+      loading = null;
+      throw error;
+    });
+  }
+  return loading;
+};
+
+// Save today's sessions, registering the day and dropping expired ones
+const flush = async () => {
+  lastFlush = Date.now();
+  await AsyncStorage.setItem(`${DAY_KEY_PREFIX}${today.key}`, JSON.stringify(today.sessions));
+  if (days.includes(today.key)) {
+    return;
+  }
+
+  const oldestKept = toDayKey(startOfDay() - (RETENTION_DAYS - 1) * DAY_MS);
+  const expired = days.filter((day) => day < oldestKept);
+  days = [...days.filter((day) => day >= oldestKept), today.key];
+  await AsyncStorage.setItem(DAYS_KEY, JSON.stringify(days));
+  if (expired.length > 0) {
+    await AsyncStorage.multiRemove(expired.map((day) => `${DAY_KEY_PREFIX}${day}`));
+  }
+};
+
+const closeSession = async () => {
+  if (!current) {
+    return;
+  }
+  current = null;
+  await flush();
+};
+
+const openSession = async (packageName, shared, now) => {
+  const dayKey = toDayKey(now);
+  if (dayKey !== today.key) {
+    await loadToday(dayKey);
+  }
+  current = { packageName, start: now, end: now, shared };
+  today.sessions.push(current);
+};
+
+/**
+ * Record what's in the foreground right now
+ * Called on every foreground check; a new session starts whenever the app,
+ * whether it's shared, or the day changes
+ * @param {string|null} packageName - null when no app is detected
+ * @param {boolean} shared - Whether its presence is being sent to Discord
+ */
+export const recordForeground = async (packageName, shared = false) => {
+  try {
+    await load();
+    const now = Date.now();
+
+    if (current && now - current.end > SESSION_GAP) {
+      await closeSession();
+    }
+    if (current && current.packageName === packageName && current.shared === shared && toDayKey(now) === today.key) {
+      current.end = now;
+      if (now - lastFlush > FLUSH_INTERVAL) {
+        await flush();
+      }
+      return;
+    }
+
+    if (current) {
+      // Sessions crossing midnight end at midnight and carry on in the next day's log
+      current.end = toDayKey(now) === today.key ? now : startOfDay(now) - 1;
+      const { packageName: previousPackage, shared: previousShared } = current;
+      await closeSession();
+      if (previousPackage === packageName && previousShared === shared) {
+        await openSession(packageName, shared, startOfDay(now));
+        current.end = now;
+        return;
+      }
+    }
+    if (packageName) {
+      await openSession(packageName, shared, now);
+    }
+  } catch (error) {
+    // Usage history is best effort
+  }
+};
+
+/**
+ * Sessions that overlap a time range, oldest first
+ * @param {number} from - Start of the range (ms)
+ * @param {number} to - End of the range (ms)
+ */
+export const loadSessions = async (from, to = Date.now()) => {
+  await load();
+  const fromKey = toDayKey(from);
+  const toKey = toDayKey(to);
+  const dayKeys = days.filter((day) => day >= fromKey && day <= toKey && day !== today.key);
+
+  const stored = await AsyncStorage.multiGet(dayKeys.map((day) => `${DAY_KEY_PREFIX}${day}`));
+  const sessions = stored.flatMap(([, json]) => (json ? JSON.parse(json) : []));
+  if (today.key >= fromKey && today.key <= toKey) {
+    sessions.push(...today.sessions.map((session) => ({ ...session })));
+  }
+  return sessions.filter((session) => session.end > from && session.start < to);
+};
+
+/**
+ * Total and shared time per group within a range
+ * @param {Array} sessions - From loadSessions()
+ * @param {object} range - { from, to }; sessions are clipped to it
+ * @param {Function} groupOf - Session -> group key (defaults to the package); null skips the session
+ * @returns {{ total: number, shared: number, groups: Array<{ key, total, shared }> }} Longest group first
+ */
+export const summarizeUsage = (sessions, { from, to }, groupOf = (session) => session.packageName) => {
+  const groups = {};
+  let total = 0;
+  let shared = 0;
+
+  sessions.forEach((session) => {
+    const duration = Math.max(0, Math.min(session.end, to) - Math.max(session.start, from));
+    const key = groupOf(session);
+    if (!duration || key === null) {
+      return;
+    }
+    groups[key] = groups[key] || { key, total: 0, shared: 0 };
+    groups[key].total += duration;
+    total += duration;
+    if (session.shared) {
+      groups[key].shared += duration;
+      shared += duration;
+    }
+  });
+
+  return { total, shared, groups: Object.values(groups).sort((a, b) => b.total - a.total) };
+};
+
+const csvField = (value) => (/[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+
+/**
+ * Save sessions to a CSV or JSON file and open the share sheet
+ * @param {Array} sessions - From loadSessions()
+ * @param {string} format - 'csv' or 'json'
+ * @param {Function} describe - Session -> { displayName, category } for the extra columns
+ */
+export const shareUsageFile = async (sessions, format, describe) => {
+  const rows = sessions.map((session) => ({
+    packageName: session.packageName,
+    ...describe(session),
+    start: new Date(session.start).toISOString(),
+    end: new Date(session.end).toISOString(),
+    seconds: Math.round((session.end - session.start) / 1000),
+    shared: session.shared,
+  }));
+
+  const text = format === 'csv'
+    ? [
+      'package,name,category,start,end,seconds,shared',
+      ...rows.map((row) => [row.packageName, row.displayName, row.category || '', row.start, row.end, row.seconds, row.shared]
+        .map((value) => csvField(String(value)))
+        .join(',')),
+    ].join('\n')
+    : JSON.stringify({ exportedAt: new Date().toISOString(), sessions: rows }, null, 2);
+
+  const file = new File(Paths.cache, `app-usage-${toDayKey(Date.now())}.${format}`);
+  if (file.exists) {
+    file.delete();
+  }
+  file.create();
+  file.write(text);
+
+  await Sharing.shareAsync(file.uri, {
+    mimeType: format === 'csv' ? 'text/csv' : 'application/json',
+    dialogTitle: 'Export Usage History',
+  });
+};
@@ -0,0 +1,71 @@
+/**
+ * Companion Endpoint queue tests
+ * The companion is replaced by a fake sendRequest answering with a status per request type
+ */
+
+import CompanionEndpoint, { CLEAR_QUEUE_KEY } from '../CompanionEndpoint';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'));
+
+const createEndpoint = (statuses) => {
+  const endpoint = new CompanionEndpoint(
+    { id: 'test', name: 'Test', address: '127.0.0.1:9090', token: 'token' },
+    { onEvent: () => {}, onChange: () => {} },
+  );
+  endpoint.sendRequest = jest.fn(async (type) => ({ status: statuses[type], body: {} }));
+  return endpoint;
+};
+
+const queueEntries = (endpoint) => {
+  const queuedAt = Date.now();
+  endpoint.queue = [
+    { key: 'com.example.game', type: 'update-presence', payload: { packageName: 'com.example.game' }, queuedAt },
+    { key: CLEAR_QUEUE_KEY, type: 'clear-presence', payload: {}, queuedAt },
+  ];
+};
+
+describe('flushQueue', () => {
+  it('drops an update the companion failed with a plain 500 and delivers the clear behind it', async () => {
+    const endpoint = createEndpoint({ 'update-presence': 500, 'clear-presence': 200 });
+    queueEntries(endpoint);
+
+    await endpoint.flushQueue();
+
+    expect(endpoint.sendRequest.mock.calls.map(([type]) => type)).toEqual(['update-presence', 'clear-presence']);
+    expect(endpoint.queue).toEqual([]);
+  });
+
+  it.each([408, 429, 502, 503, 504])('keeps the queue in order when the companion answers %i', async (status) => {
+    const endpoint = createEndpoint({ 'update-presence': status, 'clear-presence': 200 });
+    queueEntries(endpoint);
+
+    await endpoint.flushQueue();
+
+    expect(endpoint.sendRequest).toHaveBeenCalledTimes(1);
+    expect(endpoint.queue.map(({ key }) => key)).toEqual(['com.example.game', CLEAR_QUEUE_KEY]);
+  });
+
+  it('does not retry an update rejected as unauthorized', async () => {
+    const endpoint = createEndpoint({ 'update-presence': 401, 'clear-presence': 401 });
+    queueEntries(endpoint);
+
+    await endpoint.flushQueue();
+
+    expect(endpoint.queue).toEqual([]);
+    expect(endpoint.authenticated).toBe(false);
+  });
+
+  it('keeps everything queued while the companion is unreachable', async () => {
+    const endpoint = createEndpoint({});
+    endpoint.sendRequest = jest.fn(async () => {
+      throw new Error('Network request failed');
+    });
+    queueEntries(endpoint);
+
+    await endpoint.flushQueue();
+
+    expect(endpoint.queue).toHaveLength(2);
+    expect(endpoint.queueOffline).toBe(true);
+  });
+});
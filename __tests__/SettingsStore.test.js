@@ -0,0 +1,53 @@
+/**
+ * Settings Store tests
+ * Each test loads a fresh store over the AsyncStorage mock
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'));
+
+const loadStore = async () => {
+  let store;
+  jest.isolateModules(() => {
+    store = require('../SettingsStore');
+  });
+  await store.default.load();
+  return store;
+};
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+});
+
+describe('SettingsStore', () => {
+  it('migrates an install without a schema version and saves changes', async () => {
+    await AsyncStorage.multiSet([['@desktop_ip', '192.168.1.10:9090'], ['@desktop_enabled', 'true']]);
+
+    const { default: settingsStore, SCHEMA_VERSION } = await loadStore();
+
+    expect(settingsStore.readOnly).toBe(false);
+    expect(settingsStore.get('desktopEndpoints')).toEqual([expect.objectContaining({ address: '192.168.1.10:9090', enabled: true })]);
+    expect(await AsyncStorage.getItem('@settings_schema_version')).toBe(String(SCHEMA_VERSION));
+
+    await settingsStore.set('customNames', { 'com.example.game': 'Game' });
+    expect(JSON.parse(await AsyncStorage.getItem('@custom_names'))).toEqual({ 'com.example.game': 'Game' });
+  });
+
+  it('loads settings from a newer schema read-only and never writes them', async () => {
+    const { SCHEMA_VERSION, READ_ONLY_MESSAGE } = jest.requireActual('../SettingsStore');
+    const newerLayout = JSON.stringify({ version: SCHEMA_VERSION + 1, names: { 'com.example.game': 'Game' } });
+    await AsyncStorage.multiSet([['@settings_schema_version', String(SCHEMA_VERSION + 1)], ['@custom_names', newerLayout]]);
+
+    const { default: settingsStore } = await loadStore();
+    const listener = jest.fn();
+    settingsStore.subscribe(listener);
+
+    expect(settingsStore.readOnly).toBe(true);
+    await expect(settingsStore.set('customNames', {})).rejects.toThrow(READ_ONLY_MESSAGE);
+    expect(listener).not.toHaveBeenCalled();
+    expect(await AsyncStorage.getItem('@custom_names')).toBe(newerLayout);
+    expect(await AsyncStorage.getItem('@settings_schema_version')).toBe(String(SCHEMA_VERSION + 1));
+  });
+});
@@ -0,0 +1,75 @@
+package com.johnuberbacher.androiddiscordrichpresence
+
+import android.accessibilityservice.AccessibilityService
+import android.content.ComponentName
+import android.content.Intent
+import android.content.pm.PackageManager
+import android.view.accessibility.AccessibilityEvent
+
+// Reports the app whose activity comes to the front as soon as it happens, and
+// when the user last touched the screen (taps and scrolls) for idle detection.
+// Optional: it only runs once turned on in Android's accessibility settings, and
+// ForegroundAppModule reads UsageEvents instead while it's off
+class ForegroundAccessibilityService : AccessibilityService() {
+
+    companion object {
+        @Volatile
+        var isRunning = false
+            private set
+
+        // Set by ForegroundAppModule while JS listens for foreground changes
+        @Volatile
+        var listener: ((String) -> Unit)? = null
+
+        // Called with the time of the previous interaction whenever the user interacts
+        @Volatile
+        var interactionListener: ((Long) -> Unit)? = null
+
+        // When the user last interacted with any app, 0 until the first interaction
+        @Volatile
+        var lastInteraction = 0L
+            private set
+    }
+
+    override fun onServiceConnected() {
+        isRunning = true
+    }
+
+    override fun onAccessibilityEvent(event: AccessibilityEvent?) {
+        if (event == null) return
+        // Every event type in accessibility_service_config.xml comes from the user doing something
+        val previous = lastInteraction
+        lastInteraction = System.currentTimeMillis()
+        interactionListener?.invoke(previous)
+
+        if (event.eventType != AccessibilityEvent.TYPE_WINDOW_STATE_CHANGED) return
+        val packageName = event.packageName?.toString() ?: return
+        val className = event.className?.toString() ?: return
+
+        // Dialogs, keyboards and toasts change windows too; only a new activity means a new app
+        if (isActivity(packageName, className)) {
+            listener?.invoke(packageName)
+        }
+    }
+
+    private fun isActivity(packageName: String, className: String): Boolean {
+        return try {
+            packageManager.getActivityInfo(ComponentName(packageName, className), 0)
+            true
+        } catch (e: PackageManager.NameNotFoundException) {
+            false
+        }
+    }
+
+    override fun onInterrupt() {}
+
+    override fun onUnbind(intent: Intent?): Boolean {
+        isRunning = false
+        return super.onUnbind(intent)
+    }
+
+    override fun onDestroy() {
+        isRunning = false
+        super.onDestroy()
+    }
+}
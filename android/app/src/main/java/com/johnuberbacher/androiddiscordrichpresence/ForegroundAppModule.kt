@@ -2,46 +2,112 @@ package com.johnuberbacher.androiddiscordrichpresence
 
 import android.app.ActivityManager
 import android.app.AppOpsManager
+import android.app.KeyguardManager
 import android.app.usage.UsageEvents
 import android.app.usage.UsageStatsManager
+import android.content.BroadcastReceiver
 import android.content.Context
 import android.content.Intent
+import android.content.IntentFilter
 import android.content.pm.ApplicationInfo
 import android.content.pm.PackageManager
 import android.content.pm.ResolveInfo
+import android.graphics.Bitmap
+import android.graphics.Canvas
+import android.os.BatteryManager
 import android.os.Build
+import android.os.Handler
+import android.os.HandlerThread
 import android.os.PowerManager
 import android.provider.Settings
+import android.util.Base64
+import androidx.core.content.ContextCompat
+import com.facebook.react.bridge.Arguments
 import com.facebook.react.bridge.ReactApplicationContext
 import com.facebook.react.bridge.ReactContextBaseJavaModule
 import com.facebook.react.bridge.ReactMethod
 import com.facebook.react.bridge.Promise
+import com.facebook.react.bridge.WritableMap
+import com.facebook.react.modules.core.DeviceEventManagerModule
+import java.io.ByteArrayOutputStream
+import java.security.MessageDigest
 
 class ForegroundAppModule(reactContext: ReactApplicationContext) : ReactContextBaseJavaModule(reactContext) {
-    
+
+    companion object {
+        const val FOREGROUND_APP_CHANGED_EVENT = "onForegroundAppChanged"
+        const val DEVICE_STATE_CHANGED_EVENT = "onDeviceStateChanged"
+        private const val MIN_WATCH_INTERVAL = 250L
+        private const val INITIAL_LOOKBACK = 30000L
+        private const val EVENT_OVERLAP = 2000L
+        private const val DETECTION_WINDOW = 30000L
+
+        // Codes getForegroundApp rejects with; must match DETECTION_ERRORS in ForegroundWatcher.js
+        private const val ERROR_PERMISSION_MISSING = "PERMISSION_MISSING"
+        private const val ERROR_SCREEN_OFF = "SCREEN_OFF"
+        private const val ERROR_LOCKED = "LOCKED"
+
+        // How sure a detection is: an app seen coming to the front that hasn't left yet,
+        // the last app that came to the front, or just the most recently used app
+        private const val CONFIDENCE_HIGH = "high"
+        private const val CONFIDENCE_MEDIUM = "medium"
+        private const val CONFIDENCE_LOW = "low"
+
+        // Device states; must match DEVICE_STATES in ForegroundWatcher.js
+        private const val STATE_ACTIVE = "active"
+        private const val STATE_SCREEN_OFF = "screen-off"
+        private const val STATE_LOCKED = "locked"
+
+        // An interaction after this long without one is reported as the user coming back
+        private const val IDLE_EVENT_GAP = 60000L
+
+        private val SYSTEM_PACKAGES = setOf(
+            "com.android.systemui",
+            "com.google.android.gms",
+            "com.google.android.googlequicksearchbox",
+            "com.google.android.apps.photos",
+            "com.google.android.apps.docs",
+            "com.google.android.apps.maps"
+        )
+    }
+
+    // A detected foreground app and how it was found
+    private data class ForegroundApp(val packageName: String, val method: String, val confidence: String)
+
+    // Background thread reading UsageEvents for onForegroundAppChanged
+    private var watchThread: HandlerThread? = null
+    private var watchHandler: Handler? = null
+    private var watchInterval = 1000L
+    private var lastEventQuery = 0L
+    @Volatile private var lastEmittedPackage: String? = null
+
+    // Screen and lock changes for onDeviceStateChanged, registered while the watcher runs
+    private var screenReceiver: BroadcastReceiver? = null
+    @Volatile private var lastWake = System.currentTimeMillis() // Last screen on or unlock
+
     override fun getName(): String {
         return "ForegroundAppModule"
     }
 
-    @ReactMethod
-    fun isUsageStatsPermissionGranted(promise: Promise) {
-        try {
-            if (Build.VERSION.SDK_INT >= Build.VERSION_CODES.LOLLIPOP_MR1) {
-                val appOpsManager = reactApplicationContext.getSystemService(Context.APP_OPS_SERVICE) as AppOpsManager
-                val mode = appOpsManager.checkOpNoThrow(
-                    AppOpsManager.OPSTR_GET_USAGE_STATS,
-                    android.os.Process.myUid(),
-                    reactApplicationContext.packageName
-                )
-                promise.resolve(mode == AppOpsManager.MODE_ALLOWED)
-            } else {
-                promise.resolve(false)
-            }
+    private fun hasUsageStatsPermission(): Boolean {
+        return try {
+            val appOpsManager = reactApplicationContext.getSystemService(Context.APP_OPS_SERVICE) as AppOpsManager
+            val mode = appOpsManager.checkOpNoThrow(
+                AppOpsManager.OPSTR_GET_USAGE_STATS,
+                android.os.Process.myUid(),
+                reactApplicationContext.packageName
+            )
+            mode == AppOpsManager.MODE_ALLOWED
         } catch (e: Exception) {
-            promise.resolve(false)
+            false
         }
     }
 
+    @ReactMethod
+    fun isUsageStatsPermissionGranted(promise: Promise) {
+        promise.resolve(hasUsageStatsPermission())
+    }
+
     @ReactMethod
     fun openUsageStatsSettings(promise: Promise) {
         try {
@@ -87,271 +153,455 @@ class ForegroundAppModule(reactContext: ReactApplicationContext) : ReactContextB
     }
 
     @ReactMethod
-    fun getForegroundAppName(promise: Promise) {
+    fun getBatteryLevel(promise: Promise) {
+        try {
+            val batteryManager = reactApplicationContext.getSystemService(Context.BATTERY_SERVICE) as BatteryManager
+            val level = batteryManager.getIntProperty(BatteryManager.BATTERY_PROPERTY_CAPACITY)
+            // Some devices report Integer.MIN_VALUE when the property isn't supported
+            if (level in 0..100) {
+                promise.resolve(level)
+            } else {
+                promise.resolve(null)
+            }
+        } catch (e: Exception) {
+            promise.resolve(null)
+        }
+    }
+
+    // Launcher icon as a base64 PNG, with a hash of package + version so the
+    // desktop app only receives each icon once per app version
+    @ReactMethod
+    fun getAppIcon(packageName: String, size: Int, promise: Promise) {
         try {
             val packageManager = reactApplicationContext.packageManager
-            var appName: String? = null
-            var packageName: String? = null
-            var method: String = "none"
-            var debugInfo: String = ""
-            val myPackageName = reactApplicationContext.packageName
+            val packageInfo = packageManager.getPackageInfo(packageName, 0)
+            val versionCode = if (Build.VERSION.SDK_INT >= Build.VERSION_CODES.P) {
+                packageInfo.longVersionCode
+            } else {
+                @Suppress("DEPRECATION")
+                packageInfo.versionCode.toLong()
+            }
+
+            // Adaptive icons have no intrinsic bitmap, so draw whatever drawable we get
+            val drawable = packageManager.getApplicationIcon(packageName)
+            val bitmap = Bitmap.createBitmap(size, size, Bitmap.Config.ARGB_8888)
+            val canvas = Canvas(bitmap)
+            drawable.setBounds(0, 0, size, size)
+            drawable.draw(canvas)
+
+            val output = ByteArrayOutputStream()
+            bitmap.compress(Bitmap.CompressFormat.PNG, 100, output)
+            bitmap.recycle()
+
+            val digest = MessageDigest.getInstance("SHA-256").digest("$packageName:$versionCode".toByteArray())
+            val hash = digest.joinToString("") { "%02x".format(it) }.substring(0, 32)
+
+            val result = Arguments.createMap()
+            result.putString("hash", hash)
+            result.putString("version", versionCode.toString())
+            result.putString("png", Base64.encodeToString(output.toByteArray(), Base64.NO_WRAP))
+            promise.resolve(result)
+        } catch (e: PackageManager.NameNotFoundException) {
+            promise.resolve(null)
+        } catch (e: Exception) {
+            promise.reject("ERROR", "Failed to get app icon", e)
+        }
+    }
+
+    // The category an app declares in its manifest ("game", "audio", "video", "image",
+    // "social", "news", "maps", "productivity", "accessibility"), or null if it declares none
+    private fun categoryOf(applicationInfo: ApplicationInfo): String? {
+        val category = if (Build.VERSION.SDK_INT >= Build.VERSION_CODES.O) {
+            when (applicationInfo.category) {
+                ApplicationInfo.CATEGORY_GAME -> "game"
+                ApplicationInfo.CATEGORY_AUDIO -> "audio"
+                ApplicationInfo.CATEGORY_VIDEO -> "video"
+                ApplicationInfo.CATEGORY_IMAGE -> "image"
+                ApplicationInfo.CATEGORY_SOCIAL -> "social"
+                ApplicationInfo.CATEGORY_NEWS -> "news"
+                ApplicationInfo.CATEGORY_MAPS -> "maps"
+                ApplicationInfo.CATEGORY_PRODUCTIVITY -> "productivity"
+                8 -> "accessibility" // ApplicationInfo.CATEGORY_ACCESSIBILITY, API 31
+                else -> null
+            }
+        } else {
+            null
+        }
+        // Older games only set the legacy flag
+        @Suppress("DEPRECATION")
+        val isLegacyGame = applicationInfo.flags and ApplicationInfo.FLAG_IS_GAME != 0
+        return category ?: if (isLegacyGame) "game" else null
+    }
+
+    @ReactMethod
+    fun getAppCategory(packageName: String, promise: Promise) {
+        try {
+            promise.resolve(categoryOf(reactApplicationContext.packageManager.getApplicationInfo(packageName, 0)))
+        } catch (e: PackageManager.NameNotFoundException) {
+            promise.resolve(null)
+        } catch (e: Exception) {
+            promise.reject("ERROR", "Failed to get app category", e)
+        }
+    }
+
+    // Packages that are never reported as the foreground app: system UI, Google services and this app
+    private fun isSystemPackage(pkg: String?): Boolean {
+        if (pkg == null) return true
+        if (pkg == reactApplicationContext.packageName) return true
+        if (pkg.startsWith("android.")) return true
+        if (pkg.startsWith("com.android.")) return true
+        if (SYSTEM_PACKAGES.contains(pkg)) return true
+        return false
+    }
+
+    // App name for a package and how it was found (or what failed, when it wasn't)
+    private fun getAppNameFromPackage(pkg: String): Pair<String?, String> {
+        val packageManager = reactApplicationContext.packageManager
+        var debugMsg = ""
+        return try {
+            // Method 1: Try getApplicationLabel
+            try {
+                val appInfo = packageManager.getApplicationInfo(pkg, PackageManager.GET_META_DATA)
+                val label = packageManager.getApplicationLabel(appInfo)
+                if (label != null && label.isNotEmpty() && label.toString().trim().isNotEmpty()) {
+                    return Pair(label.toString(), "label")
+                }
+                debugMsg += "label:empty;"
+            } catch (e: SecurityException) {
+                debugMsg += "labelErr:SecurityException;"
+            } catch (e: PackageManager.NameNotFoundException) {
+                debugMsg += "labelErr:NameNotFound;"
+            } catch (e: Exception) {
+                debugMsg += "labelErr:${e.javaClass.simpleName};"
+            }
             
-            // Helper function to get app name from package and log additional info
-            fun getAppNameFromPackage(pkg: String): Pair<String?, String> {
-                var debugMsg = ""
-                return try {
-                    // Method 1: Try getApplicationLabel
-                    try {
-                        val appInfo = packageManager.getApplicationInfo(pkg, PackageManager.GET_META_DATA)
-                        val label = packageManager.getApplicationLabel(appInfo)
-                        if (label != null && label.isNotEmpty() && label.toString().trim().isNotEmpty()) {
-                            return Pair(label.toString(), "label")
+            // Method 2: Try getting from launcher activity
+            try {
+                val intent = packageManager.getLaunchIntentForPackage(pkg)
+                if (intent != null) {
+                    val resolveInfo = packageManager.resolveActivity(intent, PackageManager.GET_META_DATA)
+                    if (resolveInfo != null && resolveInfo.activityInfo != null) {
+                        val activityLabel = resolveInfo.loadLabel(packageManager)
+                        if (activityLabel != null && activityLabel.isNotEmpty() && activityLabel.toString().trim().isNotEmpty()) {
+                            return Pair(activityLabel.toString(), "launcher")
                         }
-                        debugMsg += "label:empty;"
-                    } catch (e: SecurityException) {
-                        debugMsg += "labelErr:SecurityException;"
-                    } catch (e: PackageManager.NameNotFoundException) {
-                        debugMsg += "labelErr:NameNotFound;"
-                    } catch (e: Exception) {
-                        debugMsg += "labelErr:${e.javaClass.simpleName};"
                     }
-                    
-                    // Method 2: Try getting from launcher activity
-                    try {
-                        val intent = packageManager.getLaunchIntentForPackage(pkg)
-                        if (intent != null) {
-                            val resolveInfo = packageManager.resolveActivity(intent, PackageManager.GET_META_DATA)
-                            if (resolveInfo != null && resolveInfo.activityInfo != null) {
-                                val activityLabel = resolveInfo.loadLabel(packageManager)
-                                if (activityLabel != null && activityLabel.isNotEmpty() && activityLabel.toString().trim().isNotEmpty()) {
-                                    return Pair(activityLabel.toString(), "launcher")
-                                }
-                            }
-                        }
-                        debugMsg += "launcher:null;"
-                    } catch (e: Exception) {
-                        debugMsg += "launcherErr:${e.javaClass.simpleName};"
-                    }
-                    
-                    // Method 3: Try getApplicationInfo with name
-                    try {
-                        val appInfo = packageManager.getApplicationInfo(pkg, PackageManager.GET_META_DATA)
-                        if (appInfo.name != null && appInfo.name.isNotEmpty()) {
-                            return Pair(appInfo.name, "appInfo")
-                        }
-                        debugMsg += "appInfo:null;"
-                    } catch (e: Exception) {
-                        debugMsg += "appInfoErr:${e.javaClass.simpleName};"
-                    }
-                    
-                    Pair(null, debugMsg)
-                } catch (e: Exception) {
-                    Pair(null, "exception:${e.javaClass.simpleName}")
                 }
+                debugMsg += "launcher:null;"
+            } catch (e: Exception) {
+                debugMsg += "launcherErr:${e.javaClass.simpleName};"
             }
             
-            // Filter out system packages and Google services
-            val systemPackages = setOf(
-                "com.android.systemui",
-                "com.google.android.gms",
-                "com.google.android.googlequicksearchbox",
-                "com.google.android.apps.photos",
-                "com.google.android.apps.docs",
-                "com.google.android.apps.maps"
-            )
-            
-            fun isSystemPackage(pkg: String?): Boolean {
-                if (pkg == null) return true
-                if (pkg == myPackageName) return true
-                if (pkg.startsWith("android.")) return true
-                if (pkg.startsWith("com.android.")) return true
-                if (systemPackages.contains(pkg)) return true
-                return false
+            // Method 3: Try getApplicationInfo with name
+            try {
+                val appInfo = packageManager.getApplicationInfo(pkg, PackageManager.GET_META_DATA)
+                if (appInfo.name != null && appInfo.name.isNotEmpty()) {
+                    return Pair(appInfo.name, "appInfo")
+                }
+                debugMsg += "appInfo:null;"
+            } catch (e: Exception) {
+                debugMsg += "appInfoErr:${e.javaClass.simpleName};"
             }
             
-            if (Build.VERSION.SDK_INT >= Build.VERSION_CODES.LOLLIPOP_MR1) {
-                // Use UsageStatsManager (requires PACKAGE_USAGE_STATS permission)
-                try {
-                    val usageStatsManager = reactApplicationContext.getSystemService(Context.USAGE_STATS_SERVICE) as UsageStatsManager
-                    val currentTime = System.currentTimeMillis()
-                    
-                    // Primary method: Use queryEvents - track foreground/background state
-                    if (Build.VERSION.SDK_INT >= Build.VERSION_CODES.LOLLIPOP) {
-                        try {
-                            // Query last 30 seconds to catch recent app switches
-                            val events = usageStatsManager.queryEvents(currentTime - 30000, currentTime)
-                            if (events != null) {
-                                // Track the state of each app (foreground/background)
-                                val appStates = mutableMapOf<String, Long>() // package -> last foreground time
-                                var lastForegroundPackage: String? = null
-                                var lastForegroundTime = 0L
-                                
-                                val event = UsageEvents.Event()
-                                while (events.hasNextEvent()) {
-                                    if (events.getNextEvent(event)) {
-                                        val pkg = event.packageName
-                                        if (pkg != null && !isSystemPackage(pkg)) {
-                                            when (event.eventType) {
-                                                UsageEvents.Event.MOVE_TO_FOREGROUND -> {
-                                                    // App moved to foreground - update its state
-                                                    appStates[pkg] = event.timeStamp
-                                                    // Also track the most recent one
-                                                    if (event.timeStamp > lastForegroundTime) {
-                                                        lastForegroundTime = event.timeStamp
-                                                        lastForegroundPackage = pkg
-                                                    }
-                                                }
-                                                UsageEvents.Event.MOVE_TO_BACKGROUND -> {
-                                                    // App moved to background - remove from foreground state
-                                                    appStates.remove(pkg)
-                                                }
-                                            }
-                                        }
-                                    }
-                                }
-                                
-                                // First, try to find an app that's currently in foreground (has MOVE_TO_FOREGROUND but no MOVE_TO_BACKGROUND)
-                                if (appStates.isNotEmpty()) {
-                                    val currentForegroundApp = appStates.maxByOrNull { it.value }
-                                    if (currentForegroundApp != null) {
-                                        packageName = currentForegroundApp.key
-                                        val (name, nameMethod) = getAppNameFromPackage(packageName)
-                                        appName = name
-                                        if (appName == null || appName.isEmpty()) {
-                                            appName = packageName
-                                            method = "events-state-pkg"
-                                            debugInfo = "states:${appStates.size}, nameMethod:$nameMethod"
-                                        } else {
-                                            method = "events-state"
-                                            debugInfo = "states:${appStates.size}, nameMethod:$nameMethod"
-                                        }
-                                    }
-                                }
-                                
-                                // If no app is currently tracked as foreground, use the most recent MOVE_TO_FOREGROUND
-                                if (appName == null && lastForegroundPackage != null) {
-                                    packageName = lastForegroundPackage
-                                    val (name, nameMethod) = getAppNameFromPackage(packageName)
-                                    appName = name
-                                    if (appName == null || appName.isEmpty()) {
-                                        appName = packageName
-                                        method = "events-recent-pkg"
-                                        debugInfo = "states:${appStates.size}, nameMethod:$nameMethod"
-                                    } else {
-                                        method = "events-recent"
-                                        debugInfo = "states:${appStates.size}, nameMethod:$nameMethod"
+            Pair(null, debugMsg)
+        } catch (e: Exception) {
+            Pair(null, "exception:${e.javaClass.simpleName}")
+        }
+    }
+
+    // { label, packageName, version, category, method, confidence } for JS
+    private fun toMap(app: ForegroundApp): WritableMap {
+        val packageManager = reactApplicationContext.packageManager
+        val map = Arguments.createMap()
+        map.putString("label", getAppNameFromPackage(app.packageName).first ?: app.packageName)
+        map.putString("packageName", app.packageName)
+        try {
+            map.putString("version", packageManager.getPackageInfo(app.packageName, 0).versionName)
+            map.putString("category", categoryOf(packageManager.getApplicationInfo(app.packageName, 0)))
+        } catch (e: PackageManager.NameNotFoundException) {
+            map.putNull("version")
+            map.putNull("category")
+        }
+        map.putString("method", app.method)
+        map.putString("confidence", app.confidence)
+        return map
+    }
+
+    // Why the foreground app can't be detected right now, as an error code and message
+    private fun detectionProblem(): Pair<String, String>? {
+        if (!hasUsageStatsPermission()) {
+            return Pair(ERROR_PERMISSION_MISSING, "Usage Access is not granted")
+        }
+        return when (currentDeviceState()) {
+            STATE_SCREEN_OFF -> Pair(ERROR_SCREEN_OFF, "The screen is off")
+            STATE_LOCKED -> Pair(ERROR_LOCKED, "The phone is locked")
+            else -> null
+        }
+    }
+
+    private fun currentDeviceState(): String {
+        val powerManager = reactApplicationContext.getSystemService(Context.POWER_SERVICE) as PowerManager
+        if (!powerManager.isInteractive) {
+            return STATE_SCREEN_OFF
+        }
+        val keyguardManager = reactApplicationContext.getSystemService(Context.KEYGUARD_SERVICE) as KeyguardManager
+        return if (keyguardManager.isKeyguardLocked) STATE_LOCKED else STATE_ACTIVE
+    }
+
+    // How long since the user last touched the screen, or null while the accessibility
+    // service is off, since nothing else sees taps and scrolls
+    private fun idleTime(): Long? {
+        if (!ForegroundAccessibilityService.isRunning) return null
+        return System.currentTimeMillis() - maxOf(ForegroundAccessibilityService.lastInteraction, lastWake)
+    }
+
+    private fun deviceStateMap(): WritableMap {
+        val map = Arguments.createMap()
+        map.putString("state", currentDeviceState())
+        val idle = idleTime()
+        if (idle != null) {
+            map.putDouble("idleMs", idle.toDouble())
+        } else {
+            map.putNull("idleMs")
+        }
+        return map
+    }
+
+    private fun emitDeviceState() {
+        if (!reactApplicationContext.hasActiveReactInstance()) return
+        reactApplicationContext
+            .getJSModule(DeviceEventManagerModule.RCTDeviceEventEmitter::class.java)
+            .emit(DEVICE_STATE_CHANGED_EVENT, deviceStateMap())
+    }
+
+    // { state: "active" | "screen-off" | "locked", idleMs }; idleMs is null while the
+    // accessibility service is off
+    @ReactMethod
+    fun getDeviceState(promise: Promise) {
+        try {
+            promise.resolve(deviceStateMap())
+        } catch (e: Exception) {
+            promise.reject("ERROR", "Failed to read the device state", e)
+        }
+    }
+
+    // Full detection from the last 30 seconds of usage data, or null when no app was found
+    private fun detectForegroundApp(): ForegroundApp? {
+        val usageStatsManager = reactApplicationContext.getSystemService(Context.USAGE_STATS_SERVICE) as UsageStatsManager
+        val currentTime = System.currentTimeMillis()
+
+        // Primary method: queryEvents - track foreground/background state
+        try {
+            val events = usageStatsManager.queryEvents(currentTime - DETECTION_WINDOW, currentTime)
+            if (events != null) {
+                val appStates = mutableMapOf<String, Long>() // package -> last foreground time, while it's in front
+                var lastForegroundPackage: String? = null
+                var lastForegroundTime = 0L
+
+                val event = UsageEvents.Event()
+                while (events.hasNextEvent()) {
+                    if (events.getNextEvent(event)) {
+                        val pkg = event.packageName
+                        if (pkg != null && !isSystemPackage(pkg)) {
+                            when (event.eventType) {
+                                UsageEvents.Event.MOVE_TO_FOREGROUND -> {
+                                    appStates[pkg] = event.timeStamp
+                                    if (event.timeStamp > lastForegroundTime) {
+                                        lastForegroundTime = event.timeStamp
+                                        lastForegroundPackage = pkg
                                     }
                                 }
-                                
-                                if (appName == null && lastForegroundPackage != null) {
-                                    // Last resort: use package name
-                                    packageName = lastForegroundPackage
-                                    appName = packageName
-                                    method = "events-pkg-only"
-                                    debugInfo = "states:${appStates.size}"
-                                } else if (appName == null) {
-                                    method = "events-none"
-                                    debugInfo = "states:${appStates.size}, lastPkg:${lastForegroundPackage ?: "null"}"
+                                UsageEvents.Event.MOVE_TO_BACKGROUND -> {
+                                    appStates.remove(pkg)
                                 }
                             }
-                        } catch (e: Exception) {
-                            // queryEvents failed, fall through to queryUsageStats
                         }
                     }
-                    
-                    // Fallback: Use queryUsageStats if queryEvents didn't find anything
-                    if (appName == null) {
-                        val lookbackTime = 30000L // 30 seconds lookback
-                        val stats = usageStatsManager.queryUsageStats(
-                            UsageStatsManager.INTERVAL_BEST,
-                            currentTime - lookbackTime,
-                            currentTime
-                        )
-                        
-                        if (stats != null && stats.isNotEmpty()) {
-                            // Filter out system packages
-                            val filteredStats = stats.filter { 
-                                !isSystemPackage(it.packageName)
-                            }
-                            
-                            if (filteredStats.isNotEmpty()) {
-                                // Find the app with the most recent lastTimeUsed
-                                val recentThreshold = currentTime - 5000 // Last 5 seconds
-                                val recentStats = filteredStats.filter { 
-                                    it.lastTimeUsed >= recentThreshold 
-                                }
-                                
-                                val foregroundApp = if (recentStats.isNotEmpty()) {
-                                    recentStats.maxByOrNull { it.lastTimeUsed }
-                                } else {
-                                    filteredStats.maxByOrNull { it.lastTimeUsed }
-                                }
-                                
-                                if (foregroundApp != null) {
-                                    packageName = foregroundApp.packageName
-                                    val (name, nameMethod) = getAppNameFromPackage(packageName)
-                                    appName = name
-                                    if (appName == null || appName.isEmpty()) {
-                                        appName = packageName
-                                        method = "stats-pkg"
-                                        debugInfo = "total:${stats.size}, nameMethod:$nameMethod"
-                                    } else {
-                                        method = "stats"
-                                        debugInfo = "total:${stats.size}, nameMethod:$nameMethod"
-                                    }
-                                } else {
-                                    method = "stats-none"
-                                    debugInfo = "total:${stats.size}, filtered:${filteredStats.size}"
-                                }
-                            }
-                        }
-                    }
-                } catch (e: Exception) {
-                    // UsageStatsManager not available or permission not granted
-                    promise.resolve("null")
-                    return
                 }
+
+                val currentForegroundApp = appStates.maxByOrNull { it.value }
+                if (currentForegroundApp != null) {
+                    return ForegroundApp(currentForegroundApp.key, "events-state", CONFIDENCE_HIGH)
+                }
+                // Nothing is still in front; use the most recent MOVE_TO_FOREGROUND
+                lastForegroundPackage?.let { return ForegroundApp(it, "events-recent", CONFIDENCE_MEDIUM) }
             }
-            
-            // Log additional info if we found an app
-            if (packageName != null && !isSystemPackage(packageName)) {
-                try {
-                    val appInfo = packageManager.getApplicationInfo(packageName, 0)
-                    android.util.Log.d("ForegroundApp", "Package: $packageName")
-                    android.util.Log.d("ForegroundApp", "App Name: $appName")
-                    android.util.Log.d("ForegroundApp", "Version: ${packageManager.getPackageInfo(packageName, 0).versionName}")
-                    
-                    // Check if it's a known emulator
-                    val emulatorPackages = listOf(
-                        "com.retroarch", "com.retroarch.aarch64", "com.retroarch.arm64",
-                        "org.ppsspp.ppsspp", "com.dolphin.dolphinemu", "com.duckstation",
-                        "com.snes9x.explusalpha", "com.mupen64plusae.pro", "com.epsxe.ePSXe",
-                        "com.explusalpha.Mupen64PlusFZ", "com.emu8086", "com.nes.emu"
-                    )
-                    if (emulatorPackages.any { packageName.contains(it, ignoreCase = true) }) {
-                        android.util.Log.d("ForegroundApp", "🎮 EMULATOR DETECTED: $packageName")
-                    }
-                    
-                    // Check if it's likely a game (has GAME category flag)
-                    if (Build.VERSION.SDK_INT >= Build.VERSION_CODES.LOLLIPOP) {
-                        val category = if ((appInfo.flags and ApplicationInfo.FLAG_IS_GAME) != 0) "GAME" else "APP"
-                        android.util.Log.d("ForegroundApp", "Category: $category")
-                    }
-                } catch (e: Exception) {
-                    android.util.Log.d("ForegroundApp", "Could not get extra info: ${e.message}")
+        } catch (e: Exception) {
+            // queryEvents failed, fall through to queryUsageStats
+        }
+
+        // Fallback: the app used most recently, preferring the last 5 seconds
+        val stats = usageStatsManager.queryUsageStats(
+            UsageStatsManager.INTERVAL_BEST,
+            currentTime - DETECTION_WINDOW,
+            currentTime
+        ) ?: return null
+        val filteredStats = stats.filter { !isSystemPackage(it.packageName) }
+        val recentStats = filteredStats.filter { it.lastTimeUsed >= currentTime - 5000 }
+        val foregroundApp = (recentStats.ifEmpty { filteredStats }).maxByOrNull { it.lastTimeUsed } ?: return null
+        return ForegroundApp(foregroundApp.packageName, "stats", CONFIDENCE_LOW)
+    }
+
+    // The app in the foreground as { label, packageName, version, category, method, confidence },
+    // or null when none is detected. Rejects with PERMISSION_MISSING, SCREEN_OFF or LOCKED
+    // when detection isn't possible right now
+    @ReactMethod
+    fun getForegroundApp(promise: Promise) {
+        val problem = detectionProblem()
+        if (problem != null) {
+            promise.reject(problem.first, problem.second)
+            return
+        }
+        try {
+            val app = detectForegroundApp()
+            promise.resolve(app?.let { toMap(it) })
+        } catch (e: Exception) {
+            promise.reject("ERROR", "Failed to detect the foreground app", e)
+        }
+    }
+
+    // Reads the UsageEvents logged since the last run and reports the newest app to
+    // come to the front; skipped while the accessibility service reports changes itself
+    private val watchTick = object : Runnable {
+        override fun run() {
+            if (!ForegroundAccessibilityService.isRunning) {
+                readUsageEvents()
+            }
+            watchHandler?.postDelayed(this, watchInterval)
+        }
+    }
+
+    private fun readUsageEvents() {
+        try {
+            val usageStatsManager = reactApplicationContext.getSystemService(Context.USAGE_STATS_SERVICE) as UsageStatsManager
+            val now = System.currentTimeMillis()
+            // Overlap the previous read a little; events can be logged slightly late
+            val events = usageStatsManager.queryEvents(lastEventQuery - EVENT_OVERLAP, now)
+            lastEventQuery = now
+
+            var latest: String? = null
+            val event = UsageEvents.Event()
+            while (events.hasNextEvent()) {
+                if (events.getNextEvent(event)
+                    && event.eventType == UsageEvents.Event.MOVE_TO_FOREGROUND
+                    && !isSystemPackage(event.packageName)) {
+                    latest = event.packageName
                 }
             }
-            
-            // Return debug info: appName|packageName|method|debugInfo
-            val result = if (appName != null) {
-                "${appName}|${packageName ?: "unknown"}|${method}|${debugInfo}"
-            } else {
-                "null|null|${method}|${debugInfo}"
+            latest?.let { emitForegroundApp(ForegroundApp(it, "usage-events", CONFIDENCE_HIGH)) }
+        } catch (e: Exception) {
+            // Usage access not granted; the JS refresh still runs a full detection
+        }
+    }
+
+    @Synchronized
+    private fun emitForegroundApp(app: ForegroundApp) {
+        if (app.packageName == lastEmittedPackage) return
+        lastEmittedPackage = app.packageName
+        if (!reactApplicationContext.hasActiveReactInstance()) return
+
+        reactApplicationContext
+            .getJSModule(DeviceEventManagerModule.RCTDeviceEventEmitter::class.java)
+            .emit(FOREGROUND_APP_CHANGED_EVENT, toMap(app))
+    }
+
+    // Start sending onForegroundAppChanged and onDeviceStateChanged events; resolves with
+    // the source of foreground changes in use
+    @ReactMethod
+    fun startForegroundWatch(intervalMs: Double, promise: Promise) {
+        watchInterval = intervalMs.toLong().coerceAtLeast(MIN_WATCH_INTERVAL)
+        if (watchThread == null) {
+            val thread = HandlerThread("ForegroundWatch")
+            thread.start()
+            watchThread = thread
+            watchHandler = Handler(thread.looper)
+            // The first read reports the app that's already in front
+            lastEventQuery = System.currentTimeMillis() - INITIAL_LOOKBACK
+            lastEmittedPackage = null
+            ForegroundAccessibilityService.listener = { pkg ->
+                if (!isSystemPackage(pkg)) {
+                    emitForegroundApp(ForegroundApp(pkg, "accessibility", CONFIDENCE_HIGH))
+                }
             }
-            promise.resolve(result)
+            // Only the first interaction after a pause is sent; JS checks the idle time itself
+            ForegroundAccessibilityService.interactionListener = { previous ->
+                if (System.currentTimeMillis() - maxOf(previous, lastWake) >= IDLE_EVENT_GAP) {
+                    emitDeviceState()
+                }
+            }
+            registerScreenReceiver()
+            watchHandler?.post(watchTick)
+        }
+        promise.resolve(if (ForegroundAccessibilityService.isRunning) "accessibility" else "usage-events")
+    }
+
+    @ReactMethod
+    fun stopForegroundWatch(promise: Promise) {
+        stopWatch()
+        promise.resolve(true)
+    }
+
+    private fun registerScreenReceiver() {
+        val receiver = object : BroadcastReceiver() {
+            override fun onReceive(context: Context, intent: Intent) {
+                if (intent.action != Intent.ACTION_SCREEN_OFF) {
+                    lastWake = System.currentTimeMillis()
+                }
+                emitDeviceState()
+            }
+        }
+        val filter = IntentFilter().apply {
+            addAction(Intent.ACTION_SCREEN_OFF)
+            addAction(Intent.ACTION_SCREEN_ON)
+            addAction(Intent.ACTION_USER_PRESENT) // Unlocked
+        }
+        ContextCompat.registerReceiver(reactApplicationContext, receiver, filter, ContextCompat.RECEIVER_NOT_EXPORTED)
+        screenReceiver = receiver
+    }
+
+    private fun stopWatch() {
+        ForegroundAccessibilityService.listener = null
+        ForegroundAccessibilityService.interactionListener = null
+        screenReceiver?.let {
+            try {
+                reactApplicationContext.unregisterReceiver(it)
+            } catch (e: IllegalArgumentException) {
+                // Already unregistered
+            }
+        }
+        screenReceiver = null
+        watchHandler?.removeCallbacks(watchTick)
+        watchThread?.quitSafely()
+        watchThread = null
+        watchHandler = null
+    }
+
+    override fun invalidate() {
+        stopWatch()
+        super.invalidate()
+    }
+
+    // Required by NativeEventEmitter; events are sent whether or not JS listens
+    @ReactMethod
+    fun addListener(eventName: String) {}
+
+    @ReactMethod
+    fun removeListeners(count: Double) {}
+
+    @ReactMethod
+    fun isAccessibilityServiceEnabled(promise: Promise) {
+        promise.resolve(ForegroundAccessibilityService.isRunning)
+    }
+
+    @ReactMethod
+    fun openAccessibilitySettings(promise: Promise) {
+        try {
+            val intent = Intent(Settings.ACTION_ACCESSIBILITY_SETTINGS)
+            intent.addFlags(Intent.FLAG_ACTIVITY_NEW_TASK)
+            reactApplicationContext.startActivity(intent)
+            promise.resolve(true)
         } catch (e: Exception) {
-            promise.resolve("null|null|error|${e.message ?: "unknown error"}")
+            promise.reject("ERROR", "Failed to open accessibility settings", e)
         }
     }
 }
-
@@ -0,0 +1,175 @@
+/**
+ * Activity builder
+ * Turns the /update-presence request body into a Discord activity object,
+ * validating every field against Discord's Rich Presence limits
+ */
+
+// Discord rejects the whole activity if any of these are violated
+const LIMITS = {
+  text: { min: 2, max: 128 },       // details, state, image texts
+  imageKey: { max: 256 },           // asset key or external image URL
+  buttons: { max: 2 },
+  buttonLabel: { min: 1, max: 32 },
+  buttonUrl: { max: 512 },
+};
+
+// Treat missing, non-string and whitespace-only values as "not set"
+function optionalString(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const trimmed = value.trim();
+  return trimmed ? trimmed : null;
+}
+
+function checkText(errors, field, value) {
+  if (value === null) return;
+  if (value.length < LIMITS.text.min || value.length > LIMITS.text.max) {
+    errors.push(`${field} must be between ${LIMITS.text.min} and ${LIMITS.text.max} characters`);
+  }
+}
+
+function checkImageKey(errors, field, value) {
+  if (value === null) return;
+  if (value.length > LIMITS.imageKey.max) {
+    errors.push(`${field} must be at most ${LIMITS.imageKey.max} characters`);
+  }
+}
+
+function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (e) {
+    return false;
+  }
+}
+
+function parseButtons(errors, buttons) {
+  if (buttons === undefined || buttons === null) {
+    return [];
+  }
+  if (!Array.isArray(buttons)) {
+    errors.push('buttons must be an array');
+    return [];
+  }
+
+  // Skip rows the phone left completely blank
+  const filled = buttons.filter(b => b && (optionalString(b.label) || optionalString(b.url)));
+  if (filled.length > LIMITS.buttons.max) {
+    errors.push(`At most ${LIMITS.buttons.max} buttons are allowed`);
+    return [];
+  }
+
+  return filled.map((button, index) => {
+    const label = optionalString(button.label) || '';
+    const url = optionalString(button.url) || '';
+    if (label.length < LIMITS.buttonLabel.min || label.length > LIMITS.buttonLabel.max) {
+      errors.push(`buttons[${index}].label must be between ${LIMITS.buttonLabel.min} and ${LIMITS.buttonLabel.max} characters`);
+    }
+    if (!url || url.length > LIMITS.buttonUrl.max || !isHttpUrl(url)) {
+      errors.push(`buttons[${index}].url must be an http(s) URL of at most ${LIMITS.buttonUrl.max} characters`);
+    }
+    return { label, url };
+  });
+}
+
+function parsePositiveInt(errors, field, value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    errors.push(`${field} must be a positive integer`);
+    return null;
+  }
+  return number;
+}
+
+/**
+ * Build a Discord activity from an /update-presence body
+ * @param {object} body - Request body sent by the phone
+ * @returns {{ activity: object, errors: string[] }} Activity without startTimestamp, plus validation errors
+ */
+function buildActivity(body) {
+  const errors = [];
+
+  // The phone sends rendered template text as details; older versions only send displayName
+  const details = optionalString(body.details) || optionalString(body.displayName);
+  const state = optionalString(body.state);
+  const largeImageKey = optionalString(body.largeImageKey);
+  const largeImageText = optionalString(body.largeImageText);
+  const smallImageKey = optionalString(body.smallImageKey);
+  const smallImageText = optionalString(body.smallImageText);
+
+  checkText(errors, 'details', details);
+  checkText(errors, 'state', state);
+  checkImageKey(errors, 'largeImageKey', largeImageKey);
+  checkText(errors, 'largeImageText', largeImageText);
+  checkImageKey(errors, 'smallImageKey', smallImageKey);
+  checkText(errors, 'smallImageText', smallImageText);
+
+  const buttons = parseButtons(errors, body.buttons);
+
+  const partySize = parsePositiveInt(errors, 'partySize', body.partySize);
+  const partyMax = parsePositiveInt(errors, 'partyMax', body.partyMax);
+  if ((partySize === null) !== (partyMax === null)) {
+    errors.push('partySize and partyMax must be set together');
+  } else if (partySize !== null && partySize > partyMax) {
+    errors.push('partySize cannot be greater than partyMax');
+  }
+
+  let endTimestamp = null;
+  if (body.endTimestamp !== undefined && body.endTimestamp !== null && body.endTimestamp !== '') {
+    endTimestamp = Number(body.endTimestamp);
+    if (!Number.isInteger(endTimestamp) || endTimestamp <= Math.floor(Date.now() / 1000)) {
+      errors.push('endTimestamp must be a future Unix timestamp in seconds');
+      endTimestamp = null;
+    }
+  }
+
+  const activity = {
+    details,
+    instance: false,
+  };
+
+  if (state) activity.state = state;
+  if (largeImageKey) {
+    activity.largeImageKey = largeImageKey;
+    if (largeImageText) activity.largeImageText = largeImageText;
+  }
+  if (smallImageKey) {
+    activity.smallImageKey = smallImageKey;
+    if (smallImageText) activity.smallImageText = smallImageText;
+  }
+  if (buttons.length > 0) activity.buttons = buttons;
+  if (partySize !== null && partyMax !== null) {
+    activity.partySize = partySize;
+    activity.partyMax = partyMax;
+  }
+  if (endTimestamp !== null) activity.endTimestamp = endTimestamp;
+
+  return { activity, errors };
+}
+
+/**
+ * Detection details the phone sends with an update
+ * Only shown to status subscribers, so malformed fields are dropped instead of rejected
+ * @param {object} app - { label, version, category, method, confidence }
+ * @returns {object|null}
+ */
+function readAppInfo(app) {
+  if (!app || typeof app !== 'object' || Array.isArray(app)) {
+    return null;
+  }
+  const info = {};
+  for (const field of ['label', 'version', 'category', 'method', 'confidence']) {
+    const value = optionalString(app[field]);
+    if (value && value.length <= LIMITS.text.max) {
+      info[field] = value;
+    }
+  }
+  return Object.keys(info).length > 0 ? info : null;
+}
+
+module.exports = { buildActivity, readAppInfo, LIMITS };
@@ -0,0 +1,123 @@
+/**
+ * Discord application assets
+ * Fetches the Rich Presence image keys uploaded to an application and keeps
+ * them in <dataDir>/assets-cache.json, so the phone's image picker still
+ * works when Discord's API can't be reached
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CACHE_FILE = 'assets-cache.json';
+const API_BASE = 'https://discord.com/api/v10';
+const CDN_BASE = 'https://cdn.discordapp.com';
+const FETCH_TIMEOUT = 5000;
+const CACHE_MAX_AGE = 60 * 60 * 1000; // Served without asking Discord for this long (ms)
+
+const ERRORS = {
+  UNKNOWN_APPLICATION: 'unknown_application',
+  UNAVAILABLE: 'unavailable',
+};
+
+let cachePath = null;
+let cache = {}; // clientId -> { fetchedAt, assets: [{ key, url }] }
+let fetchImpl = (...args) => fetch(...args);
+
+function loadCache() {
+  try {
+    const data = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+    cache = data && typeof data === 'object' ? data : {};
+  } catch (e) {
+    cache = {};
+  }
+}
+
+function saveCache() {
+  if (!cachePath) return;
+  try {
+    fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+    fs.writeFileSync(cachePath, JSON.stringify(cache, null, 2));
+  } catch (e) {
+    console.error('❌ Could not save asset cache:', e.message);
+  }
+}
+
+/**
+ * Load the asset cache from the data directory
+ * @param {string} dataDir - Directory for persistent companion data
+ * @param {object} options.fetch - Replacement for the global fetch (tests)
+ */
+function initAssetCache(dataDir, options = {}) {
+  cachePath = path.join(dataDir, CACHE_FILE);
+  if (options.fetch) {
+    fetchImpl = options.fetch;
+  }
+  loadCache();
+}
+
+async function fetchFromDiscord(clientId) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
+  let response;
+  try {
+    response = await fetchImpl(`${API_BASE}/oauth2/applications/${clientId}/assets`, { signal: controller.signal });
+  } finally {
+    clearTimeout(timeoutId);
+  }
+
+  if (response.status === 404) {
+    const error = new Error('Discord has no application with this CLIENT_ID');
+    error.code = ERRORS.UNKNOWN_APPLICATION;
+    throw error;
+  }
+  if (!response.ok) {
+    throw new Error(`Discord answered HTTP ${response.status}`);
+  }
+
+  const body = await response.json();
+  return (Array.isArray(body) ? body : []).map(asset => ({
+    key: asset.name,
+    url: `${CDN_BASE}/app-assets/${clientId}/${asset.id}.png`,
+  }));
+}
+
+/**
+ * Asset list for an application
+ * Fresh cache entries are served as is; when Discord can't be reached an
+ * older entry is served and marked stale
+ * @param {string} clientId - Discord application ID
+ * @param {boolean} options.refresh - Skip a fresh cache entry
+ * @returns {Promise<{ assets: Array<{key: string, url: string}>, fetchedAt: number, stale: boolean }>}
+ */
+async function getAssets(clientId, { refresh = false } = {}) {
+  const cached = cache[clientId];
+  if (cached && !refresh && Date.now() - cached.fetchedAt < CACHE_MAX_AGE) {
+    return { ...cached, stale: false };
+  }
+
+  try {
+    const assets = await fetchFromDiscord(clientId);
+    cache[clientId] = { fetchedAt: Date.now(), assets };
+    saveCache();
+    return { ...cache[clientId], stale: false };
+  } catch (error) {
+    if (error.code === ERRORS.UNKNOWN_APPLICATION) {
+      delete cache[clientId];
+      saveCache();
+      throw error;
+    }
+    if (cached) {
+      console.log(`Serving cached assets for ${clientId}: ${error.message}`);
+      return { ...cached, stale: true };
+    }
+    const unavailable = new Error(`Could not reach Discord: ${error.message}`);
+    unavailable.code = ERRORS.UNAVAILABLE;
+    throw unavailable;
+  }
+}
+
+module.exports = {
+  ERRORS,
+  initAssetCache,
+  getAssets,
+};
@@ -0,0 +1,95 @@
+/**
+ * Phone settings backups
+ * Keeps the latest settings bundle from each phone in <dataDir>/backups.json
+ * so a reinstalled phone can pull its settings back after pairing again.
+ * The bundle itself is only checked loosely; the phone validates it on restore
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const BACKUPS_FILE = 'backups.json';
+const BACKUP_FORMAT = 'android-discord-rich-presence-settings'; // Must match SettingsBackup.js
+
+let storePath = null;
+let backups = {}; // deviceName -> { savedAt, bundle }
+
+function loadBackups() {
+  try {
+    const data = JSON.parse(fs.readFileSync(storePath, 'utf8'));
+    backups = data && typeof data.backups === 'object' && data.backups !== null ? data.backups : {};
+  } catch (e) {
+    backups = {};
+  }
+}
+
+function saveBackups() {
+  fs.mkdirSync(path.dirname(storePath), { recursive: true });
+  fs.writeFileSync(storePath, JSON.stringify({ backups }, null, 2));
+}
+
+/**
+ * Load saved backups from the data directory
+ * @param {string} dataDir - Directory for persistent companion data
+ */
+function initBackups(dataDir) {
+  storePath = path.join(dataDir, BACKUPS_FILE);
+  loadBackups();
+}
+
+function listBackups() {
+  return Object.entries(backups)
+    .map(([deviceName, { savedAt }]) => ({ deviceName, savedAt }))
+    .sort((a, b) => b.savedAt - a.savedAt);
+}
+
+/**
+ * Store a phone's settings bundle, replacing its previous one
+ * @param {object} body - { deviceName, bundle }
+ * @returns {{status: number, body: object}}
+ */
+function saveBackup(body) {
+  const { bundle } = body;
+  const deviceName = typeof body.deviceName === 'string' && body.deviceName.trim() ? body.deviceName.trim() : 'Unknown device';
+
+  if (!bundle || bundle.format !== BACKUP_FORMAT || !Number.isInteger(bundle.version)) {
+    return { status: 400, body: { error: 'bundle must be a settings backup' } };
+  }
+
+  backups[deviceName] = { savedAt: Date.now(), bundle };
+  try {
+    saveBackups();
+  } catch (e) {
+    return { status: 500, body: { error: `Could not save backup: ${e.message}` } };
+  }
+
+  console.log(`Saved settings backup from ${deviceName}`);
+  return { status: 200, body: { success: true, deviceName, savedAt: backups[deviceName].savedAt } };
+}
+
+/**
+ * Return a phone's backup
+ * The phone must name itself, so it never gets another phone's settings by accident
+ * @param {object} body - { deviceName }
+ * @returns {{status: number, body: object}} body includes every available backup
+ */
+function loadBackup(body) {
+  const available = listBackups();
+  const deviceName = typeof body.deviceName === 'string' ? body.deviceName.trim() : '';
+  if (!deviceName) {
+    return { status: 400, body: { error: 'deviceName is required', available } };
+  }
+
+  // Own keys only, so names like "constructor" aren't found on the prototype
+  const entry = Object.prototype.hasOwnProperty.call(backups, deviceName) ? backups[deviceName] : null;
+  if (!entry) {
+    return { status: 404, body: { error: `No settings backup from ${deviceName} saved on this computer`, available } };
+  }
+  return { status: 200, body: { deviceName, savedAt: entry.savedAt, bundle: entry.bundle, available } };
+}
+
+module.exports = {
+  initBackups,
+  saveBackup,
+  loadBackup,
+};
@@ -0,0 +1,100 @@
+/**
+ * Shared app catalog
+ * Display names, CLIENT_IDs and presence templates for common packages, kept
+ * in <dataDir>/catalog.json so every paired phone can pre-fill apps it sees
+ * for the first time. Read on every request, so hand edits apply right away
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isValidClientIdFormat } = require('./validation');
+
+const CATALOG_FILE = 'catalog.json';
+const TEXT_MAX_LENGTH = 128;
+
+let catalogPath = null;
+
+/**
+ * @param {string} dataDir - Directory for persistent companion data
+ */
+function initCatalog(dataDir) {
+  catalogPath = path.join(dataDir, CATALOG_FILE);
+}
+
+function isText(value) {
+  return typeof value === 'string' && value.trim().length > 0 && value.length <= TEXT_MAX_LENGTH;
+}
+
+/**
+ * Check every entry of a catalog
+ * @param {object} apps - packageName -> { name, clientId, details, state } (all optional)
+ * @returns {string[]} errors
+ */
+function validateApps(apps) {
+  if (!apps || typeof apps !== 'object' || Array.isArray(apps)) {
+    return ['apps must be an object keyed by package name'];
+  }
+
+  const errors = [];
+  for (const [packageName, entry] of Object.entries(apps)) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      errors.push(`${packageName}: entry must be an object`);
+      continue;
+    }
+    for (const field of ['name', 'details', 'state']) {
+      if (entry[field] !== undefined && !isText(entry[field])) {
+        errors.push(`${packageName}: ${field} must be text up to ${TEXT_MAX_LENGTH} characters`);
+      }
+    }
+    if (entry.clientId !== undefined && !isValidClientIdFormat(entry.clientId)) {
+      errors.push(`${packageName}: clientId must be a Discord Application ID`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * The catalog as stored; a missing or broken file is an empty catalog
+ * @returns {{ apps: object, updatedAt: number|null }}
+ */
+function getCatalog() {
+  try {
+    const data = JSON.parse(fs.readFileSync(catalogPath, 'utf8'));
+    if (validateApps(data.apps).length === 0) {
+      return { apps: data.apps, updatedAt: data.updatedAt || null };
+    }
+    console.error('❌ catalog.json has invalid entries, serving an empty catalog');
+  } catch (e) {
+    // No catalog yet
+  }
+  return { apps: {}, updatedAt: null };
+}
+
+/**
+ * Replace the catalog
+ * @param {object} body - { apps }
+ * @returns {{status: number, body: object}}
+ */
+function replaceCatalog(body) {
+  const errors = validateApps(body.apps);
+  if (errors.length > 0) {
+    return { status: 400, body: { error: 'Invalid catalog', details: errors } };
+  }
+
+  const catalog = { apps: body.apps, updatedAt: Date.now() };
+  try {
+    fs.mkdirSync(path.dirname(catalogPath), { recursive: true });
+    fs.writeFileSync(catalogPath, JSON.stringify(catalog, null, 2));
+  } catch (e) {
+    return { status: 500, body: { error: `Could not save catalog: ${e.message}` } };
+  }
+
+  console.log(`Catalog updated (${Object.keys(catalog.apps).length} apps)`);
+  return { status: 200, body: { success: true, ...catalog } };
+}
+
+module.exports = {
+  initCatalog,
+  getCatalog,
+  replaceCatalog,
+};
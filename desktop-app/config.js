@@ -0,0 +1,165 @@
+/**
+ * Companion configuration
+ * Settings live in <dataDir>/config.json. The file is watched so edits made
+ * by hand or from the settings window apply without restarting the app
+ */
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { publish } = require('./status');
+const { isValidClientIdFormat } = require('./validation');
+
+const CONFIG_FILE = 'config.json';
+const WATCH_INTERVAL = 2000;
+
+const DEFAULTS = {
+  port: 9090,
+  bindAddress: '0.0.0.0',
+  updateTimeout: 60000,  // Clear the presence when the phone goes quiet this long (ms)
+  checkInterval: 30000,  // How often to look for a quiet phone (ms)
+  sessionResetGap: Number(process.env.SESSION_RESET_GAP) || 5 * 60 * 1000,
+  defaultClientId: '',   // Discord application used when the phone sends no CLIENT_ID
+  iconBaseUrl: '',       // Public URL this app is reachable at, for app icons on Discord
+};
+
+// Each validator returns an error message, or null if the value is usable
+const VALIDATORS = {
+  port: (value) => (Number.isInteger(value) && value >= 1 && value <= 65535
+    ? null : 'port must be a whole number between 1 and 65535'),
+  bindAddress: (value) => (typeof value === 'string' && net.isIP(value) !== 0
+    ? null : 'bindAddress must be an IP address such as 0.0.0.0 or 127.0.0.1'),
+  updateTimeout: (value) => (Number.isInteger(value) && value >= 5000
+    ? null : 'updateTimeout must be at least 5000 ms'),
+  checkInterval: (value) => (Number.isInteger(value) && value >= 1000
+    ? null : 'checkInterval must be at least 1000 ms'),
+  sessionResetGap: (value) => (Number.isInteger(value) && value >= 0
+    ? null : 'sessionResetGap must be 0 ms or more'),
+  defaultClientId: (value) => (value === '' || isValidClientIdFormat(value)
+    ? null : 'defaultClientId must be a Discord Application ID (17-20 digits) or empty'),
+  iconBaseUrl: (value) => (value === '' || (typeof value === 'string' && /^https?:\/\/[^\s]+$/i.test(value))
+    ? null : 'iconBaseUrl must be an http(s):// URL or empty'),
+};
+
+let configPath = null;
+let config = { ...DEFAULTS };
+
+/**
+ * Merge known keys from `source` into `base`, skipping invalid values
+ * @returns {{ merged: object, errors: string[] }}
+ */
+function mergeValid(base, source) {
+  const merged = { ...base };
+  const errors = [];
+
+  for (const key of Object.keys(VALIDATORS)) {
+    if (source[key] === undefined) {
+      continue;
+    }
+    const error = VALIDATORS[key](source[key]);
+    if (error) {
+      errors.push(error);
+    } else {
+      merged[key] = source[key];
+    }
+  }
+
+  return { merged, errors };
+}
+
+function writeConfig() {
+  try {
+    fs.mkdirSync(path.dirname(configPath), { recursive: true });
+    fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+  } catch (e) {
+    console.error('❌ Could not save config:', e.message);
+  }
+}
+
+// Swap in a new config and tell subscribers which keys changed
+function applyConfig(next) {
+  const changed = Object.keys(DEFAULTS).filter(key => next[key] !== config[key]);
+  config = next;
+  if (changed.length > 0) {
+    console.log(`Config updated: ${changed.join(', ')}`);
+    publish('config-changed', { changed, config: getConfig() });
+  }
+  return changed;
+}
+
+function reloadConfig() {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (e) {
+    // Half-written or broken file; keep running with what we have
+    console.error('❌ Could not read config, keeping current settings:', e.message);
+    return;
+  }
+  // Valid JSON can still be null, an array or a number
+  if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+    console.error('❌ Could not read config, keeping current settings: config.json must hold a JSON object');
+    return;
+  }
+
+  const { merged, errors } = mergeValid(DEFAULTS, data);
+  errors.forEach(error => console.error(`❌ Config: ${error}`));
+  applyConfig(merged);
+}
+
+/**
+ * Load config.json from the data directory (creating it with defaults) and
+ * start watching it for changes
+ * @param {string} dataDir - Directory for persistent companion data
+ */
+function initConfig(dataDir) {
+  configPath = path.join(dataDir, CONFIG_FILE);
+
+  if (fs.existsSync(configPath)) {
+    reloadConfig();
+  } else {
+    writeConfig();
+  }
+
+  fs.unwatchFile(configPath);
+  fs.watchFile(configPath, { interval: WATCH_INTERVAL }, (curr, prev) => {
+    if (curr.mtimeMs !== prev.mtimeMs) {
+      reloadConfig();
+    }
+  }).unref();
+
+  return getConfig();
+}
+
+function getConfig() {
+  return { ...config };
+}
+
+/**
+ * Validate and save new settings
+ * Nothing is saved if any value is invalid
+ * @param {object} changes - Subset of the config keys
+ * @returns {{ config: object, errors: string[] }}
+ */
+function updateConfig(changes) {
+  const { merged, errors } = mergeValid(config, changes || {});
+  if (errors.length > 0) {
+    return { config: getConfig(), errors };
+  }
+
+  applyConfig(merged);
+  writeConfig();
+  return { config: getConfig(), errors };
+}
+
+function getConfigPath() {
+  return configPath;
+}
+
+module.exports = {
+  DEFAULTS,
+  initConfig,
+  getConfig,
+  updateConfig,
+  getConfigPath,
+};
@@ -0,0 +1,10 @@
+/**
+ * Dashboard window preload
+ * Exposes only the history summary the dashboard page shows
+ */
+
+const { contextBridge, ipcRenderer } = require('electron');
+
+contextBridge.exposeInMainWorld('companionDashboard', {
+  load: () => ipcRenderer.invoke('dashboard:load'),
+});
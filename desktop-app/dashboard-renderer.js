@@ -0,0 +1,93 @@
+/**
+ * Dashboard window
+ * Today's presence timeline and most used apps from the history summary
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REFRESH_INTERVAL = 60 * 1000;
+
+function formatDuration(ms) {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) {
+    return `${minutes}m`;
+  }
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+function formatTime(timestamp) {
+  return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+function listItem(name, time) {
+  const item = document.createElement('li');
+  const nameSpan = document.createElement('span');
+  nameSpan.className = 'name';
+  nameSpan.textContent = name;
+  const timeSpan = document.createElement('span');
+  timeSpan.className = 'time';
+  timeSpan.textContent = time;
+  item.append(nameSpan, timeSpan);
+  return item;
+}
+
+function emptyItem(text) {
+  const item = document.createElement('li');
+  item.className = 'hint';
+  item.textContent = text;
+  return item;
+}
+
+function renderTimeline({ from, timeline }) {
+  const strip = document.getElementById('strip');
+  strip.replaceChildren(...timeline.map((item) => {
+    const block = document.createElement('span');
+    block.style.left = `${((item.start - from) / DAY_MS) * 100}%`;
+    block.style.width = `${((item.end - item.start) / DAY_MS) * 100}%`;
+    block.title = `${item.displayName} ${formatTime(item.start)}-${formatTime(item.end)}`;
+    return block;
+  }));
+
+  const list = document.getElementById('timeline');
+  if (timeline.length === 0) {
+    list.replaceChildren(emptyItem('Nothing shown yet today'));
+    return;
+  }
+  // Newest first, like the history API
+  list.replaceChildren(...timeline.slice().reverse().map((item) => listItem(
+    item.displayName,
+    `${formatTime(item.start)}-${item.open ? 'now' : formatTime(item.end)} (${formatDuration(item.end - item.start)})`,
+  )));
+}
+
+function renderTopApps({ topApps }) {
+  const list = document.getElementById('topApps');
+  if (topApps.length === 0) {
+    list.replaceChildren(emptyItem('No apps shown yet today'));
+    return;
+  }
+  const longest = topApps[0].duration || 1;
+  list.replaceChildren(...topApps.map((app) => {
+    const item = listItem(app.displayName, formatDuration(app.duration));
+    const bar = document.createElement('div');
+    bar.className = 'bar';
+    bar.style.width = `${(app.duration / longest) * 100}%`;
+    item.firstChild.append(bar);
+    return item;
+  }));
+}
+
+async function load() {
+  const dashboard = await window.companionDashboard.load();
+  const total = dashboard.timeline.reduce((sum, item) => sum + item.end - item.start, 0);
+  document.getElementById('totalTime').textContent = formatDuration(total);
+  document.getElementById('appCount').textContent = dashboard.topApps.length;
+  document.getElementById('rejectedCount').textContent = dashboard.rejected;
+  renderTimeline(dashboard);
+  renderTopApps(dashboard);
+}
+
+document.getElementById('refresh').addEventListener('click', () => load());
+document.getElementById('close').addEventListener('click', () => window.close());
+
+setInterval(load, REFRESH_INTERVAL);
+load();
@@ -0,0 +1,297 @@
+/**
+ * Discord connection supervisor
+ * Owns the discord-rpc client: connects with the CLIENT_ID the phone asks for,
+ * notices when Discord closes the IPC pipe, retries with exponential backoff
+ * and re-applies the last activity once Discord is back
+ *
+ * States: idle -> connecting -> ready, or connecting -> backoff -> connecting
+ */
+
+const RPC = require('discord-rpc');
+const { publish } = require('./status');
+
+const STATES = {
+  IDLE: 'idle',
+  CONNECTING: 'connecting',
+  READY: 'ready',
+  BACKOFF: 'backoff',
+};
+
+const BACKOFF_MIN = 1000;
+const BACKOFF_MAX = 60000;
+
+let rpc = null;
+let state = STATES.IDLE;
+let desiredClientId = null;  // CLIENT_ID the phone last asked for
+let currentClientId = null;  // CLIENT_ID of the ready connection
+let connectPromise = null;
+let connectingClientId = null;
+let lastActivity = null;     // Re-applied after reconnecting
+let lastActivityClientId = null;
+let lastActivityEvent = null; // { type, data } status event published again when it's re-applied
+let retryTimer = null;
+let retryDelay = BACKOFF_MIN;
+let retryAttempt = 0;
+let nextRetryAt = null;
+let lastError = null;
+
+function setState(next) {
+  if (state === next) return;
+  state = next;
+  publish('discord-state', getState());
+}
+
+function destroyClient() {
+  if (rpc) {
+    const client = rpc;
+    rpc = null; // Set first so its 'disconnected' event is ignored
+    try {
+      client.destroy().catch(() => {});
+    } catch (e) {}
+  }
+}
+
+function cancelRetry() {
+  if (retryTimer) {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+  }
+  nextRetryAt = null;
+}
+
+// Retry while the phone still wants a CLIENT_ID, otherwise go idle
+function scheduleRetry() {
+  if (retryTimer) {
+    return;
+  }
+  if (!desiredClientId) {
+    setState(STATES.IDLE);
+    return;
+  }
+
+  const delay = retryDelay;
+  retryDelay = Math.min(retryDelay * 2, BACKOFF_MAX);
+  retryAttempt++;
+  nextRetryAt = Date.now() + delay;
+  setState(STATES.BACKOFF);
+  console.log(`Retrying Discord connection in ${Math.round(delay / 1000)}s (attempt ${retryAttempt})`);
+
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    nextRetryAt = null;
+    connect(desiredClientId).catch(() => {
+      // connect() already scheduled the next retry
+    });
+  }, delay);
+}
+
+// Put the last activity back after Discord restarts or the connection drops
+async function reapplyLastActivity() {
+  if (!lastActivity || !rpc) {
+    return;
+  }
+  try {
+    await rpc.setActivity(lastActivity);
+    console.log('✅ Re-applied last activity after reconnecting');
+    if (lastActivityEvent) {
+      publish(lastActivityEvent.type, { ...lastActivityEvent.data, reapplied: true });
+    } else {
+      publish('activity-set', { reapplied: true, displayName: lastActivity.details, clientId: currentClientId });
+    }
+  } catch (error) {
+    console.error('❌ Could not re-apply activity:', error.message);
+  }
+}
+
+function login(clientId) {
+  return new Promise((resolve, reject) => {
+    const client = new RPC.Client({ transport: 'ipc' });
+    rpc = client;
+    let settled = false;
+
+    client.once('ready', () => {
+      settled = true;
+      resolve(client);
+    });
+
+    // Errors after login must not crash the process
+    client.on('error', (error) => {
+      if (!settled) {
+        settled = true;
+        reject(error);
+      } else {
+        console.error('❌ Discord RPC error:', error.message);
+      }
+    });
+
+    // Discord quit or closed the IPC pipe
+    client.once('disconnected', () => {
+      if (rpc !== client) {
+        return; // Old client we replaced on purpose
+      }
+      rpc = null;
+      const wasReady = state === STATES.READY;
+      currentClientId = null;
+      lastError = 'Discord closed the IPC connection';
+      console.log('Discord IPC connection closed');
+      if (wasReady) {
+        publish('discord-disconnected', { clientId, reason: lastError });
+      }
+      scheduleRetry();
+    });
+
+    client.login({ clientId }).catch((error) => {
+      if (!settled) {
+        settled = true;
+        reject(error);
+      }
+    });
+  });
+}
+
+/**
+ * Make sure we're connected to Discord with a specific CLIENT_ID
+ * Switches clients if a different CLIENT_ID is connected
+ * @param {string} clientId - Discord application ID
+ */
+async function connect(clientId) {
+  desiredClientId = clientId;
+
+  if (state === STATES.READY && currentClientId === clientId && rpc) {
+    return;
+  }
+
+  // Share an attempt already in flight for the same CLIENT_ID
+  if (connectPromise) {
+    if (connectingClientId === clientId) {
+      return connectPromise;
+    }
+    await connectPromise.catch(() => {});
+    return connect(clientId);
+  }
+
+  cancelRetry();
+  connectingClientId = clientId;
+  connectPromise = (async () => {
+    const previousClientId = currentClientId;
+
+    // Switching CLIENT_IDs tears down the old client; subscribers hear about it
+    // through 'client-id-switched' once the new one is ready
+    destroyClient();
+    currentClientId = null;
+    setState(STATES.CONNECTING);
+
+    try {
+      await login(clientId);
+    } catch (error) {
+      destroyClient();
+      lastError = error.message;
+      scheduleRetry();
+      throw error;
+    }
+
+    currentClientId = clientId;
+    retryDelay = BACKOFF_MIN;
+    retryAttempt = 0;
+    lastError = null;
+    setState(STATES.READY);
+    console.log(`✅ Connected to Discord! (CLIENT_ID: ${clientId})`);
+    publish('discord-connected', { clientId });
+    if (previousClientId && previousClientId !== clientId) {
+      publish('client-id-switched', { previousClientId, clientId });
+    }
+
+    // Only restore an activity that belongs to this CLIENT_ID
+    if (lastActivity && lastActivityClientId === clientId) {
+      await reapplyLastActivity();
+    }
+  })();
+
+  try {
+    await connectPromise;
+  } finally {
+    connectPromise = null;
+    connectingClientId = null;
+  }
+}
+
+/**
+ * Set the activity on the connected client and remember it for reconnects
+ * @param {object} activity - Discord activity
+ * @param {object} event - Optional { type, data } status event describing the activity,
+ *   published again (with reapplied: true) when it's re-applied after reconnecting
+ */
+async function setActivity(activity, event = null) {
+  if (!isConnected()) {
+    throw new Error('Discord not connected');
+  }
+  await rpc.setActivity(activity);
+  lastActivity = activity;
+  lastActivityClientId = currentClientId;
+  lastActivityEvent = event;
+}
+
+/**
+ * Clear the activity and forget it so it isn't restored on reconnect
+ * Nothing is left to show, so a dropped connection isn't retried until the
+ * phone sends its next update
+ */
+async function clearActivity() {
+  lastActivity = null;
+  lastActivityClientId = null;
+  lastActivityEvent = null;
+  desiredClientId = null;
+  if (!isConnected()) {
+    if (retryTimer) {
+      cancelRetry();
+      retryDelay = BACKOFF_MIN;
+      retryAttempt = 0;
+      setState(STATES.IDLE);
+    }
+    return;
+  }
+  await rpc.clearActivity();
+}
+
+function isConnected() {
+  return state === STATES.READY && rpc !== null;
+}
+
+function getCurrentClientId() {
+  return currentClientId;
+}
+
+/**
+ * Supervisor state for /health and status events
+ */
+function getState() {
+  return {
+    state,
+    clientId: currentClientId || desiredClientId || null,
+    retryAttempt,
+    nextRetryAt,
+    lastError,
+  };
+}
+
+/**
+ * Disconnect and stop retrying (used on shutdown)
+ */
+function shutdown() {
+  desiredClientId = null;
+  cancelRetry();
+  destroyClient();
+  currentClientId = null;
+  setState(STATES.IDLE);
+}
+
+module.exports = {
+  STATES,
+  connect,
+  setActivity,
+  clearActivity,
+  isConnected,
+  getCurrentClientId,
+  getState,
+  shutdown,
+};
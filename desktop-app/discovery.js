@@ -0,0 +1,119 @@
+/**
+ * LAN discovery
+ * Answers UDP broadcast probes from the phone with a small JSON beacon
+ * (host name, address, port and version) so it can find us without typing an IP
+ */
+
+const dgram = require('dgram');
+const os = require('os');
+const { version } = require('./package.json');
+
+const DISCOVERY_PORT = 9091;
+const PROBE_MESSAGE = 'DISCORD_RPC_DISCOVER';
+const SERVICE_NAME = 'discord-rpc-companion';
+
+// Adapters that are almost never the network the phone is on
+const VIRTUAL_ADAPTER_PATTERN = /(vethernet|virtualbox|vboxnet|vmware|vmnet|hyper-v|docker|br-|veth|tun|tap|wg|utun|tailscale|zerotier|hamachi|npcap|loopback|wsl)/i;
+
+let socket = null;
+
+function isPrivateAddress(address) {
+  return /^192\.168\./.test(address) ||
+    /^10\./.test(address) ||
+    /^172\.(1[6-9]|2\d|3[01])\./.test(address);
+}
+
+function toNumber(address) {
+  return address.split('.').reduce((acc, part) => ((acc << 8) | Number(part)) >>> 0, 0);
+}
+
+function isSameSubnet(address, peer, netmask) {
+  const mask = toNumber(netmask);
+  return (toNumber(address) & mask) === (toNumber(peer) & mask);
+}
+
+/**
+ * List external IPv4 addresses, best candidates first
+ */
+function getCandidateAddresses() {
+  const interfaces = os.networkInterfaces();
+  const candidates = [];
+
+  for (const name of Object.keys(interfaces)) {
+    for (const iface of interfaces[name]) {
+      if (iface.family !== 'IPv4' || iface.internal) {
+        continue;
+      }
+      let score = 0;
+      if (!VIRTUAL_ADAPTER_PATTERN.test(name)) score += 2;
+      if (isPrivateAddress(iface.address)) score += 1;
+      candidates.push({ name, address: iface.address, netmask: iface.netmask, score });
+    }
+  }
+
+  return candidates.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Get the local IP most likely reachable from the phone
+ * Skips VPN and virtual adapters and prefers private LAN ranges
+ */
+function getLocalIP() {
+  const [best] = getCandidateAddresses();
+  return best ? best.address : 'localhost';
+}
+
+/**
+ * Get the local IP on the same subnet as a peer, falling back to getLocalIP()
+ */
+function getAddressForPeer(peerAddress) {
+  const match = getCandidateAddresses().find(c => isSameSubnet(c.address, peerAddress, c.netmask));
+  return match ? match.address : getLocalIP();
+}
+
+/**
+ * Start answering discovery probes
+ * @param {number} port - HTTP port to advertise
+ */
+function startDiscovery(port) {
+  if (socket) {
+    return;
+  }
+
+  socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+
+  socket.on('message', (message, rinfo) => {
+    if (message.toString().trim() !== PROBE_MESSAGE) {
+      return;
+    }
+
+    const beacon = JSON.stringify({
+      service: SERVICE_NAME,
+      name: os.hostname(),
+      host: getAddressForPeer(rinfo.address),
+      port,
+      version,
+    });
+    socket.send(beacon, rinfo.port, rinfo.address);
+  });
+
+  socket.on('error', (err) => {
+    console.error('❌ Discovery error:', err.message);
+    stopDiscovery();
+  });
+
+  socket.bind(DISCOVERY_PORT, () => {
+    console.log(`Discovery: listening on UDP ${DISCOVERY_PORT}`);
+  });
+}
+
+function stopDiscovery() {
+  if (socket) {
+    try {
+      socket.close();
+    } catch (e) {}
+    socket = null;
+  }
+}
+
+module.exports = { startDiscovery, stopDiscovery, getLocalIP, DISCOVERY_PORT };
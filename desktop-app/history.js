@@ -0,0 +1,262 @@
+/**
+ * Presence history
+ * Log of what Discord was shown and when, kept as one JSON line per change in
+ * <dataDir>/history.jsonl for RETENTION_DAYS. Built from the status events, so
+ * repeated updates for the same app are only logged once. The file's
+ * modification time marks the last update, which ends an open entry when the
+ * companion was stopped while showing something
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const HISTORY_FILE = 'history.jsonl';
+const RETENTION_DAYS = 30;
+const TOUCH_INTERVAL = 60 * 1000;
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let historyPath = null;
+let entries = []; // Oldest first
+let lastTouch = 0;
+
+function startOfDay(timestamp = Date.now()) {
+  const date = new Date(timestamp);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+}
+
+function readEntries() {
+  let text = '';
+  try {
+    text = fs.readFileSync(historyPath, 'utf8');
+  } catch (e) {
+    return [];
+  }
+
+  const parsed = [];
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      parsed.push(JSON.parse(line));
+    } catch (e) {
+      // Skip lines cut short by a crash
+    }
+  }
+  return parsed;
+}
+
+function writeEntries() {
+  fs.mkdirSync(path.dirname(historyPath), { recursive: true });
+  fs.writeFileSync(historyPath, entries.map((entry) => `${JSON.stringify(entry)}\n`).join(''));
+}
+
+// Drop entries older than the retention window
+function pruneEntries() {
+  const cutoff = startOfDay() - (RETENTION_DAYS - 1) * DAY_MS;
+  if (entries.length === 0 || entries[0].ts >= cutoff) {
+    return;
+  }
+  entries = entries.filter((entry) => entry.ts >= cutoff);
+  writeEntries();
+}
+
+function append(entry) {
+  entries.push(entry);
+  try {
+    fs.mkdirSync(path.dirname(historyPath), { recursive: true });
+    fs.appendFileSync(historyPath, `${JSON.stringify(entry)}\n`);
+    lastTouch = entry.ts;
+    pruneEntries();
+  } catch (e) {
+    console.error('❌ Could not save presence history:', e.message);
+  }
+}
+
+/**
+ * Load the history from the data directory
+ * @param {string} dataDir - Directory for persistent companion data
+ */
+function initHistory(dataDir) {
+  historyPath = path.join(dataDir, HISTORY_FILE);
+  entries = readEntries();
+
+  // Close whatever was showing when the companion last stopped
+  const last = entries[entries.length - 1];
+  if (last && (last.outcome === 'shown' || last.outcome === 'away')) {
+    let stoppedAt = last.ts;
+    try {
+      stoppedAt = Math.max(last.ts, fs.statSync(historyPath).mtimeMs);
+    } catch (e) {
+      // Keep the entry's own time
+    }
+    append({ ts: Math.round(stoppedAt), outcome: 'cleared', reason: 'Companion stopped' });
+  }
+
+  try {
+    pruneEntries();
+  } catch (e) {
+    console.error('❌ Could not prune presence history:', e.message);
+  }
+}
+
+// Fields an entry keeps for each status event
+function toEntry(event) {
+  switch (event.type) {
+    case 'activity-set':
+      // Re-applied test presences don't belong to an app
+      if (!event.packageName) return null;
+      return {
+        outcome: 'shown',
+        packageName: event.packageName,
+        displayName: event.displayName,
+        clientId: event.clientId,
+      };
+    case 'activity-away':
+      return {
+        outcome: 'away',
+        packageName: event.packageName,
+        displayName: event.displayName,
+        state: event.state,
+        action: event.action,
+      };
+    case 'activity-rejected':
+      return { outcome: 'rejected', packageName: event.packageName, reason: event.reason };
+    case 'activity-cleared':
+      return { outcome: 'cleared', reason: event.reason || null };
+    case 'discord-disconnected':
+      return { outcome: 'cleared', reason: 'Discord disconnected' };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Log a status event if it changes what Discord shows
+ * Subscribed to the status bus by the server
+ */
+function recordEvent(event) {
+  if (!historyPath) return;
+  const entry = toEntry(event);
+  if (!entry) return;
+
+  // Rejections leave whatever was showing before them on Discord
+  const last = entries[entries.length - 1];
+  let showing;
+  for (let i = entries.length - 1; i >= 0 && !showing; i--) {
+    if (entries[i].outcome !== 'rejected') showing = entries[i];
+  }
+  const shown = showing && showing.outcome === 'shown' ? showing : null;
+  let repeated;
+  if (entry.outcome === 'shown') {
+    repeated = !!shown && shown.packageName === entry.packageName && shown.clientId === entry.clientId;
+  } else if (entry.outcome === 'away') {
+    repeated = !!showing && showing.outcome === 'away' && showing.state === entry.state && showing.action === entry.action;
+  } else if (entry.outcome === 'cleared') {
+    repeated = !showing || showing.outcome === 'cleared';
+  } else {
+    repeated = !!last && last.outcome === 'rejected' && last.packageName === entry.packageName && last.reason === entry.reason;
+  }
+
+  if (repeated) {
+    // Still showing; keep the file's modification time current
+    if ((entry.outcome === 'shown' || entry.outcome === 'away') && event.timestamp - lastTouch > TOUCH_INTERVAL) {
+      lastTouch = event.timestamp;
+      fs.utimes(historyPath, new Date(), new Date(), () => {});
+    }
+    return;
+  }
+
+  append({ ts: event.timestamp, ...entry });
+}
+
+// Parse a from/to filter: milliseconds since the epoch or an ISO date
+function parseTime(value) {
+  if (value === undefined || value === '') return undefined;
+  const time = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+  return Number.isFinite(time) ? time : null;
+}
+
+/**
+ * A page of history entries, newest first
+ * @param {object} query - { from, to, limit, offset }; from/to are ms or ISO dates
+ * @returns {{status: number, body: object}}
+ */
+function queryHistory(query = {}) {
+  const from = parseTime(query.from);
+  const to = parseTime(query.to);
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+  const offset = query.offset === undefined ? 0 : Number(query.offset);
+
+  const errors = [];
+  if (from === null) errors.push('from must be a timestamp in ms or an ISO date');
+  if (to === null) errors.push('to must be a timestamp in ms or an ISO date');
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) errors.push(`limit must be 1-${MAX_PAGE_SIZE}`);
+  if (!Number.isInteger(offset) || offset < 0) errors.push('offset must be 0 or more');
+  if (errors.length > 0) {
+    return { status: 400, body: { error: 'Invalid history query', details: errors } };
+  }
+
+  const matching = entries.filter((entry) => (from === undefined || entry.ts >= from) && (to === undefined || entry.ts < to));
+  const page = matching.slice().reverse().slice(offset, offset + limit);
+  return { status: 200, body: { entries: page, total: matching.length, offset, limit } };
+}
+
+/**
+ * Today's timeline and the apps shown longest, for the dashboard window
+ * Time the phone spent away ends an app's stretch, even when the app was kept on Discord
+ * @returns {{ from: number, to: number, timeline: Array, topApps: Array, rejected: number }}
+ *   timeline holds { packageName, displayName, clientId, start, end, open } oldest first;
+ *   topApps holds { packageName, displayName, duration, count } longest first
+ */
+function getDashboard(now = Date.now()) {
+  const from = startOfDay(now);
+  const timeline = [];
+  let current = null;
+  let rejected = 0;
+
+  for (const entry of entries) {
+    if (entry.ts >= now) break;
+    if (current && entry.outcome !== 'rejected') {
+      current.end = entry.ts;
+      if (current.end > from) {
+        timeline.push({ ...current, start: Math.max(current.start, from), open: false });
+      }
+      current = null;
+    }
+    if (entry.outcome === 'shown') {
+      const { packageName, displayName, clientId } = entry;
+      current = { packageName, displayName, clientId, start: entry.ts };
+    } else if (entry.outcome === 'rejected' && entry.ts >= from) {
+      rejected++;
+    }
+  }
+  if (current) {
+    timeline.push({ ...current, start: Math.max(current.start, from), end: now, open: true });
+  }
+
+  const apps = {};
+  for (const item of timeline) {
+    const app = apps[item.packageName] || { packageName: item.packageName, displayName: item.displayName, duration: 0, count: 0 };
+    app.displayName = item.displayName;
+    app.duration += item.end - item.start;
+    app.count++;
+    apps[item.packageName] = app;
+  }
+
+  return {
+    from,
+    to: now,
+    timeline,
+    topApps: Object.values(apps).sort((a, b) => b.duration - a.duration),
+    rejected,
+  };
+}
+
+module.exports = {
+  initHistory,
+  recordEvent,
+  queryHistory,
+  getDashboard,
+};
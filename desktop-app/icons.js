@@ -0,0 +1,136 @@
+/**
+ * App icons
+ * Stores the launcher icons phones upload (one PNG per package version) in
+ * <dataDir>/icons and turns "icon:<hash>" image keys into URLs Discord can load
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ICONS_DIR = 'icons';
+const INDEX_FILE = 'index.json';
+const ICON_KEY_PREFIX = 'icon:';
+const MAX_ICON_BYTES = 256 * 1024;
+const HASH_PATTERN = /^[0-9a-f]{32}$/;
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+let iconsDir = null;
+let index = {}; // hash -> { packageName, version, bytes, storedAt }
+
+function loadIndex() {
+  try {
+    const data = JSON.parse(fs.readFileSync(path.join(iconsDir, INDEX_FILE), 'utf8'));
+    index = data && typeof data === 'object' ? data : {};
+  } catch (e) {
+    index = {};
+  }
+}
+
+function saveIndex() {
+  try {
+    fs.mkdirSync(iconsDir, { recursive: true });
+    fs.writeFileSync(path.join(iconsDir, INDEX_FILE), JSON.stringify(index, null, 2));
+  } catch (e) {
+    console.error('❌ Could not save icon index:', e.message);
+  }
+}
+
+/**
+ * Load the icon index from the data directory
+ * @param {string} dataDir - Directory for persistent companion data
+ */
+function initIcons(dataDir) {
+  iconsDir = path.join(dataDir, ICONS_DIR);
+  loadIndex();
+}
+
+function isValidHash(hash) {
+  return typeof hash === 'string' && HASH_PATTERN.test(hash);
+}
+
+function hasIcon(hash) {
+  return isValidHash(hash) && !!index[hash] && fs.existsSync(getIconPath(hash));
+}
+
+function getIconPath(hash) {
+  return path.join(iconsDir, `${hash}.png`);
+}
+
+/**
+ * Save an icon uploaded by the phone
+ * The hash covers package + version, so a known hash is skipped; newer
+ * versions of the same package replace the older file
+ * @param {object} body - { packageName, version, hash, png (base64) }
+ * @returns {{status: number, body: object}}
+ */
+function storeIcon(body) {
+  const { packageName, version, hash, png } = body;
+
+  if (!isValidHash(hash) || typeof packageName !== 'string' || !packageName) {
+    return { status: 400, body: { error: 'packageName and a 32 character hex hash are required' } };
+  }
+  if (hasIcon(hash)) {
+    return { status: 200, body: { success: true, hash, stored: false } };
+  }
+
+  const data = typeof png === 'string' ? Buffer.from(png, 'base64') : Buffer.alloc(0);
+  if (data.length > MAX_ICON_BYTES) {
+    return { status: 413, body: { error: `Icons must be at most ${MAX_ICON_BYTES / 1024} KB` } };
+  }
+  if (!data.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE)) {
+    return { status: 400, body: { error: 'png must be a base64 PNG image' } };
+  }
+
+  try {
+    fs.mkdirSync(iconsDir, { recursive: true });
+    fs.writeFileSync(getIconPath(hash), data);
+  } catch (e) {
+    return { status: 500, body: { error: `Could not save icon: ${e.message}` } };
+  }
+
+  // One icon per package: drop the ones from older versions
+  for (const [oldHash, entry] of Object.entries(index)) {
+    if (entry.packageName === packageName && oldHash !== hash) {
+      fs.rm(getIconPath(oldHash), { force: true }, () => {});
+      delete index[oldHash];
+    }
+  }
+
+  index[hash] = { packageName, version: String(version || ''), bytes: data.length, storedAt: Date.now() };
+  saveIndex();
+  console.log(`Stored icon for ${packageName} (${hash})`);
+  return { status: 200, body: { success: true, hash, stored: true } };
+}
+
+/**
+ * Turn an "icon:<hash>" image key into a URL under the public base URL
+ * Other keys are returned unchanged
+ * @param {string} key - Image key from the phone
+ * @param {string} baseUrl - iconBaseUrl from config.json ('' if not set)
+ * @returns {{ key: string|null, missing: string|null }} key is null when the
+ *   icon can't be shown; missing names an icon hash the phone should upload again
+ */
+function resolveIconKey(key, baseUrl) {
+  if (typeof key !== 'string' || !key.startsWith(ICON_KEY_PREFIX)) {
+    return { key, missing: null };
+  }
+
+  const hash = key.slice(ICON_KEY_PREFIX.length);
+  if (!hasIcon(hash)) {
+    return { key: null, missing: isValidHash(hash) ? hash : null };
+  }
+  // Discord can only load images from a URL it can reach
+  if (!baseUrl) {
+    return { key: null, missing: null };
+  }
+  return { key: `${baseUrl.replace(/\/+$/, '')}/icons/${hash}.png`, missing: null };
+}
+
+module.exports = {
+  ICON_KEY_PREFIX,
+  initIcons,
+  hasIcon,
+  getIconPath,
+  storeIcon,
+  resolveIconKey,
+};
@@ -1,15 +1,28 @@
 /**
  * Electron Main Process
- * Creates system tray icon and runs the Express server
+ * Creates system tray icon, runs the Express server and hosts the settings and dashboard windows
  */
 
-const { app, Tray, Menu, nativeImage } = require('electron');
+const { app, Tray, Menu, BrowserWindow, ipcMain, nativeImage } = require('electron');
 const path = require('path');
 const fs = require('fs');
-const { startServer, getStatus } = require('./server');
+const {
+  startServer,
+  getStatus,
+  subscribeStatus,
+  regeneratePairingCode,
+  unpairAllDevices,
+  getConfig,
+  updateConfig,
+  getConfigPath,
+  getHistoryDashboard,
+} = require('./server');
 
 let tray = null;
+let settingsWindow = null;
+let dashboardWindow = null;
 let serverInfo = null;
+let currentActivity = null; // Display name of what Discord is showing
 
 // Prevent multiple instances
 const gotTheLock = app.requestSingleInstanceLock();
@@ -18,10 +31,17 @@ if (!gotTheLock) {
   app.quit();
 } else {
   app.on('second-instance', () => {
-    // Someone tried to run a second instance, focus our window instead
-    // (We don't have a window, but this prevents multiple instances)
+    // Someone tried to run a second instance, focus the settings window if it's open
+    if (settingsWindow) {
+      settingsWindow.show();
+      settingsWindow.focus();
+    }
   });
 
+  ipcMain.handle('settings:load', () => ({ config: getConfig(), configPath: getConfigPath() }));
+  ipcMain.handle('settings:save', (event, changes) => updateConfig(changes));
+  ipcMain.handle('dashboard:load', () => getHistoryDashboard());
+
   app.whenReady().then(() => {
     // Set app icon for Windows (appears in Task Manager, Alt+Tab, etc.)
     const appPath = app.isPackaged ? path.dirname(process.execPath) : __dirname;
@@ -37,14 +57,15 @@ if (!gotTheLock) {
     }
     
     createTray();
-    startServer().then((info) => {
-      serverInfo = info;
+    startServer({ dataDir: app.getPath('userData') }).then((info) => {
+      serverInfo = { ...info, ...getStatus() };
       updateTrayMenu();
+      subscribeStatus(handleStatusEvent);
     });
   });
 
   app.on('window-all-closed', (e) => {
-    // Don't quit when all windows are closed (we don't have windows)
+    // Don't quit when the settings window closes; the app lives in the tray
     e.preventDefault();
   });
 
@@ -128,6 +149,64 @@ function createTray() {
   updateTrayMenu();
 }
 
+// Open the settings window, or bring it forward if it's already open
+function openSettingsWindow() {
+  if (settingsWindow) {
+    settingsWindow.show();
+    settingsWindow.focus();
+    return;
+  }
+
+  settingsWindow = new BrowserWindow({
+    width: 420,
+    height: 720,
+    resizable: false,
+    minimizable: false,
+    maximizable: false,
+    autoHideMenuBar: true,
+    title: 'Companion Settings',
+    webPreferences: {
+      preload: path.join(__dirname, 'settings-preload.js'),
+      contextIsolation: true,
+      nodeIntegration: false,
+    },
+  });
+
+  settingsWindow.loadFile(path.join(__dirname, 'settings.html'));
+  settingsWindow.on('closed', () => {
+    settingsWindow = null;
+  });
+}
+
+// Open the presence history dashboard, or bring it forward if it's already open
+function openDashboardWindow() {
+  if (dashboardWindow) {
+    dashboardWindow.show();
+    dashboardWindow.focus();
+    return;
+  }
+
+  dashboardWindow = new BrowserWindow({
+    width: 520,
+    height: 640,
+    minWidth: 420,
+    minHeight: 400,
+    maximizable: false,
+    autoHideMenuBar: true,
+    title: 'Presence Dashboard',
+    webPreferences: {
+      preload: path.join(__dirname, 'dashboard-preload.js'),
+      contextIsolation: true,
+      nodeIntegration: false,
+    },
+  });
+
+  dashboardWindow.loadFile(path.join(__dirname, 'dashboard.html'));
+  dashboardWindow.on('closed', () => {
+    dashboardWindow = null;
+  });
+}
+
 function updateTrayMenu() {
   if (!tray) return;
 
@@ -138,18 +217,66 @@ function updateTrayMenu() {
     },
     { type: 'separator' },
     {
-      label: serverInfo 
-        ? `Server: ${serverInfo.ip}:${serverInfo.port}`
-        : 'Starting server...',
+      label: !serverInfo
+        ? 'Starting server...'
+        : serverInfo.serverError
+          ? `Server: ${serverInfo.serverError}`
+          : `Server: ${serverInfo.ip}:${serverInfo.port}`,
       enabled: false
     },
     {
       label: serverInfo?.discordConnected 
         ? 'Discord: Connected'
-        : 'Discord: Disconnected',
+        : serverInfo?.discordState === 'backoff'
+          ? 'Discord: Reconnecting...'
+          : 'Discord: Disconnected',
+      enabled: false
+    },
+    {
+      label: currentActivity
+        ? `Showing: ${currentActivity}`
+        : 'Showing: Nothing',
+      enabled: false
+    },
+    { type: 'separator' },
+    {
+      label: serverInfo?.pairingCode
+        ? `Pairing Code: ${serverInfo.pairingCode}`
+        : 'Pairing Code: -',
+      enabled: false
+    },
+    {
+      label: `Paired Devices: ${serverInfo?.pairedDevices || 0}`,
       enabled: false
     },
+    {
+      label: 'New Pairing Code',
+      enabled: !!serverInfo,
+      click: () => {
+        regeneratePairingCode();
+      }
+    },
+    {
+      label: 'Unpair All Devices',
+      enabled: !!serverInfo?.pairedDevices,
+      click: () => {
+        unpairAllDevices();
+      }
+    },
     { type: 'separator' },
+    {
+      label: 'Dashboard...',
+      enabled: !!serverInfo,
+      click: () => {
+        openDashboardWindow();
+      }
+    },
+    {
+      label: 'Settings...',
+      click: () => {
+        openSettingsWindow();
+      }
+    },
     {
       label: 'Quit',
       click: () => {
@@ -162,18 +289,25 @@ function updateTrayMenu() {
   tray.setContextMenu(contextMenu);
 }
 
-// Update menu periodically to show connection status
-setInterval(() => {
-  if (tray) {
-    const status = getStatus();
-    serverInfo = {
-      ip: status.ip,
-      port: status.port,
-      discordConnected: status.discordConnected
-    };
+// Refresh tray menu from current server status
+function refreshStatus() {
+  if (tray && serverInfo) {
+    serverInfo = getStatus();
     updateTrayMenu();
   }
-}, 5000);
+}
+
+// Rebuild the menu whenever the server reports a change
+function handleStatusEvent(event) {
+  if (event.type === 'activity-set') {
+    currentActivity = event.displayName;
+  } else if (event.type === 'activity-away') {
+    currentActivity = event.action === 'idle' ? 'Idle' : `${event.displayName} (paused)`;
+  } else if (event.type === 'activity-cleared' || event.type === 'discord-disconnected') {
+    currentActivity = null;
+  }
+  refreshStatus();
+}
 
 // Export for server to update status
 module.exports = { updateTrayMenu };
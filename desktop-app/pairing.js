@@ -0,0 +1,214 @@
+/**
+ * Device pairing
+ * The tray shows a short-lived numeric code; a phone that sends the code to
+ * /pair receives a token it must present on every later request
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { publish } = require('./status');
+
+const CODE_LENGTH = 6;
+const CODE_LIFETIME = 5 * 60 * 1000;
+const MAX_FAILED_ATTEMPTS = 5;
+// Per address, so one phone guessing can't keep rotating through fresh codes
+const MAX_FAILED_PER_ADDRESS = 10;
+const LOCKOUT_TIME = 15 * 60 * 1000;
+
+let storePath = null;
+let devices = []; // [{ id, name, tokenHash, pairedAt }]
+let currentCode = null;
+let codeExpiresAt = 0;
+let failedAttempts = 0;
+const lockouts = new Map(); // address -> { failures, since, lockedUntil }
+let rotateTimer = null;
+
+// Only token hashes are written to disk
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function loadDevices() {
+  try {
+    const data = JSON.parse(fs.readFileSync(storePath, 'utf8'));
+    devices = Array.isArray(data.devices) ? data.devices : [];
+  } catch (e) {
+    devices = [];
+  }
+}
+
+function saveDevices() {
+  try {
+    fs.mkdirSync(path.dirname(storePath), { recursive: true });
+    fs.writeFileSync(storePath, JSON.stringify({ devices }, null, 2));
+  } catch (e) {
+    console.error('❌ Could not save paired devices:', e.message);
+  }
+}
+
+/**
+ * Load paired devices from the data directory
+ * @param {string} dataDir - Directory for persistent companion data
+ */
+function initPairing(dataDir) {
+  storePath = path.join(dataDir, 'pairing.json');
+  loadDevices();
+}
+
+/**
+ * Generate a fresh pairing code, invalidating the previous one
+ * Rotates again on expiry so the tray never shows a stale code
+ */
+function regenerateCode() {
+  currentCode = crypto.randomInt(0, 10 ** CODE_LENGTH).toString().padStart(CODE_LENGTH, '0');
+  codeExpiresAt = Date.now() + CODE_LIFETIME;
+  failedAttempts = 0;
+
+  if (rotateTimer) {
+    clearTimeout(rotateTimer);
+  }
+  rotateTimer = setTimeout(regenerateCode, CODE_LIFETIME);
+  rotateTimer.unref();
+
+  // The code itself stays out of the event; the tray reads it from getStatus()
+  publish('pairing-changed');
+  return currentCode;
+}
+
+/**
+ * Get the code currently shown in the tray, rotating it once expired
+ */
+function getPairingCode() {
+  if (!currentCode || Date.now() >= codeExpiresAt) {
+    regenerateCode();
+  }
+  return currentCode;
+}
+
+/**
+ * How long an address must wait before it may try a pairing code again
+ * @returns {number} Milliseconds, 0 when it isn't locked out
+ */
+function getPairingLockout(address) {
+  const entry = lockouts.get(address);
+  if (!entry || !entry.lockedUntil) return 0;
+  const remaining = entry.lockedUntil - Date.now();
+  if (remaining <= 0) {
+    lockouts.delete(address);
+    return 0;
+  }
+  return remaining;
+}
+
+function recordFailure(address) {
+  const now = Date.now();
+  // Wrong codes are only counted for LOCKOUT_TIME, so stale addresses don't pile up
+  for (const [key, { since, lockedUntil }] of lockouts) {
+    if (Math.max(since + LOCKOUT_TIME, lockedUntil) <= now) {
+      lockouts.delete(key);
+    }
+  }
+
+  const entry = lockouts.get(address) || { failures: 0, since: now, lockedUntil: 0 };
+  entry.failures++;
+  if (entry.failures >= MAX_FAILED_PER_ADDRESS) {
+    entry.lockedUntil = now + LOCKOUT_TIME;
+    console.warn(`⚠️ Too many wrong pairing codes from ${address}, locked out for ${LOCKOUT_TIME / 60000} minutes`);
+  }
+  lockouts.set(address, entry);
+}
+
+/**
+ * Exchange a pairing code for a device token
+ * Callers should check getPairingLockout(address) first
+ * @param {string} address - Remote address of the phone, for the lockout after repeated wrong codes
+ * @returns {string|null} Token, or null if the code is wrong or expired
+ */
+function pairDevice(code, deviceName, address) {
+  const expected = getPairingCode();
+  const given = String(code || '').trim();
+
+  // Hashed so both sides have the same byte length, whatever characters were sent
+  const matches = crypto.timingSafeEqual(Buffer.from(hashToken(given)), Buffer.from(hashToken(expected)));
+
+  if (!matches) {
+    recordFailure(address);
+    failedAttempts++;
+    // Rotate the code so it can't be brute forced
+    if (failedAttempts >= MAX_FAILED_ATTEMPTS) {
+      regenerateCode();
+    }
+    return null;
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  devices.push({
+    id: crypto.randomUUID(),
+    name: String(deviceName || 'Unknown device').slice(0, 64),
+    tokenHash: hashToken(token),
+    pairedAt: new Date().toISOString(),
+  });
+  saveDevices();
+  lockouts.delete(address);
+
+  // A code can only be used once (this also tells the tray the device count changed)
+  regenerateCode();
+  console.log(`✅ Paired device: ${deviceName || 'Unknown device'}`);
+  return token;
+}
+
+/**
+ * Check a bearer token against the paired devices
+ */
+function isValidToken(token) {
+  if (!token) return false;
+  const tokenHash = hashToken(token);
+  return devices.some(device => device.tokenHash === tokenHash);
+}
+
+/**
+ * Forget every paired device; phones must pair again
+ */
+function unpairAll() {
+  devices = [];
+  saveDevices();
+  regenerateCode();
+}
+
+function getPairedDevices() {
+  return devices.map(({ id, name, pairedAt }) => ({ id, name, pairedAt }));
+}
+
+/**
+ * Read the token from an "Authorization: Bearer <token>" header
+ */
+function getRequestToken(req) {
+  // Works for both Express requests and raw upgrade requests
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Express middleware rejecting requests without a valid token
+ */
+function requireAuth(req, res, next) {
+  if (!isValidToken(getRequestToken(req))) {
+    return res.status(401).json({ error: 'Unauthorized', message: 'Pair this device using the code shown in the desktop app tray menu.' });
+  }
+  next();
+}
+
+module.exports = {
+  initPairing,
+  getPairingCode,
+  regenerateCode,
+  pairDevice,
+  getPairingLockout,
+  isValidToken,
+  unpairAll,
+  getPairedDevices,
+  getRequestToken,
+  requireAuth,
+};
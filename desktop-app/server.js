@@ -5,94 +5,86 @@
 
 const express = require('express');
 const cors = require('cors');
-const RPC = require('discord-rpc');
 const os = require('os');
-
-const PORT = 9090;
-
-// Current Discord RPC client and state
-let rpc = null;
-let currentClientId = null;
-let isConnecting = false;
-
-// Discord RPC connection state
-let discordConnected = false;
+const path = require('path');
+const { buildActivity, readAppInfo } = require('./activity');
+const { touchSession, pauseSession, resumeSession, pruneSessions, setResetGap } = require('./sessions');
+const { initConfig, getConfig, updateConfig, getConfigPath } = require('./config');
+const pairing = require('./pairing');
+const discord = require('./discord');
+const { startDiscovery, stopDiscovery, getLocalIP } = require('./discovery');
+const { publish, subscribe } = require('./status');
+const { attachWebSocket } = require('./websocket');
+const { validateClientId, isValidClientIdFormat } = require('./validation');
+const assets = require('./assets');
+const icons = require('./icons');
+const backups = require('./backups');
+const catalog = require('./catalog');
+const history = require('./history');
+const { version } = require('./package.json');
+
+// Where paired devices and config.json are stored when Electron doesn't provide a user data directory
+const DEFAULT_DATA_DIR = path.join(os.homedir(), '.discord-rpc-companion');
+
+// Must match AWAY_STATES and AWAY_ACTIONS in the phone's AwayStates.js
+// (phones clear the presence themselves for the 'clear' action)
+const AWAY_STATES = ['screen-off', 'locked', 'idle'];
+const AWAY_ACTIONS = ['idle', 'keep'];
+
+// State line of the "Idle" presence for each away state
+const AWAY_STATE_TEXT = {
+  'screen-off': 'Screen off',
+  locked: 'Phone locked',
+  idle: 'Away',
+};
+
+// Presence state (the Discord connection itself lives in discord.js)
 let lastUpdateTime = null;
 let isCleared = false;
-const UPDATE_TIMEOUT = 60000;
 let updateCheckInterval = null;
+let shownApp = null; // { packageName, displayName, clientId, activity } Discord last accepted from the phone
+let away = null;     // { state, action, since } while the phone is away
+
+// Listener state; port and bind address come from config.json
+let httpServer = null;
+let wss = null;
+let serverError = null;
 
 // Express app
 const app = express();
 app.use(cors());
-app.use(express.json());
-
-// Get local IP address
-function getLocalIP() {
-  const interfaces = os.networkInterfaces();
-  for (const name of Object.keys(interfaces)) {
-    for (const iface of interfaces[name]) {
-      if (iface.family === 'IPv4' && !iface.internal) {
-        return iface.address;
-      }
-    }
-  }
-  return 'localhost';
-}
+// Room for the base64 app icons and settings backups phones upload
+app.use(express.json({ limit: '512kb' }));
 
 const localIP = getLocalIP();
 
-/**
- * Connect to Discord RPC with a specific CLIENT_ID
- */
-async function connectToDiscord(clientId) {
-  return new Promise((resolve, reject) => {
-    if (discordConnected && currentClientId === clientId && rpc) {
-      resolve();
-      return;
-    }
-
-    if (isConnecting) {
-      setTimeout(() => connectToDiscord(clientId).then(resolve).catch(reject), 500);
-      return;
-    }
-
-    isConnecting = true;
+// Exchange the pairing code shown in the tray for a device token
+app.post('/pair', (req, res) => {
+  const { code, deviceName } = req.body || {};
+  const address = req.socket.remoteAddress;
 
-    if (rpc) {
-      try {
-        rpc.destroy().catch(() => {});
-      } catch (e) {}
-      rpc = null;
-      discordConnected = false;
-    }
-
-    rpc = new RPC.Client({ transport: 'ipc' });
+  const lockout = pairing.getPairingLockout(address);
+  if (lockout) {
+    const retryAfter = Math.ceil(lockout / 1000);
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({ error: `Too many wrong pairing codes, try again in ${Math.ceil(retryAfter / 60)} minutes` });
+  }
 
-    rpc.once('ready', () => {
-      discordConnected = true;
-      currentClientId = clientId;
-      isConnecting = false;
-      console.log(`✅ Connected to Discord! (CLIENT_ID: ${clientId})`);
-      startUpdateCheck();
-      resolve();
-    });
+  if (!code) {
+    return res.status(400).json({ error: 'Pairing code required' });
+  }
 
-    rpc.once('error', (err) => {
-      isConnecting = false;
-      reject(err);
-    });
+  const token = pairing.pairDevice(code, deviceName, address);
+  if (!token) {
+    return res.status(401).json({ error: 'Invalid or expired pairing code' });
+  }
 
-    rpc.login({ clientId }).catch(err => {
-      isConnecting = false;
-      reject(err);
-    });
-  });
-}
+  res.json({ success: true, token });
+});
 
 // Test endpoint
-app.post('/test-presence', (req, res) => {
-  if (!discordConnected) {
+app.post('/test-presence', pairing.requireAuth, (req, res) => {
+  if (!discord.isConnected()) {
     return res.status(503).json({ error: 'Discord not connected' });
   }
 
@@ -103,92 +95,365 @@ app.post('/test-presence', (req, res) => {
     instance: false,
   };
 
-  rpc.setActivity(testActivity).then(() => {
+  discord.setActivity(testActivity).then(() => {
     res.json({ success: true, message: 'Test activity set' });
   }).catch((error) => {
     res.status(500).json({ error: error.message });
   });
 });
 
-// API endpoint to update Rich Presence
-app.post('/update-presence', async (req, res) => {
-  const { appName, packageName, displayName, clientId } = req.body;
+/**
+ * Apply a presence update from the phone
+ * Shared by the HTTP route and the WebSocket channel
+ * @returns {Promise<{status: number, body: object}>}
+ */
+async function updatePresence(body) {
+  const { packageName, displayName, clientId } = body;
+
+  // Phones clear the presence with clear-presence; an update always names its app
+  if (!isNonEmptyString(packageName) || !isNonEmptyString(displayName)) {
+    return rejectActivity(packageName || null, 400, { error: 'packageName and displayName are required' });
+  }
 
   lastUpdateTime = Date.now();
   console.log(`Update received at ${new Date().toLocaleTimeString()}`);
 
-  if (!displayName || displayName === 'null' || packageName === 'unknown' || packageName === 'null') {
-    if (!isCleared && rpc && discordConnected) {
-      rpc.clearActivity().catch(() => {});
-      isCleared = true;
-    }
-    lastUpdateTime = null;
-    return res.json({ success: true, message: 'Cleared activity' });
+  // Apps without their own CLIENT_ID fall back to the companion's default application
+  const requiredClientId = (typeof clientId === 'string' && clientId.trim()) || getConfig().defaultClientId;
+  if (!requiredClientId) {
+    return rejectActivity(packageName, 200, { success: false, message: 'CLIENT_ID required. Set it in the app settings dialog or a default CLIENT_ID in the desktop app settings.' });
   }
-  
+
+  const { activity: built, errors } = buildActivity(body);
+  if (errors.length > 0) {
+    return rejectActivity(packageName, 400, { error: 'Invalid activity', details: errors });
+  }
+  // Only a valid update brings the phone back from being cleared or away
   isCleared = false;
+  endAway();
+  const missingIcons = resolveIcons(built);
+
+  // The supervisor keeps retrying in the background if this fails
+  try {
+    await discord.connect(requiredClientId);
+  } catch (error) {
+    return rejectActivity(packageName, 503, { error: 'Failed to connect to Discord', details: error.message });
+  }
 
-  if (!clientId || !clientId.trim()) {
-    return res.json({ success: false, message: 'CLIENT_ID required. Set it in the app settings dialog.' });
+  if (!discord.isConnected()) {
+    return rejectActivity(packageName, 503, { error: 'Discord not connected' });
   }
 
-  const requiredClientId = clientId.trim();
-  
-  if (currentClientId !== requiredClientId || !discordConnected || !rpc) {
+  // Keep the original start time while this package stays in use,
+  // even across CLIENT_ID switches and reconnects above
+  const startTimestamp = touchSession(packageName);
+
+  const activity = {
+    ...built,
+    startTimestamp,
+  };
+
+  const shownEvent = {
+    type: 'activity-set',
+    data: { packageName, displayName, clientId: requiredClientId, startTimestamp, app: readAppInfo(body.app) },
+  };
+
+  try {
+    await discord.setActivity(activity, shownEvent);
+    console.log(`✅ Successfully updated: ${displayName} (${packageName}) [CLIENT_ID: ${requiredClientId}]`);
+    shownApp = { packageName, displayName, clientId: requiredClientId, activity };
+    publish(shownEvent.type, shownEvent.data);
+    return { status: 200, body: { success: true, message: 'Presence updated', startTimestamp, missingIcons } };
+  } catch (error) {
+    console.error('❌ Error updating presence:', error);
+    return rejectActivity(packageName, 500, { error: error.message });
+  }
+}
+
+/**
+ * Swap "icon:<hash>" image keys for the icon's public URL, dropping images
+ * Discord couldn't load
+ * @returns {string[]} Hashes of icons the phone should upload again
+ */
+function resolveIcons(activity) {
+  const { iconBaseUrl } = getConfig();
+  const missing = [];
+
+  for (const [keyField, textField] of [['largeImageKey', 'largeImageText'], ['smallImageKey', 'smallImageText']]) {
+    if (!activity[keyField]) continue;
+    const resolved = icons.resolveIconKey(activity[keyField], iconBaseUrl);
+    if (resolved.missing) {
+      missing.push(resolved.missing);
+    }
+    if (resolved.key) {
+      activity[keyField] = resolved.key;
+    } else {
+      delete activity[keyField];
+      delete activity[textField];
+    }
+  }
+
+  return missing;
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+// Tell subscribers why an update didn't make it to Discord
+function rejectActivity(packageName, status, body) {
+  publish('activity-rejected', {
+    packageName,
+    reason: body.error || body.message,
+    details: body.details || null,
+  });
+  return { status, body };
+}
+
+/**
+ * Show that the phone is away (screen off, locked or idle) instead of its last app
+ * 'idle' replaces the presence with "Idle"; 'keep' keeps the app with its timer
+ * paused. Phones resend this on every refresh, which keeps the presence from
+ * timing out, and end it with their next update-presence or clear-presence
+ * @returns {Promise<{status: number, body: object}>}
+ */
+async function setAway(body) {
+  const { state, action } = body || {};
+  const errors = [];
+  if (!AWAY_STATES.includes(state)) errors.push(`state must be one of ${AWAY_STATES.join(', ')}`);
+  if (!AWAY_ACTIONS.includes(action)) errors.push(`action must be one of ${AWAY_ACTIONS.join(', ')}`);
+  if (errors.length > 0) {
+    return { status: 400, body: { error: 'Invalid away state', details: errors } };
+  }
+
+  if (isCleared || !shownApp) {
+    return { status: 200, body: { success: true, message: 'Nothing shown, nothing to change' } };
+  }
+  lastUpdateTime = Date.now();
+
+  if (!discord.isConnected()) {
+    return { status: 503, body: { error: 'Discord not connected' } };
+  }
+
+  const { packageName, displayName, clientId } = shownApp;
+  const since = away ? away.since : Date.now();
+  if (!away || away.state !== state || away.action !== action) {
+    let activity;
+    if (action === 'keep') {
+      pauseSession(packageName);
+      // Without a startTimestamp Discord shows no timer, so a kept app looks paused
+      activity = { ...shownApp.activity };
+      delete activity.startTimestamp;
+    } else {
+      resumeSession(packageName);
+      activity = { details: 'Idle', state: AWAY_STATE_TEXT[state], startTimestamp: Math.floor(since / 1000), instance: false };
+    }
+
     try {
-      await connectToDiscord(requiredClientId);
+      await discord.setActivity(activity, {
+        type: 'activity-away',
+        data: { state, action, packageName, displayName, clientId, since },
+      });
     } catch (error) {
-      return res.status(503).json({ error: 'Failed to connect to Discord', details: error.message });
+      return { status: 500, body: { error: error.message } };
     }
+    away = { state, action, since };
+    console.log(`💤 Phone away (${state}): ${action === 'idle' ? 'showing Idle' : `keeping ${displayName}`}`);
   }
 
-  if (!discordConnected || !rpc) {
-    return res.status(503).json({ error: 'Discord not connected' });
+  publish('activity-away', { state, action, packageName, displayName, clientId, since });
+  return { status: 200, body: { success: true, message: 'Away state set', since } };
+}
+
+// The phone is back: start a kept app's timer again
+function endAway() {
+  if (away && away.action === 'keep' && shownApp) {
+    resumeSession(shownApp.packageName);
   }
+  away = null;
+}
 
-  const activity = {
-    details: displayName,
-    startTimestamp: Math.floor(Date.now() / 1000),
-    instance: false,
+/**
+ * Clear the current presence
+ * @returns {Promise<{status: number, body: object}>}
+ */
+async function clearPresence() {
+  endAway();
+  shownApp = null;
+
+  if (!discord.isConnected()) {
+    // Still forget the last activity so it isn't restored when Discord comes back
+    await discord.clearActivity();
+    isCleared = true;
+    lastUpdateTime = null;
+    return { status: 200, body: { success: true, message: 'Discord not connected, nothing to clear' } };
+  }
+
+  if (isCleared) {
+    return { status: 200, body: { success: true, message: 'Already cleared' } };
+  }
+
+  lastUpdateTime = null;
+  isCleared = true;
+
+  try {
+    await discord.clearActivity();
+    publish('activity-cleared');
+    return { status: 200, body: { success: true, message: 'Presence cleared' } };
+  } catch (error) {
+    return { status: 500, body: { error: error.message } };
+  }
+}
+
+// Snapshot of the Discord connection sent when a push channel opens
+function getDiscordStatus() {
+  return {
+    discordConnected: discord.isConnected(),
+    currentClientId: discord.getCurrentClientId() || null,
+    discordState: discord.getState().state,
+    // Lets the phone enable apps that have no CLIENT_ID of their own
+    hasDefaultClientId: !!getConfig().defaultClientId,
+    // Discord can only show uploaded app icons through iconBaseUrl
+    servesIcons: !!getConfig().iconBaseUrl,
   };
+}
 
-  rpc.setActivity(activity).then(() => {
-    console.log(`✅ Successfully updated: ${displayName} (${packageName}) [CLIENT_ID: ${requiredClientId}]`);
-    res.json({ success: true, message: 'Presence updated' });
-  }).catch((error) => {
-    console.error('❌ Error updating presence:', error);
-    res.status(500).json({ error: error.message });
-  });
+// API endpoint to update Rich Presence
+app.post('/update-presence', pairing.requireAuth, async (req, res) => {
+  const result = await updatePresence(req.body);
+  res.status(result.status).json(result.body);
 });
 
-// API endpoint to clear Rich Presence
-app.post('/clear-presence', (req, res) => {
-  if (!discordConnected) {
-    return res.status(503).json({ error: 'Discord not connected' });
+// Check a CLIENT_ID without touching the current presence
+app.post('/validate-client-id', pairing.requireAuth, async (req, res) => {
+  const result = await validateClientId(req.body || {});
+  res.status(result.status).json(result.body);
+});
+
+/**
+ * Rich Presence assets of an application, for the phone's image picker
+ * Uses the default CLIENT_ID when the phone sends none
+ * @returns {Promise<{status: number, body: object}>}
+ */
+async function listAssets(body) {
+  const clientId = (typeof body.clientId === 'string' && body.clientId.trim()) || getConfig().defaultClientId;
+  if (!isValidClientIdFormat(clientId)) {
+    return { status: 400, body: { error: 'A valid CLIENT_ID is required' } };
   }
 
-  if (!isCleared) {
-    lastUpdateTime = null;
-    isCleared = true;
+  try {
+    const result = await assets.getAssets(clientId, { refresh: body.refresh === true });
+    return { status: 200, body: { clientId, ...result } };
+  } catch (error) {
+    const status = error.code === assets.ERRORS.UNKNOWN_APPLICATION ? 404 : 502;
+    return { status, body: { error: error.message, code: error.code } };
+  }
+}
 
-    rpc.clearActivity().then(() => {
-      res.json({ success: true, message: 'Presence cleared' });
-    }).catch((error) => {
-      res.status(500).json({ error: error.message });
-    });
-  } else {
-    res.json({ success: true, message: 'Already cleared' });
+// App icons from the phone, stored once per package version
+app.post('/icons', pairing.requireAuth, (req, res) => {
+  const result = icons.storeIcon(req.body || {});
+  res.status(result.status).json(result.body);
+});
+
+// Left open: Discord fetches these through iconBaseUrl to show them
+app.get('/icons/:file', (req, res) => {
+  const match = /^([0-9a-f]{32})\.png$/.exec(req.params.file);
+  if (!match || !icons.hasIcon(match[1])) {
+    return res.status(404).json({ error: 'Icon not found' });
   }
+  // A hash always points to the same image
+  res.set('Cache-Control', 'public, max-age=31536000, immutable');
+  res.sendFile(icons.getIconPath(match[1]));
+});
+
+// Settings backups, so a reinstalled phone can restore its settings
+app.post('/backup/save', pairing.requireAuth, (req, res) => {
+  const result = backups.saveBackup(req.body || {});
+  res.status(result.status).json(result.body);
+});
+
+app.post('/backup/load', pairing.requireAuth, (req, res) => {
+  const result = backups.loadBackup(req.body || {});
+  res.status(result.status).json(result.body);
+});
+
+// Shared app catalog phones pre-fill new apps from
+app.get('/catalog', pairing.requireAuth, (req, res) => {
+  res.json(catalog.getCatalog());
+});
+
+app.put('/catalog', pairing.requireAuth, (req, res) => {
+  const result = catalog.replaceCatalog(req.body || {});
+  res.status(result.status).json(result.body);
+});
+
+// Presence history, newest first; ?from=&to= (ms or ISO dates), ?limit=&offset= for paging
+app.get('/history', pairing.requireAuth, (req, res) => {
+  const result = history.queryHistory(req.query);
+  res.status(result.status).json(result.body);
+});
+
+app.post('/assets', pairing.requireAuth, async (req, res) => {
+  const result = await listAssets(req.body || {});
+  res.status(result.status).json(result.body);
+});
+
+// The phone's screen is off, it's locked or nobody is using it
+app.post('/set-away', pairing.requireAuth, async (req, res) => {
+  const result = await setAway(req.body);
+  res.status(result.status).json(result.body);
+});
+
+// API endpoint to clear Rich Presence
+app.post('/clear-presence', pairing.requireAuth, async (req, res) => {
+  const result = await clearPresence();
+  res.status(result.status).json(result.body);
+});
+
+// Server-Sent Events stream of status changes
+// Same events as the WebSocket channel, for clients that only need to listen
+app.get('/events', pairing.requireAuth, (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.flushHeaders();
+
+  const writeEvent = (event) => {
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  writeEvent({ type: 'status', ...getDiscordStatus(), timestamp: Date.now() });
+  const unsubscribe = subscribe(writeEvent);
+
+  // Comment lines keep proxies and the phone's HTTP stack from timing out
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 25000);
+
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    unsubscribe();
+  });
 });
 
 // Health check endpoint
+// Left open so phones can check reachability before pairing
 app.get('/health', (req, res) => {
+  const authenticated = pairing.isValidToken(pairing.getRequestToken(req));
   res.json({
     status: 'ok',
-    discordConnected,
-    currentClientId: currentClientId || null,
+    authenticated,
+    discordConnected: discord.isConnected(),
+    currentClientId: authenticated ? (discord.getCurrentClientId() || null) : null,
+    // Retry details (and the CLIENT_ID) only for paired phones
+    discord: authenticated ? discord.getState() : { state: discord.getState().state },
+    hasDefaultClientId: authenticated ? !!getConfig().defaultClientId : undefined,
+    servesIcons: authenticated ? !!getConfig().iconBaseUrl : undefined,
+    name: os.hostname(),
+    version,
     ip: localIP,
-    port: PORT
+    port: getConfig().port
   });
 });
 
@@ -199,7 +464,9 @@ function startUpdateCheck() {
   }
   
   updateCheckInterval = setInterval(() => {
-    if (!discordConnected) {
+    pruneSessions();
+
+    if (!discord.isConnected()) {
       return;
     }
     
@@ -209,39 +476,145 @@ function startUpdateCheck() {
     
     const timeSinceLastUpdate = Date.now() - lastUpdateTime;
     
-    if (timeSinceLastUpdate >= UPDATE_TIMEOUT) {
+    // Read each tick so a new timeout applies right away
+    if (timeSinceLastUpdate >= getConfig().updateTimeout) {
       if (!isCleared) {
-        rpc.clearActivity().then(() => {
+        discord.clearActivity().then(() => {
           isCleared = true;
           lastUpdateTime = null;
+          endAway();
+          shownApp = null;
+          publish('activity-cleared', { reason: 'No updates from phone' });
         }).catch(() => {});
       }
     }
-  }, 30000);
+  }, getConfig().checkInterval);
 }
 
-// Start server function
-function startServer() {
+/**
+ * Start the HTTP server, WebSocket channel and discovery on the configured port
+ * Resolves even if the port is taken; the error is kept for the tray menu
+ */
+function listen() {
+  const { port, bindAddress } = getConfig();
+
   return new Promise((resolve) => {
-    app.listen(PORT, '0.0.0.0', () => {
-      console.log(`Server: http://${localIP}:${PORT}`);
-      resolve({
-        ip: localIP,
-        port: PORT,
-        discordConnected
+    const server = app.listen(port, bindAddress);
+
+    server.once('listening', () => {
+      serverError = null;
+      httpServer = server;
+      console.log(`Server: http://${localIP}:${port} (bound to ${bindAddress})`);
+      startDiscovery(port);
+      wss = attachWebSocket(server, {
+        requests: {
+          'update-presence': updatePresence,
+          'clear-presence': clearPresence,
+          'set-away': setAway,
+          'validate-client-id': validateClientId,
+          assets: listAssets,
+          'upload-icon': async (payload) => icons.storeIcon(payload),
+          'save-backup': async (payload) => backups.saveBackup(payload),
+          'load-backup': async (payload) => backups.loadBackup(payload),
+          'get-catalog': async () => ({ status: 200, body: catalog.getCatalog() }),
+          'put-catalog': async (payload) => catalog.replaceCatalog(payload),
+          history: async (payload) => history.queryHistory(payload),
+          ping: async () => ({ status: 200, body: { status: 'ok', ...getDiscordStatus() } }),
+        },
+        getStatus: getDiscordStatus,
       });
+      publish('server-listening', { port, bindAddress });
+      resolve();
+    });
+
+    server.once('error', (error) => {
+      serverError = error.code === 'EADDRINUSE' ? `Port ${port} is already in use` : error.message;
+      console.error(`❌ Server could not listen on ${bindAddress}:${port}:`, serverError);
+      publish('server-error', { port, bindAddress, message: serverError });
+      resolve();
     });
   });
 }
 
+/**
+ * Stop accepting connections and drop the open ones (phones reconnect to the new port)
+ */
+function closeListener() {
+  stopDiscovery();
+  if (wss) {
+    for (const ws of wss.clients) {
+      ws.terminate();
+    }
+    wss.close();
+    wss = null;
+  }
+  if (httpServer) {
+    const server = httpServer;
+    httpServer = null;
+    return new Promise((resolve) => {
+      server.close(() => resolve());
+      // SSE streams would otherwise keep the old port open
+      server.closeAllConnections();
+    });
+  }
+  return Promise.resolve();
+}
+
+// Apply config.json changes without restarting the process
+async function handleConfigChange(changed) {
+  const config = getConfig();
+
+  if (changed.includes('sessionResetGap')) {
+    setResetGap(config.sessionResetGap);
+  }
+  if (changed.includes('checkInterval')) {
+    startUpdateCheck();
+  }
+  if (changed.includes('port') || changed.includes('bindAddress')) {
+    await closeListener();
+    await listen();
+  }
+}
+
+// Start server function
+// options.dataDir - directory for persistent data (paired devices, config.json, asset cache, icons, backups, catalog, presence history)
+async function startServer(options = {}) {
+  const dataDir = options.dataDir || DEFAULT_DATA_DIR;
+  pairing.initPairing(dataDir);
+  initConfig(dataDir);
+  assets.initAssetCache(dataDir);
+  icons.initIcons(dataDir);
+  backups.initBackups(dataDir);
+  catalog.initCatalog(dataDir);
+  history.initHistory(dataDir);
+  setResetGap(getConfig().sessionResetGap);
+
+  subscribe(history.recordEvent);
+  subscribe((event) => {
+    if (event.type === 'config-changed') {
+      handleConfigChange(event.changed).catch((error) => {
+        console.error('❌ Could not apply config change:', error.message);
+      });
+    }
+  });
+
+  await listen();
+  startUpdateCheck();
+
+  return {
+    ip: localIP,
+    port: getConfig().port,
+    discordConnected: discord.isConnected()
+  };
+}
+
 // Graceful shutdown
 process.on('SIGINT', () => {
   if (updateCheckInterval) {
     clearInterval(updateCheckInterval);
   }
-  if (rpc) {
-    rpc.destroy().catch(() => {});
-  }
+  stopDiscovery();
+  discord.shutdown();
   process.exit(0);
 });
 
@@ -250,8 +623,27 @@ module.exports = { startServer };
 
 // Export connection status getter
 module.exports.getStatus = () => ({
-  discordConnected,
+  discordConnected: discord.isConnected(),
+  discordState: discord.getState().state,
   ip: localIP,
-  port: PORT
+  port: getConfig().port,
+  serverError,
+  pairingCode: pairing.getPairingCode(),
+  pairedDevices: pairing.getPairedDevices().length
 });
 
+// Export status events for the tray menu (the same events /events streams)
+module.exports.subscribeStatus = subscribe;
+
+// Export pairing controls for the tray menu
+module.exports.regeneratePairingCode = pairing.regenerateCode;
+module.exports.unpairAllDevices = pairing.unpairAll;
+
+// Export config access for the settings window
+module.exports.getConfig = getConfig;
+module.exports.updateConfig = updateConfig;
+module.exports.getConfigPath = getConfigPath;
+
+// Export the presence history summary for the dashboard window
+module.exports.getHistoryDashboard = () => history.getDashboard();
+
@@ -0,0 +1,84 @@
+/**
+ * Presence sessions
+ * Remembers when each package was first seen so the Discord "elapsed" timer
+ * survives repeated updates, RPC reconnects and CLIENT_ID switches. A session
+ * starts over once another package is reported, and can be paused while the
+ * phone is away, so the timer skips that time
+ */
+
+// How long a package can go unreported before its session starts over
+const DEFAULT_RESET_GAP = 5 * 60 * 1000;
+
+// packageName -> { startTimestamp (seconds), lastSeen (ms), pausedAt (ms, while paused) }
+const sessions = new Map();
+let currentPackage = null;
+let resetGap = Number(process.env.SESSION_RESET_GAP) || DEFAULT_RESET_GAP;
+
+/**
+ * Record an update for a package and return its session start
+ * @param {string} packageName - Package currently in the foreground
+ * @returns {number} Unix timestamp in seconds to use as startTimestamp
+ */
+function touchSession(packageName) {
+  const now = Date.now();
+  let session = sessions.get(packageName);
+
+  // Switching apps and back starts a new session, even within the reset gap
+  if (!session || packageName !== currentPackage || now - session.lastSeen > resetGap) {
+    session = { startTimestamp: Math.floor(now / 1000), lastSeen: now };
+    sessions.set(packageName, session);
+  } else {
+    session.lastSeen = now;
+  }
+  currentPackage = packageName;
+
+  return session.startTimestamp;
+}
+
+/**
+ * Stop a package's timer while the phone is away
+ * Paused sessions are kept however long the pause lasts
+ */
+function pauseSession(packageName) {
+  const session = sessions.get(packageName);
+  if (session && !session.pausedAt) {
+    session.pausedAt = Date.now();
+  }
+}
+
+/**
+ * Start a paused timer again, moving its start forward by the time spent paused
+ */
+function resumeSession(packageName) {
+  const session = sessions.get(packageName);
+  if (!session || !session.pausedAt) return;
+
+  const now = Date.now();
+  session.startTimestamp += Math.round((now - session.pausedAt) / 1000);
+  session.lastSeen = now;
+  delete session.pausedAt;
+}
+
+/**
+ * Drop sessions that have been idle for longer than the reset gap
+ */
+function pruneSessions() {
+  const now = Date.now();
+  for (const [packageName, session] of sessions) {
+    if (!session.pausedAt && now - session.lastSeen > resetGap) {
+      sessions.delete(packageName);
+    }
+  }
+}
+
+function setResetGap(ms) {
+  if (Number.isFinite(ms) && ms >= 0) {
+    resetGap = ms;
+  }
+}
+
+function getResetGap() {
+  return resetGap;
+}
+
+module.exports = { touchSession, pauseSession, resumeSession, pruneSessions, setResetGap, getResetGap };
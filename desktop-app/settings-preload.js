@@ -0,0 +1,11 @@
+/**
+ * Settings window preload
+ * Exposes only the two config calls the settings page needs
+ */
+
+const { contextBridge, ipcRenderer } = require('electron');
+
+contextBridge.exposeInMainWorld('companionSettings', {
+  load: () => ipcRenderer.invoke('settings:load'),
+  save: (changes) => ipcRenderer.invoke('settings:save', changes),
+});
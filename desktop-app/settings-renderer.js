@@ -0,0 +1,61 @@
+/**
+ * Settings window
+ * Shows config.json in friendlier units and saves it through the preload bridge
+ */
+
+// Field id -> how many config units (ms) one form unit is, or 'text' for strings
+const FIELDS = {
+  port: 1,
+  bindAddress: 'text',
+  updateTimeout: 1000,
+  checkInterval: 1000,
+  sessionResetGap: 60 * 1000,
+  defaultClientId: 'text',
+  iconBaseUrl: 'text',
+};
+
+const message = document.getElementById('message');
+
+function showMessage(text, type) {
+  message.textContent = text;
+  message.className = type;
+}
+
+function fillForm(config) {
+  for (const [key, scale] of Object.entries(FIELDS)) {
+    document.getElementById(key).value = scale === 'text' ? config[key] : config[key] / scale;
+  }
+}
+
+function readForm() {
+  const changes = {};
+  for (const [key, scale] of Object.entries(FIELDS)) {
+    const value = document.getElementById(key).value.trim();
+    if (scale === 'text') {
+      changes[key] = value;
+    } else {
+      changes[key] = Math.round(Number(value) * scale);
+    }
+  }
+  return changes;
+}
+
+async function load() {
+  const { config, configPath } = await window.companionSettings.load();
+  fillForm(config);
+  document.getElementById('configPath').textContent = `Saved to ${configPath}`;
+}
+
+document.getElementById('save').addEventListener('click', async () => {
+  const { config, errors } = await window.companionSettings.save(readForm());
+  if (errors.length > 0) {
+    showMessage(errors.join('\n'), 'error');
+    return;
+  }
+  fillForm(config);
+  showMessage('Saved. Changes are already in effect.', 'success');
+});
+
+document.getElementById('close').addEventListener('click', () => window.close());
+
+load();
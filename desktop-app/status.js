@@ -0,0 +1,30 @@
+/**
+ * Status events
+ * Small in-process event bus the server publishes to (Discord connection
+ * changes, rejected activities) and push channels subscribe to
+ */
+
+const { EventEmitter } = require('events');
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0); // One listener per connected phone
+
+/**
+ * Publish a status event to every subscriber
+ * @param {string} type - Event type, e.g. 'discord-connected'
+ * @param {object} data - Extra fields merged into the event
+ */
+function publish(type, data = {}) {
+  bus.emit('event', { type, ...data, timestamp: Date.now() });
+}
+
+/**
+ * Subscribe to status events
+ * @returns {Function} Unsubscribe function
+ */
+function subscribe(listener) {
+  bus.on('event', listener);
+  return () => bus.off('event', listener);
+}
+
+module.exports = { publish, subscribe };
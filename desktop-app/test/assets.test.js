@@ -0,0 +1,113 @@
+/**
+ * Asset cache tests
+ * Run with `npm test`; Discord is replaced by a fake fetch
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ERRORS, initAssetCache, getAssets } = require('../assets');
+
+const CLIENT_ID = '123456789012345678';
+const dirs = [];
+
+// Fake fetch answering with a status and body, counting its calls
+function fakeFetch(status, body = []) {
+  const fake = async () => {
+    fake.calls++;
+    return { status, ok: status >= 200 && status < 300, json: async () => body };
+  };
+  fake.calls = 0;
+  return fake;
+}
+
+function failingFetch() {
+  const fake = async () => {
+    fake.calls++;
+    throw new Error('getaddrinfo ENOTFOUND discord.com');
+  };
+  fake.calls = 0;
+  return fake;
+}
+
+function tempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'assets-test-'));
+  dirs.push(dir);
+  return dir;
+}
+
+test.after(() => {
+  for (const dir of dirs) {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('fetches assets and saves them to the cache file', async () => {
+  const dir = tempDir();
+  const fetch = fakeFetch(200, [{ id: '42', name: 'logo' }]);
+  initAssetCache(dir, { fetch });
+
+  const result = await getAssets(CLIENT_ID);
+  assert.strictEqual(result.stale, false);
+  assert.deepStrictEqual(result.assets, [{ key: 'logo', url: `https://cdn.discordapp.com/app-assets/${CLIENT_ID}/42.png` }]);
+
+  const saved = JSON.parse(fs.readFileSync(path.join(dir, 'assets-cache.json'), 'utf8'));
+  assert.deepStrictEqual(saved[CLIENT_ID].assets, result.assets);
+});
+
+test('serves a fresh cache entry without asking Discord', async () => {
+  const dir = tempDir();
+  initAssetCache(dir, { fetch: fakeFetch(200, [{ id: '42', name: 'logo' }]) });
+  await getAssets(CLIENT_ID);
+
+  const fetch = failingFetch();
+  initAssetCache(dir, { fetch });
+  const result = await getAssets(CLIENT_ID);
+  assert.strictEqual(fetch.calls, 0);
+  assert.strictEqual(result.stale, false);
+  assert.strictEqual(result.assets[0].key, 'logo');
+});
+
+test('refresh replaces the cache entry with what Discord has now', async () => {
+  const dir = tempDir();
+  initAssetCache(dir, { fetch: fakeFetch(200, [{ id: '42', name: 'logo' }]) });
+  await getAssets(CLIENT_ID);
+
+  const fetch = fakeFetch(200, [{ id: '43', name: 'banner' }]);
+  initAssetCache(dir, { fetch });
+  const result = await getAssets(CLIENT_ID, { refresh: true });
+  assert.strictEqual(fetch.calls, 1);
+  assert.deepStrictEqual(result.assets.map(asset => asset.key), ['banner']);
+});
+
+test('falls back to the cached assets, marked stale, when Discord is unreachable', async () => {
+  const dir = tempDir();
+  initAssetCache(dir, { fetch: fakeFetch(200, [{ id: '42', name: 'logo' }]) });
+  const fetched = await getAssets(CLIENT_ID);
+
+  initAssetCache(dir, { fetch: fakeFetch(503) });
+  const result = await getAssets(CLIENT_ID, { refresh: true });
+  assert.strictEqual(result.stale, true);
+  assert.deepStrictEqual(result.assets, fetched.assets);
+  assert.strictEqual(result.fetchedAt, fetched.fetchedAt);
+});
+
+test('reports Discord as unavailable when nothing is cached', async () => {
+  initAssetCache(tempDir(), { fetch: failingFetch() });
+  await assert.rejects(getAssets(CLIENT_ID), { code: ERRORS.UNAVAILABLE });
+});
+
+test('drops the cache entry of an unknown application', async () => {
+  const dir = tempDir();
+  initAssetCache(dir, { fetch: fakeFetch(200, [{ id: '42', name: 'logo' }]) });
+  await getAssets(CLIENT_ID);
+
+  initAssetCache(dir, { fetch: fakeFetch(404) });
+  await assert.rejects(getAssets(CLIENT_ID, { refresh: true }), { code: ERRORS.UNKNOWN_APPLICATION });
+
+  // Not served from the cache afterwards
+  initAssetCache(dir, { fetch: failingFetch() });
+  await assert.rejects(getAssets(CLIENT_ID), { code: ERRORS.UNAVAILABLE });
+});
@@ -0,0 +1,44 @@
+/**
+ * Settings backup tests
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { initBackups, saveBackup, loadBackup } = require('../backups');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'backups-test-'));
+initBackups(dataDir);
+
+test.after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const bundle = (device) => ({ format: 'android-discord-rich-presence-settings', version: 1, device });
+
+test('restores the backup saved by the same phone', () => {
+  assert.strictEqual(saveBackup({ deviceName: 'Pixel 8', bundle: bundle('Pixel 8') }).status, 200);
+  assert.strictEqual(saveBackup({ deviceName: 'Galaxy S24', bundle: bundle('Galaxy S24') }).status, 200);
+
+  const result = loadBackup({ deviceName: 'Pixel 8' });
+  assert.strictEqual(result.status, 200);
+  assert.strictEqual(result.body.bundle.device, 'Pixel 8');
+});
+
+test('requires a device name instead of returning the newest backup', () => {
+  for (const body of [{}, { deviceName: '' }, { deviceName: '  ' }, { deviceName: 42 }]) {
+    const result = loadBackup(body);
+    assert.strictEqual(result.status, 400);
+    assert.strictEqual(result.body.bundle, undefined);
+  }
+});
+
+test('does not fall back to another phone when this one has no backup', () => {
+  for (const deviceName of ['Pixel 9', 'constructor', '__proto__']) {
+    const result = loadBackup({ deviceName });
+    assert.strictEqual(result.status, 404, deviceName);
+    assert.strictEqual(result.body.bundle, undefined, deviceName);
+  }
+});
@@ -0,0 +1,48 @@
+/**
+ * Config tests
+ * Each test gets its own data directory with a hand-written config.json
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEFAULTS, initConfig, getConfig, getConfigPath } = require('../config');
+
+const dirs = [];
+
+function dataDirWith(contents) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-test-'));
+  dirs.push(dir);
+  fs.writeFileSync(path.join(dir, 'config.json'), contents);
+  return dir;
+}
+
+test.after(() => {
+  fs.unwatchFile(getConfigPath());
+  for (const dir of dirs) {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('reads the settings in config.json', () => {
+  const config = initConfig(dataDirWith(JSON.stringify({ port: 9191 })));
+  assert.strictEqual(config.port, 9191);
+});
+
+test('keeps the current settings when config.json is not an object', () => {
+  initConfig(dataDirWith(JSON.stringify({ port: 9292 })));
+
+  for (const contents of ['null', '[]', '42', '"port"']) {
+    assert.doesNotThrow(() => initConfig(dataDirWith(contents)), contents);
+    assert.strictEqual(getConfig().port, 9292, contents);
+  }
+});
+
+test('skips invalid values and keeps the defaults for them', () => {
+  initConfig(dataDirWith(JSON.stringify({ port: 9393 })));
+  const config = initConfig(dataDirWith(JSON.stringify({ port: 'nope', updateTimeout: 10000 })));
+  assert.strictEqual(config.port, DEFAULTS.port);
+  assert.strictEqual(config.updateTimeout, 10000);
+});
@@ -0,0 +1,50 @@
+/**
+ * Pairing tests
+ * Codes are read from getPairingCode(), as the tray does
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const pairing = require('../pairing');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pairing-test-'));
+pairing.initPairing(dataDir);
+
+test.after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// Same number of characters as the real code, more bytes
+function multibyteCode() {
+  return `${pairing.getPairingCode().slice(0, -1)}é`;
+}
+
+test('pairs with the code shown in the tray', () => {
+  const token = pairing.pairDevice(pairing.getPairingCode(), 'Phone', '10.0.0.1');
+  assert.ok(token);
+  assert.ok(pairing.isValidToken(token));
+});
+
+test('rejects a multibyte code of the same length without throwing', () => {
+  assert.strictEqual(pairing.pairDevice(multibyteCode(), 'Phone', '10.0.0.2'), null);
+});
+
+test('rotates the code after repeated wrong codes', () => {
+  const code = pairing.getPairingCode();
+  for (let i = 0; i < 5; i++) {
+    pairing.pairDevice(multibyteCode(), 'Phone', '10.0.0.3');
+  }
+  assert.notStrictEqual(pairing.getPairingCode(), code);
+});
+
+test('locks out an address after too many wrong codes, multibyte ones included', () => {
+  for (let i = 0; i < 10; i++) {
+    assert.strictEqual(pairing.getPairingLockout('10.0.0.4'), 0);
+    pairing.pairDevice(multibyteCode(), 'Phone', '10.0.0.4');
+  }
+  assert.ok(pairing.getPairingLockout('10.0.0.4') > 0);
+  assert.strictEqual(pairing.getPairingLockout('10.0.0.5'), 0);
+});
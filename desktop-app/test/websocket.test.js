@@ -0,0 +1,90 @@
+/**
+ * WebSocket channel tests
+ * Runs the channel on a local port with a fake request handler
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+const pairing = require('../pairing');
+const { attachWebSocket, WS_PATH } = require('../websocket');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'websocket-test-'));
+let server = null;
+let wss = null;
+let socket = null;
+
+// Resolves with the next response message on the socket
+function nextResponse() {
+  return new Promise((resolve) => {
+    const onMessage = (data) => {
+      const message = JSON.parse(data.toString());
+      if (message.type === 'response') {
+        socket.off('message', onMessage);
+        resolve(message);
+      }
+    };
+    socket.on('message', onMessage);
+  });
+}
+
+async function request(raw) {
+  const response = nextResponse();
+  socket.send(raw);
+  return response;
+}
+
+test.before(async () => {
+  pairing.initPairing(dataDir);
+  const token = pairing.pairDevice(pairing.getPairingCode(), 'test', '127.0.0.1');
+
+  server = http.createServer();
+  wss = attachWebSocket(server, {
+    requests: { echo: async (payload) => ({ status: 200, body: payload }) },
+    getStatus: () => ({}),
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  socket = new WebSocket(`ws://127.0.0.1:${server.address().port}${WS_PATH}`, {
+    headers: { Authorization: `Bearer ${token}` },
+  });
+  await new Promise((resolve, reject) => {
+    socket.once('open', resolve);
+    socket.once('error', reject);
+  });
+});
+
+test.after(async () => {
+  socket.close();
+  wss.close();
+  await new Promise((resolve) => server.close(resolve));
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('answers a request with its handler', async () => {
+  const response = await request(JSON.stringify({ type: 'echo', id: 1, payload: { value: 'hi' } }));
+  assert.deepStrictEqual(response, { type: 'response', id: 1, status: 200, body: { value: 'hi' } });
+});
+
+test('rejects messages that are not JSON objects', async () => {
+  for (const raw of ['null', '[]', '42', '"echo"']) {
+    const response = await request(raw);
+    assert.strictEqual(response.status, 400, raw);
+  }
+});
+
+test('does not take inherited keys for handlers', async () => {
+  for (const type of ['constructor', 'toString', '__proto__', 'hasOwnProperty']) {
+    const response = await request(JSON.stringify({ type, id: 2 }));
+    assert.strictEqual(response.status, 404, type);
+  }
+});
+
+test('rejects a payload that is not an object', async () => {
+  const response = await request(JSON.stringify({ type: 'echo', id: 3, payload: null }));
+  assert.strictEqual(response.status, 400);
+});
@@ -0,0 +1,185 @@
+/**
+ * CLIENT_ID validation
+ * Checks a Discord Application ID for the phone's app settings dialog: the
+ * format, a throwaway IPC login (separate from the presence connection, so
+ * the current activity is left alone) and the application's name and assets
+ */
+
+const RPC = require('discord-rpc');
+const discord = require('./discord');
+const { getAssets } = require('./assets');
+
+// Discord Application IDs are snowflakes
+const CLIENT_ID_PATTERN = /^\d{17,20}$/;
+
+const API_BASE = 'https://discord.com/api/v10';
+const CDN_BASE = 'https://cdn.discordapp.com';
+const PROBE_TIMEOUT = 8000;
+const LOOKUP_TIMEOUT = 5000;
+
+// Close code Discord sends over IPC for an unknown application
+const INVALID_CLIENT_ID_CODE = 4000;
+
+// Error codes the phone can show its own text for
+const ERRORS = {
+  INVALID_FORMAT: 'invalid_format',
+  UNKNOWN_APPLICATION: 'unknown_application',
+  DISCORD_UNAVAILABLE: 'discord_unavailable',
+  TIMEOUT: 'timeout',
+};
+
+const ERROR_STATUS = {
+  [ERRORS.INVALID_FORMAT]: 400,
+  [ERRORS.UNKNOWN_APPLICATION]: 404,
+  [ERRORS.DISCORD_UNAVAILABLE]: 503,
+  [ERRORS.TIMEOUT]: 504,
+};
+
+function isValidClientIdFormat(clientId) {
+  return typeof clientId === 'string' && CLIENT_ID_PATTERN.test(clientId);
+}
+
+/**
+ * Log in to Discord over IPC with a CLIENT_ID and disconnect right away
+ * Resolves with null on success, or { code, message } describing why it failed
+ */
+function probeLogin(clientId) {
+  return new Promise((resolve) => {
+    const client = new RPC.Client({ transport: 'ipc' });
+    let settled = false;
+
+    const finish = (error) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timeoutId);
+      try {
+        client.destroy().catch(() => {});
+      } catch (e) {}
+      resolve(error);
+    };
+
+    const timeoutId = setTimeout(() => finish({
+      code: ERRORS.TIMEOUT,
+      message: 'Discord did not answer in time',
+    }), PROBE_TIMEOUT);
+
+    // discord-rpc only reports "connection closed"; the close frame says why
+    client.transport.once('close', (data) => {
+      if (data && data.code === INVALID_CLIENT_ID_CODE) {
+        finish({ code: ERRORS.UNKNOWN_APPLICATION, message: 'Discord does not know this CLIENT_ID' });
+      }
+    });
+
+    client.on('error', () => {});
+    client.once('ready', () => finish(null));
+
+    client.login({ clientId }).catch((error) => finish({
+      code: ERRORS.DISCORD_UNAVAILABLE,
+      message: `Could not reach Discord: ${error.message}`,
+    }));
+  });
+}
+
+async function fetchJson(url) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), LOOKUP_TIMEOUT);
+  try {
+    const response = await fetch(url, { signal: controller.signal });
+    return { status: response.status, body: response.ok ? await response.json() : null };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Look up the application's public name, icon and Rich Presence assets
+ * Best effort: null fields mean Discord's API couldn't be reached
+ */
+async function lookupApplication(clientId) {
+  let application = null;
+  let assets = null;
+  let notFound = false;
+
+  try {
+    const { status, body } = await fetchJson(`${API_BASE}/applications/${clientId}/rpc`);
+    if (body) {
+      application = {
+        name: body.name,
+        description: body.description || '',
+        iconUrl: body.icon ? `${CDN_BASE}/app-icons/${clientId}/${body.icon}.png` : null,
+      };
+    } else if (status === 404) {
+      notFound = true;
+    }
+  } catch (e) {
+    // Offline or rate limited; the IPC login result still stands
+  }
+
+  if (application) {
+    try {
+      // Refreshes the cache the image picker reads from
+      ({ assets } = await getAssets(clientId, { refresh: true }));
+    } catch (e) {
+      // Leave assets unknown
+    }
+  }
+
+  return { application, assets, notFound };
+}
+
+function failure(clientId, code, message, extra = {}) {
+  return {
+    status: ERROR_STATUS[code],
+    body: { valid: false, clientId, application: null, assets: null, ...extra, error: { code, message } },
+  };
+}
+
+/**
+ * Validate a CLIENT_ID
+ * @param {object} body - { clientId }
+ * @returns {Promise<{status: number, body: object}>} body is
+ *   { valid, clientId, application: { name, description, iconUrl } | null,
+ *     assets: [{ key, url }] | null, error: { code, message } | null }
+ */
+async function validateClientId(body) {
+  const clientId = typeof body.clientId === 'string' ? body.clientId.trim() : '';
+
+  if (!isValidClientIdFormat(clientId)) {
+    return failure(clientId, ERRORS.INVALID_FORMAT, 'A CLIENT_ID is the 17-20 digit Application ID from the Discord Developer Portal');
+  }
+
+  // No need to probe the application we're already logged in with
+  const alreadyConnected = discord.isConnected() && discord.getCurrentClientId() === clientId;
+  const [probeError, lookup] = await Promise.all([
+    alreadyConnected ? null : probeLogin(clientId),
+    lookupApplication(clientId),
+  ]);
+
+  if (probeError && probeError.code !== ERRORS.UNKNOWN_APPLICATION && lookup.notFound) {
+    // Discord's API already knows the answer even though the desktop client didn't
+    return failure(clientId, ERRORS.UNKNOWN_APPLICATION, 'Discord does not know this CLIENT_ID');
+  }
+  if (probeError) {
+    return failure(clientId, probeError.code, probeError.message, {
+      application: lookup.application,
+      assets: lookup.assets,
+    });
+  }
+
+  return {
+    status: 200,
+    body: {
+      valid: true,
+      clientId,
+      application: lookup.application,
+      assets: lookup.assets,
+      error: null,
+    },
+  };
+}
+
+module.exports = {
+  ERRORS,
+  isValidClientIdFormat,
+  validateClientId,
+};
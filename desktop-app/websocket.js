@@ -0,0 +1,122 @@
+/**
+ * WebSocket channel
+ * One long-lived connection per phone at /ws: the phone sends presence
+ * requests over it and receives status events without polling /health
+ *
+ * Phone -> server: { type: 'update-presence' | 'clear-presence' | 'ping', id, payload }
+ * Server -> phone: { type: 'response', id, status, body } and { type: 'event', event }
+ */
+
+const { WebSocketServer } = require('ws');
+const pairing = require('./pairing');
+const { subscribe } = require('./status');
+
+const WS_PATH = '/ws';
+const HEARTBEAT_INTERVAL = 30000;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function send(ws, message) {
+  if (ws.readyState === ws.OPEN) {
+    ws.send(JSON.stringify(message));
+  }
+}
+
+/**
+ * Attach the WebSocket endpoint to the HTTP server
+ * @param {http.Server} server - Server returned by app.listen()
+ * @param {object} options.requests - Handlers keyed by message type, each
+ *   returning (a promise of) { status, body }
+ * @param {Function} options.getStatus - Snapshot sent to each phone on connect
+ */
+function attachWebSocket(server, { requests, getStatus }) {
+  // Same limit as the HTTP routes' JSON bodies
+  const wss = new WebSocketServer({ noServer: true, maxPayload: 512 * 1024 });
+
+  server.on('upgrade', (req, socket, head) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname !== WS_PATH) {
+      socket.destroy();
+      return;
+    }
+
+    // Same pairing token as the HTTP routes
+    if (!pairing.isValidToken(pairing.getRequestToken(req))) {
+      socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      wss.emit('connection', ws, req);
+    });
+  });
+
+  wss.on('connection', (ws) => {
+    ws.isAlive = true;
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+
+    const unsubscribe = subscribe((event) => send(ws, { type: 'event', event }));
+    send(ws, { type: 'event', event: { type: 'status', ...getStatus(), timestamp: Date.now() } });
+
+    // Everything in here is caught: a throw in this async listener would be an
+    // unhandled rejection in the main process
+    ws.on('message', async (data) => {
+      let message = null;
+      try {
+        try {
+          message = JSON.parse(data.toString());
+        } catch (e) {
+          return;
+        }
+        if (!isPlainObject(message)) {
+          send(ws, { type: 'response', id: null, status: 400, body: { error: 'Messages must be JSON objects' } });
+          return;
+        }
+
+        // Own keys only, so "constructor" or "__proto__" aren't taken for handlers
+        const handler = Object.prototype.hasOwnProperty.call(requests, message.type) ? requests[message.type] : null;
+        if (typeof handler !== 'function') {
+          send(ws, { type: 'response', id: message.id, status: 404, body: { error: `Unknown message type: ${message.type}` } });
+          return;
+        }
+
+        const payload = message.payload === undefined ? {} : message.payload;
+        if (!isPlainObject(payload)) {
+          send(ws, { type: 'response', id: message.id, status: 400, body: { error: 'payload must be a JSON object' } });
+          return;
+        }
+
+        const result = await handler(payload);
+        send(ws, { type: 'response', id: message.id, status: result.status, body: result.body });
+      } catch (error) {
+        send(ws, { type: 'response', id: message ? message.id : null, status: 500, body: { error: error.message } });
+      }
+    });
+
+    ws.on('close', unsubscribe);
+    ws.on('error', () => {});
+  });
+
+  // Drop phones that vanished without closing the socket (Wi-Fi loss, sleep)
+  const heartbeat = setInterval(() => {
+    for (const ws of wss.clients) {
+      if (!ws.isAlive) {
+        ws.terminate();
+        continue;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    }
+  }, HEARTBEAT_INTERVAL);
+
+  wss.on('close', () => clearInterval(heartbeat));
+
+  return wss;
+}
+
+module.exports = { attachWebSocket, WS_PATH };